@@ -10,13 +10,33 @@ async function main() {
     // Clean existing data (optional - uncomment if you want fresh start)
     // await prisma.auditLog.deleteMany();
     // await prisma.review.deleteMany();
+    // await prisma.depositTransaction.deleteMany();
+    // await prisma.securityDeposit.deleteMany();
+    // await prisma.balanceDue.deleteMany();
+    // await prisma.waitlistEntry.deleteMany();
+    // await prisma.identityDocument.deleteMany();
+    // await prisma.consolidatedInvoice.deleteMany();
+    // await prisma.organizationMember.deleteMany();
+    // await prisma.organization.deleteMany();
+    // await prisma.ledgerEntry.deleteMany();
+    // await prisma.invoice.deleteMany();
+    // await prisma.invoiceCounter.deleteMany();
+    // await prisma.webhookEvent.deleteMany();
+    // await prisma.paymentTransaction.deleteMany();
     // await prisma.payment.deleteMany();
     // await prisma.booking.deleteMany();
     // await prisma.maintenanceTask.deleteMany();
     // await prisma.vehicle.deleteMany();
     // await prisma.location.deleteMany();
+    // await prisma.insuranceProduct.deleteMany();
+    // await prisma.addOnReservation.deleteMany();
     // await prisma.addOn.deleteMany();
+    // await prisma.promoRedemption.deleteMany();
     // await prisma.priceRule.deleteMany();
+    // await prisma.session.deleteMany();
+    // await prisma.userToken.deleteMany();
+    // await prisma.cancellationPolicy.deleteMany();
+    // await prisma.quote.deleteMany();
     // await prisma.user.deleteMany();
 
     // Create admin user
@@ -48,6 +68,7 @@ async function main() {
         passwordHash: customerPassword,
         phone: '+15559876543',
         role: 'customer',
+        dateOfBirth: new Date('1988-03-14'),
         loyaltyPoints: 1500,
         loyaltyTier: 'silver'
       }
@@ -62,6 +83,7 @@ async function main() {
         passwordHash: customerPassword,
         phone: '+15555551234',
         role: 'customer',
+        dateOfBirth: new Date('1992-07-02'),
         loyaltyPoints: 6500,
         loyaltyTier: 'gold'
       }
@@ -76,6 +98,7 @@ async function main() {
         passwordHash: customerPassword,
         phone: '+15555559876',
         role: 'customer',
+        dateOfBirth: new Date('1979-11-23'),
         loyaltyPoints: 12000,
         loyaltyTier: 'platinum'
       }
@@ -90,6 +113,7 @@ async function main() {
         passwordHash: customerPassword,
         phone: '+15555556789',
         role: 'customer',
+        dateOfBirth: new Date('2003-05-30'),
         loyaltyPoints: 450,
         loyaltyTier: 'bronze'
       }
@@ -232,6 +256,22 @@ async function main() {
     }
     console.log('✅ Locations created');
 
+    // Create a counter agent who works at LAX
+    const staffPassword = await bcrypt.hash('staff123', 12);
+    await prisma.user.upsert({
+      where: { email: 'agent.lax@carhive.com' },
+      update: {},
+      create: {
+        name: 'LAX Counter Agent',
+        email: 'agent.lax@carhive.com',
+        passwordHash: staffPassword,
+        phone: '+15551230001',
+        role: 'counter_agent',
+        locationIds: [createdLocations[0].id]
+      }
+    });
+    console.log('✅ Counter agent created');
+
     // Create vehicles with varied statuses
     const vehicles = [
       // Economy Cars
@@ -972,6 +1012,10 @@ async function main() {
     console.log('  Password: admin123');
     console.log('  Role: admin');
     console.log('  Phone: +15551234567');
+    console.log('\nStaff Account:');
+    console.log('  Email: agent.lax@carhive.com');
+    console.log('  Password: staff123');
+    console.log('  Role: counter_agent (LAX)');
     console.log('\nCustomer Accounts:');
     console.log('  1. John Doe (Silver Tier - 1500 points)');
     console.log('     Email: john.doe@example.com');
@@ -991,7 +1035,7 @@ async function main() {
     console.log('     Phone: +15555556789');
     console.log('\n📊 Seeded Data Summary:');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('  • 5 Users (1 admin + 4 customers)');
+    console.log('  • 6 Users (1 admin + 1 counter agent + 4 customers)');
     console.log('  • 8 Locations (LAX, DTLA, JFK, NYC, MIA, SBE, SFO, ORD)');
     console.log('  • 20 Vehicles (6 categories, varied statuses)');
     console.log('  • 8 Bookings (pending, confirmed, active, completed, cancelled)');
@@ -16,6 +16,12 @@ const maintenanceRoutes = require('./routes/maintenance');
 const loyaltyRoutes = require('./routes/loyalty');
 const adminRoutes = require('./routes/admin');
 const trackingRoutes = require('./routes/tracking');
+const promoRoutes = require('./routes/promos');
+const addonRoutes = require('./routes/addons');
+const insuranceRoutes = require('./routes/insurance');
+const waitlistRoutes = require('./routes/waitlist');
+const documentRoutes = require('./routes/documents');
+const organizationRoutes = require('./routes/organizations');
 
 // Import middleware
 const errorHandler = require('./middlewares/errorHandler');
@@ -59,7 +65,8 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-// Body parsing middleware
+// Body parsing middleware (payment webhooks are verified against the raw body)
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -85,6 +92,12 @@ app.use('/api/maintenance', maintenanceRoutes);
 app.use('/api/loyalty', loyaltyRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/tracking', trackingRoutes);
+app.use('/api/promos', promoRoutes);
+app.use('/api/addons', addonRoutes);
+app.use('/api/insurance', insuranceRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
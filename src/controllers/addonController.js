@@ -0,0 +1,174 @@
+const { PrismaClient } = require('@prisma/client');
+const { addOnSchema } = require('../utils/validation');
+const addonService = require('../services/addonService');
+const { logEvent } = require('../services/auditService');
+const { hasPermission } = require('../services/permissionService');
+
+const prisma = new PrismaClient();
+
+const findAddOn = (id) => /^[a-f0-9]{24}$/.test(id)
+  ? prisma.addOn.findUnique({ where: { id } })
+  : null;
+
+/**
+ * List add-ons
+ * GET /api/addons?locationId=&startDate=&endDate=
+ * With a location only add-ons offered there are listed; with dates each add-on
+ * gets `available` (remaining stock for the period, null = unlimited).
+ * Staff with catalog:manage can pass includeInactive=true.
+ */
+const getAddOns = async (req, res) => {
+  try {
+    const { locationId, startDate, endDate, includeInactive } = req.query;
+    const canManage = hasPermission(req.user, 'catalog:manage');
+
+    const where = {};
+    if (!(canManage && includeInactive === 'true')) where.isActive = true;
+    if (locationId) where.OR = [{ locationId }, { locationId: null }];
+
+    const addons = await prisma.addOn.findMany({ where, orderBy: { name: 'asc' } });
+
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      if (isNaN(start) || isNaN(end) || start >= end) {
+        return res.status(400).json({ success: false, message: 'startDate must be before endDate' });
+      }
+      const available = await addonService.availableQuantities(addons, start, end);
+      addons.forEach(a => { a.available = available.get(a.id); });
+    }
+
+    res.json({ success: true, data: { addons } });
+  } catch (error) {
+    console.error('Get add-ons error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get add-on by ID
+ * GET /api/addons/:id
+ */
+const getAddOnById = async (req, res) => {
+  try {
+    const addon = await findAddOn(req.params.id);
+    if (!addon || (!addon.isActive && !hasPermission(req.user, 'catalog:manage'))) {
+      return res.status(404).json({ success: false, message: 'Add-on not found' });
+    }
+
+    res.json({ success: true, data: { addon } });
+  } catch (error) {
+    console.error('Get add-on error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create add-on (Admin only)
+ * POST /api/addons
+ */
+const createAddOn = async (req, res) => {
+  try {
+    const { error, value } = addOnSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await prisma.addOn.findUnique({ where: { code: value.code } });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Add-on code already exists' });
+    }
+
+    if (value.locationId) {
+      const location = await prisma.location.findUnique({ where: { id: value.locationId } });
+      if (!location) return res.status(400).json({ success: false, message: 'Invalid location' });
+    }
+
+    const addon = await prisma.addOn.create({ data: value });
+    await logEvent('addon', addon.id, 'created', { by: req.user.id, addon: value });
+
+    res.status(201).json({ success: true, message: 'Add-on created successfully', data: { addon } });
+  } catch (error) {
+    console.error('Create add-on error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Update add-on (Admin only)
+ * PUT /api/addons/:id
+ * Lowering stock does not cancel existing reservations; it only limits new ones.
+ */
+const updateAddOn = async (req, res) => {
+  try {
+    const { error, value } = addOnSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await findAddOn(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Add-on not found' });
+    }
+
+    if (value.code !== existing.code) {
+      const codeExists = await prisma.addOn.findUnique({ where: { code: value.code } });
+      if (codeExists) {
+        return res.status(409).json({ success: false, message: 'Add-on code already exists' });
+      }
+    }
+
+    if (value.locationId) {
+      const location = await prisma.location.findUnique({ where: { id: value.locationId } });
+      if (!location) return res.status(400).json({ success: false, message: 'Invalid location' });
+    }
+
+    const addon = await prisma.addOn.update({
+      where: { id: existing.id },
+      data: { description: null, stock: null, locationId: null, ...value }
+    });
+    await logEvent('addon', addon.id, 'updated', { by: req.user.id, addon: value });
+
+    res.json({ success: true, message: 'Add-on updated successfully', data: { addon } });
+  } catch (error) {
+    console.error('Update add-on error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Delete add-on (Admin only)
+ * DELETE /api/addons/:id
+ * Add-ons that were ever reserved are deactivated instead so booking history stays intact.
+ */
+const deleteAddOn = async (req, res) => {
+  try {
+    const existing = await findAddOn(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Add-on not found' });
+    }
+
+    const reservationCount = await prisma.addOnReservation.count({ where: { addonId: existing.id } });
+    if (reservationCount > 0) {
+      const addon = await prisma.addOn.update({ where: { id: existing.id }, data: { isActive: false } });
+      await logEvent('addon', existing.id, 'deactivated', { by: req.user.id });
+      return res.json({ success: true, message: 'Add-on has reservations and was deactivated', data: { addon } });
+    }
+
+    await prisma.addOn.delete({ where: { id: existing.id } });
+    await logEvent('addon', existing.id, 'deleted', { by: req.user.id, addon: existing });
+
+    res.json({ success: true, message: 'Add-on deleted successfully' });
+  } catch (error) {
+    console.error('Delete add-on error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getAddOns,
+  getAddOnById,
+  createAddOn,
+  updateAddOn,
+  deleteAddOn
+};
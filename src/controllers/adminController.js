@@ -1,5 +1,18 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { transitionBooking, actorFor } = require('../services/bookingLifecycleService');
+const { findExpiringHolds } = require('../jobs/holdExpiryJob');
+const scheduler = require('../jobs/scheduler');
+const paymentService = require('../services/paymentService');
+const webhookService = require('../services/webhookService');
+const invoiceService = require('../services/invoiceService');
+const ledgerService = require('../services/ledgerService');
+const balanceService = require('../services/balanceService');
+const waitlistService = require('../services/waitlistService');
+const verificationService = require('../services/verificationService');
+const organizationService = require('../services/organizationService');
+const { handleServiceError } = require('../utils/serviceErrors');
+const { can, bookingLocations, locationScope, inScope, scopeBookings } = require('../services/permissionService');
 
 /**
  * Get admin dashboard overview metrics
@@ -67,13 +80,8 @@ const getOverviewMetrics = async (req, res) => {
         _sum: { totalPrice: true }
       }),
 
-      // Pending verifications
-      prisma.booking.count({
-        where: {
-          status: 'pending',
-          verificationStatus: { not: 'approved' }
-        }
-      }),
+      // Documents waiting in the verification review queue
+      prisma.identityDocument.count({ where: { status: 'pending' } }),
 
       // Recent bookings for timeline
       prisma.booking.findMany({
@@ -230,7 +238,7 @@ const getBookingCalendar = async (req, res) => {
     }
 
     const bookings = await prisma.booking.findMany({
-      where,
+      where: scopeBookings(req.user, where),
       include: {
         user: {
           select: { name: true, email: true }
@@ -300,20 +308,59 @@ const bulkBookingAction = async (req, res) => {
 
     const newStatus = statusMap[action];
 
-    const result = await prisma.booking.updateMany({
-      where: {
-        id: { in: bookingIds }
-      },
-      data: {
-        status: newStatus,
-        verificationStatus: action === 'approve' ? 'approved' : 'rejected'
+    // Each booking goes through the lifecycle individually so illegal transitions are reported, not applied
+    const updated = [];
+    const failed = [];
+    for (const bookingId of bookingIds) {
+      try {
+        // Staff can only act on bookings at their locations
+        const booking = await prisma.booking.findUnique({ where: { id: bookingId } });
+        if (booking && !can(req.user, 'bookings:manage', ...bookingLocations(booking))) {
+          failed.push({ id: bookingId, statusCode: 403, message: 'Access denied' });
+          continue;
+        }
+        // Corporate bookings outside the travel policy wait for a travel manager
+        if (booking && booking.organizationId && newStatus === 'confirmed') {
+          organizationService.assertApproved(booking);
+        }
+        await transitionBooking(bookingId, newStatus, {
+          actor: actorFor(req.user),
+          userId: req.user.id,
+          reason: `bulk_${action}`
+        });
+        updated.push(bookingId);
+      } catch (e) {
+        failed.push({ id: bookingId, statusCode: e.statusCode || 500, message: e.message });
+        continue;
       }
-    });
+
+      // Bookings cancelled or rejected by staff are refunded in full
+      if (newStatus !== 'cancelled') continue;
+      try {
+        await paymentService.refundForCancellation(bookingId, Infinity, { actorId: req.user.id, reason: `bulk_${action}` });
+      } catch (e) {
+        console.warn(`Failed to refund booking ${bookingId}`, e);
+      }
+      try {
+        const creditNote = await invoiceService.creditForCancellation(bookingId, Infinity, { actorId: req.user.id });
+        await invoiceService.sendDocuments([creditNote]);
+      } catch (e) {
+        console.warn(`Failed to credit booking ${bookingId}`, e);
+      }
+    }
+
+    if (updated.length === 0 && failed.length > 0 && failed.every(f => f.statusCode === 409)) {
+      return res.status(409).json({
+        success: false,
+        message: `No bookings could be ${action}d`,
+        data: { count: 0, failed }
+      });
+    }
 
     res.json({
       success: true,
-      message: `${result.count} bookings ${action}d successfully`,
-      data: { count: result.count }
+      message: `${updated.length} bookings ${action}d successfully`,
+      data: { count: updated.length, updated, failed }
     });
   } catch (error) {
     console.error('Bulk booking action error:', error);
@@ -344,7 +391,7 @@ const exportBookings = async (req, res) => {
     }
 
     const bookings = await prisma.booking.findMany({
-      where,
+      where: scopeBookings(req.user, where),
       include: {
         user: {
           select: { name: true, email: true, phone: true }
@@ -412,6 +459,310 @@ const exportBookings = async (req, res) => {
   }
 };
 
+/**
+ * List holds that are about to expire (or are overdue and not yet swept)
+ * GET /api/admin/holds/expiring?withinMinutes=10
+ */
+const getExpiringHolds = async (req, res) => {
+  try {
+    const withinMinutes = parseInt(req.query.withinMinutes) || 10;
+    const holds = (await findExpiringHolds({ withinMinutes }))
+      .filter(hold => inScope(req.user, ...bookingLocations(hold)));
+
+    res.json({
+      success: true,
+      data: { holds, count: holds.length, withinMinutes }
+    });
+  } catch (error) {
+    console.error('Get expiring holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List background jobs and their last run
+ * GET /api/admin/jobs
+ */
+const getJobs = async (req, res) => {
+  res.json({
+    success: true,
+    data: { jobs: scheduler.listJobs() }
+  });
+};
+
+/**
+ * Run a background job immediately
+ * POST /api/admin/jobs/:name/run
+ */
+const runJob = async (req, res) => {
+  try {
+    const result = await scheduler.runJob(req.params.name);
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} executed`,
+      data: { result }
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List refunds that failed at the payment provider
+ * GET /api/admin/refunds/failed
+ */
+const getFailedRefunds = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const refunds = await paymentService.listFailedRefunds({ skip, take });
+
+    res.json({
+      success: true,
+      data: { refunds, count: refunds.length }
+    });
+  } catch (error) {
+    console.error('Get failed refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Retry a failed refund
+ * POST /api/admin/refunds/:id/retry
+ */
+const retryRefund = async (req, res) => {
+  try {
+    const refund = await paymentService.retryRefund(req.params.id, { actorId: req.user.id });
+    const succeeded = refund.status === 'succeeded';
+
+    res.status(succeeded ? 200 : 502).json({
+      success: succeeded,
+      message: succeeded ? 'Refund succeeded' : `Refund failed again: ${refund.error}`,
+      data: { refund }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Retry refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List stored payment webhook events
+ * GET /api/admin/webhook-events
+ */
+const getWebhookEvents = async (req, res) => {
+  try {
+    const { status, type, bookingId, page = 1, limit = 50 } = req.query;
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const events = await webhookService.listEvents({ status, type, bookingId, skip, take });
+
+    res.json({
+      success: true,
+      data: { events, count: events.length }
+    });
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a stored webhook event with its payload
+ * GET /api/admin/webhook-events/:id
+ */
+const getWebhookEventById = async (req, res) => {
+  try {
+    const event = await webhookService.getEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { event }
+    });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Process a stored webhook event again
+ * POST /api/admin/webhook-events/:id/replay
+ */
+const replayWebhookEvent = async (req, res) => {
+  try {
+    const event = await webhookService.replayEvent(req.params.id, { actorId: req.user.id });
+    const failed = event.status === 'failed';
+
+    res.status(failed ? 500 : 200).json({
+      success: !failed,
+      message: failed ? `Webhook event failed again: ${event.error}` : `Webhook event ${event.status}`,
+      data: { event }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reconciliation report: ledger vs Payment records and booking totals
+ * GET /api/admin/reconciliation?from=&to=&page=&limit=&all=true
+ * Only bookings with issues are listed unless `all=true`.
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const { from, to, all, page = 1, limit = 100 } = req.query;
+    const take = Math.min(parseInt(limit) || 100, 500);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates'
+      });
+    }
+
+    const report = await ledgerService.reconcile({ from, to, skip, take, all: all === 'true' });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Post a booking's invoices, payments, refunds and deposit captures missing from the ledger
+ * POST /api/admin/reconciliation/bookings/:id/sync
+ */
+const syncBookingLedger = async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const added = await ledgerService.syncBooking(booking.id);
+    const ledger = await ledgerService.getBookingLedger(booking.id);
+
+    res.json({
+      success: true,
+      message: `${added} ledger entries added`,
+      data: { added, ...ledger }
+    });
+  } catch (error) {
+    console.error('Sync booking ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List balance due payment requests
+ * GET /api/admin/balances?status=open|escalated|paid|waived&userId=
+ */
+const getBalances = async (req, res) => {
+  try {
+    const { status, userId, page = 1, limit = 50 } = req.query;
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const balances = await balanceService.listBalances({ status, userId, skip, take });
+
+    res.json({
+      success: true,
+      data: { balances, count: balances.length }
+    });
+  } catch (error) {
+    console.error('Get balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Write off an unpaid balance and unblock the customer
+ * POST /api/admin/balances/:id/waive
+ * Body: { reason? }
+ */
+const waiveBalance = async (req, res) => {
+  try {
+    const balance = await balanceService.getBalance(req.params.id);
+    if (!balance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Balance not found'
+      });
+    }
+
+    const waived = await balanceService.waiveBalance(balance, { reason: req.body.reason || null, actorId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Balance waived',
+      data: { balance: waived }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Waive balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Helper function for status colors
 function getStatusColor(status) {
   const colors = {
@@ -424,9 +775,117 @@ function getStatusColor(status) {
   return colors[status] || '#CCCCCC';
 }
 
+/**
+ * List waitlist entries in queue order
+ * GET /api/admin/waitlist?status=waiting|offered|booked|lapsed|expired|cancelled&locationId=&vehicleCategory=
+ */
+const getWaitlist = async (req, res) => {
+  try {
+    const { status, locationId, vehicleCategory, page = 1, limit = 50 } = req.query;
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const entries = await waitlistService.listEntries({ status, locationId, vehicleCategory, locationIds: locationScope(req.user), skip, take });
+
+    res.json({
+      success: true,
+      data: { entries, count: entries.length }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Identity document review queue, oldest first
+ * GET /api/admin/documents?status=pending|approved|rejected|superseded&type=&userId=
+ */
+const getDocumentQueue = async (req, res) => {
+  try {
+    const { status = 'pending', type, userId, page = 1, limit = 50 } = req.query;
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const documents = await verificationService.listQueue({ status: status === 'all' ? null : status, type, userId, skip, take });
+
+    res.json({
+      success: true,
+      data: { documents, count: documents.length }
+    });
+  } catch (error) {
+    console.error('Get document queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Shared by approveDocument and rejectDocument
+async function reviewDocument(req, res, decision) {
+  try {
+    const document = await verificationService.getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const reviewed = await verificationService.reviewDocument(document, { decision, reason: req.body.reason || null, actorId: req.user.id });
+    const verification = await verificationService.verificationFor(document.userId);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Document approved' : 'Document rejected',
+      data: { document: reviewed, verificationStatus: verification.status, missing: verification.missing }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Review document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Approve an identity document
+ * POST /api/admin/documents/:id/approve
+ */
+const approveDocument = (req, res) => reviewDocument(req, res, 'approve');
+
+/**
+ * Reject an identity document; the reason is emailed to the customer
+ * POST /api/admin/documents/:id/reject
+ * Body: { reason }
+ */
+const rejectDocument = (req, res) => reviewDocument(req, res, 'reject');
+
 module.exports = {
   getOverviewMetrics,
   getBookingCalendar,
   bulkBookingAction,
-  exportBookings
+  exportBookings,
+  getExpiringHolds,
+  getJobs,
+  runJob,
+  getFailedRefunds,
+  retryRefund,
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvent,
+  getReconciliationReport,
+  syncBookingLedger,
+  getBalances,
+  waiveBalance,
+  getWaitlist,
+  getDocumentQueue,
+  approveDocument,
+  rejectDocument
 };
@@ -1,9 +1,21 @@
 const { PrismaClient } = require('@prisma/client');
-const { hashPassword, comparePassword, generateToken } = require('../utils/auth');
-const { registerSchema, loginSchema } = require('../utils/validation');
+const { hashPassword, comparePassword } = require('../utils/auth');
+const { registerSchema, loginSchema, forgotPasswordSchema, resetPasswordSchema, changePasswordSchema } = require('../utils/validation');
+const sessionService = require('../services/sessionService');
+const userTokenService = require('../services/userTokenService');
+const notificationService = require('../services/notificationService');
+const { logEvent } = require('../services/auditService');
+const { permissionsFor } = require('../services/permissionService');
+const { handleServiceError } = require('../utils/serviceErrors');
 
 const prisma = new PrismaClient();
 
+// Device info stored on the session so users can recognise it in the sessions list
+const sessionMeta = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null
+});
+
 /**
  * Register a new user
  * POST /api/auth/register
@@ -20,7 +32,7 @@ const register = async (req, res) => {
       });
     }
 
-    const { name, email, password, phone, role } = value;
+    const { name, email, password, phone, dateOfBirth } = value;
 
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
@@ -44,7 +56,9 @@ const register = async (req, res) => {
         email,
         passwordHash,
         phone,
-        role
+        // Roles are only granted by admins (PUT /api/users/:id/role)
+        role: 'customer',
+        dateOfBirth
       },
       select: {
         id: true,
@@ -52,19 +66,29 @@ const register = async (req, res) => {
         email: true,
         phone: true,
         role: true,
+        dateOfBirth: true,
         createdAt: true
       }
     });
 
-    // Generate JWT token
-    const token = generateToken(user.id, user.role);
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await sessionService.createSession(user, sessionMeta(req));
+
+    // Send email verification link
+    try {
+      const verificationToken = await userTokenService.issueToken(user.id, 'email_verification');
+      await notificationService.sendEmailVerification(user.email, user, verificationToken);
+    } catch (e) {
+      console.warn('Failed to send verification email', e);
+    }
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -115,8 +139,8 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id, user.role);
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await sessionService.createSession(user, sessionMeta(req));
 
     // Remove password hash from response
     const { passwordHash, ...userWithoutPassword } = user;
@@ -126,7 +150,8 @@ const login = async (req, res) => {
       message: 'Login successful',
       data: {
         user: userWithoutPassword,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -139,7 +164,7 @@ const login = async (req, res) => {
 };
 
 /**
- * Get current user profile
+ * Get current user profile with the permissions of their role
  * GET /api/auth/me
  */
 const getProfile = async (req, res) => {
@@ -152,6 +177,12 @@ const getProfile = async (req, res) => {
         email: true,
         phone: true,
         role: true,
+        emailVerifiedAt: true,
+        dateOfBirth: true,
+        accountStatus: true,
+        blockedReason: true,
+        verificationStatus: true,
+        locationIds: true,
         createdAt: true,
         updatedAt: true,
         _count: {
@@ -172,7 +203,7 @@ const getProfile = async (req, res) => {
 
     res.json({
       success: true,
-      data: { user }
+      data: { user, permissions: permissionsFor(user) }
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -189,19 +220,29 @@ const getProfile = async (req, res) => {
  */
 const updateProfile = async (req, res) => {
   try {
-    const { name, phone } = req.body;
+    const { name, phone, dateOfBirth } = req.body;
 
     // Validate input
-    if (!name && !phone) {
+    if (!name && !phone && !dateOfBirth) {
       return res.status(400).json({
         success: false,
-        message: 'At least one field (name or phone) is required'
+        message: 'At least one field (name, phone or dateOfBirth) is required'
       });
     }
 
     const updateData = {};
     if (name) updateData.name = name;
     if (phone) updateData.phone = phone;
+    if (dateOfBirth) {
+      const dob = new Date(dateOfBirth);
+      if (isNaN(dob.getTime()) || dob > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid date of birth'
+        });
+      }
+      updateData.dateOfBirth = dob;
+    }
 
     const user = await prisma.user.update({
       where: { id: req.user.id },
@@ -212,6 +253,7 @@ const updateProfile = async (req, res) => {
         email: true,
         phone: true,
         role: true,
+        dateOfBirth: true,
         updatedAt: true
       }
     });
@@ -230,9 +272,360 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * POST /api/auth/refresh
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required'
+      });
+    }
+
+    const tokens = await sessionService.rotateRefreshToken(refreshToken, sessionMeta(req));
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Logout the current session, or every device with { allDevices: true }
+ * POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+  try {
+    const { allDevices = false } = req.body || {};
+
+    let revokedCount = 1;
+    if (allDevices) {
+      revokedCount = await sessionService.revokeAllSessions(req.user.id, { reason: 'logout_all' });
+    } else {
+      await sessionService.revokeSession(req.sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: allDevices ? 'Logged out from all devices' : 'Logged out successfully',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List active sessions (devices) of the current user
+ * GET /api/auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(s => ({ ...s, current: s.id === req.sessionId }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions (sign out a device)
+ * DELETE /api/auth/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sessions = await sessionService.listSessions(req.user.id);
+    if (!sessions.some(s => s.id === id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await sessionService.revokeSession(id, 'revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Request a password reset link
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: value.email }
+    });
+
+    // Same response whether or not the account exists, so emails cannot be enumerated
+    if (user) {
+      const token = await userTokenService.issueToken(user.id, 'password_reset');
+      try {
+        await notificationService.sendPasswordResetEmail(user.email, user, token);
+      } catch (e) {
+        console.warn('Failed to send password reset email', e);
+      }
+      await logEvent('user', user.id, 'password_reset_requested', { ipAddress: req.ip });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reset password using a token from the reset email
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const record = await userTokenService.consumeToken(value.token, 'password_reset');
+
+    const passwordHash = await hashPassword(value.password);
+    // Receiving the reset link also proves ownership of the email address
+    const current = await prisma.user.findUnique({ where: { id: record.userId } });
+    const user = await prisma.user.update({
+      where: { id: record.userId },
+      data: {
+        passwordHash,
+        ...(!current.emailVerifiedAt && { emailVerifiedAt: new Date() })
+      }
+    });
+
+    // Sign out everywhere: whoever had the old password may still hold a session
+    await sessionService.revokeAllSessions(user.id, { reason: 'password_reset' });
+    await logEvent('user', user.id, 'password_reset', { ipAddress: req.ip });
+
+    try {
+      await notificationService.sendPasswordChangedNotice(user.email, user);
+    } catch (e) {
+      console.warn('Failed to send password changed notice', e);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Change password for the logged-in user
+ * PUT /api/auth/password
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const isPasswordValid = await comparePassword(value.currentPassword, user.passwordHash);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash: await hashPassword(value.newPassword) }
+    });
+
+    // Keep this device signed in, sign out all others
+    const revokedCount = await sessionService.revokeAllSessions(user.id, {
+      reason: 'password_changed',
+      exceptSessionId: req.sessionId
+    });
+    await logEvent('user', user.id, 'password_changed', { revokedSessions: revokedCount });
+
+    try {
+      await notificationService.sendPasswordChangedNotice(user.email, user);
+    } catch (e) {
+      console.warn('Failed to send password changed notice', e);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { revokedSessions: revokedCount }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Verify email address using the token from the verification email
+ * POST /api/auth/verify-email
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const record = await userTokenService.consumeToken(token, 'email_verification');
+
+    const user = await prisma.user.update({
+      where: { id: record.userId },
+      data: { emailVerifiedAt: new Date() },
+      select: {
+        id: true,
+        email: true,
+        emailVerifiedAt: true
+      }
+    });
+
+    await logEvent('user', user.id, 'email_verified', {});
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Resend the email verification link
+ * POST /api/auth/verify-email/resend
+ */
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const token = await userTokenService.issueToken(req.user.id, 'email_verification');
+    await notificationService.sendEmailVerification(req.user.email, req.user, token);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getProfile,
-  updateProfile
+  updateProfile,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification
 };
\ No newline at end of file
@@ -1,5 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
-const { bookingSchema } = require('../utils/validation');
+const { bookingSchema, quoteSchema, additionalDriversSchema, documentSchema } = require('../utils/validation');
 
 const prisma = new PrismaClient();
 const pricingService = require('../services/pricingService');
@@ -7,8 +7,48 @@ const availabilityService = require('../services/availabilityService');
 const { logEvent } = require('../services/auditService');
 const notificationService = require('../services/notificationService');
 const LoyaltyService = require('../services/loyaltyService');
+const { transitionBooking, assertTransition, actorFor, isValidStatus } = require('../services/bookingLifecycleService');
+const { expireHold } = require('../jobs/holdExpiryJob');
+const quoteService = require('../services/quoteService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const invoiceService = require('../services/invoiceService');
+const ledgerService = require('../services/ledgerService');
+const promoService = require('../services/promoService');
+const addonService = require('../services/addonService');
+const insuranceService = require('../services/insuranceService');
+const locationPolicyService = require('../services/locationPolicyService');
+const depositService = require('../services/depositService');
+const paymentProviders = require('../services/paymentProviders');
+const paymentService = require('../services/paymentService');
+const balanceService = require('../services/balanceService');
+const vehicleAssignmentService = require('../services/vehicleAssignmentService');
+const holdService = require('../services/holdService');
+const driverService = require('../services/driverService');
+const verificationService = require('../services/verificationService');
+const organizationService = require('../services/organizationService');
+const { can, hasPermission, bookingLocations, canAccessBooking, scopeBookings } = require('../services/permissionService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+// Keep the vehicle's odometer current for mileage balancing (see vehicleAssignmentService)
+async function recordOdometer(vehicleId, odometer) {
+  const reading = parseInt(odometer);
+  if (!vehicleId || !(reading >= 0)) return;
+  await prisma.vehicle.update({ where: { id: vehicleId }, data: { odometer: reading } });
+}
 
+/**
+ * Create booking
+ * POST /api/bookings
+ * Pass `quoteId` from POST /api/bookings/quote to lock in the quoted price.
+ * Pass `vehicleCategory` instead of `vehicleId` to reserve a category at the pickup
+ * location; a vehicle is assigned when the booking is prepared.
+ * Pass `organizationId` to book under a company account at its negotiated rate;
+ * bookings outside its travel policy wait for a travel manager's approval.
+ */
 const createBooking = async (req, res) => {
+  let quote = null;
+  let redemption = null;
+  let addonReservations = [];
   try {
     // Validate request body
     const { error, value } = bookingSchema.validate(req.body);
@@ -20,24 +60,27 @@ const createBooking = async (req, res) => {
       });
     }
 
-    const { vehicleId, locationPickupId, locationDropoffId, startDate, endDate, notes } = value;
+    const { vehicleId, vehicleCategory, locationPickupId, locationDropoffId, startDate, endDate, addons, additionalDrivers = [], promoCode, insuranceId, quoteId, paymentMethod, organizationId, notes } = value;
 
-    // Check if vehicle exists and is available
-    const vehicle = await prisma.vehicle.findUnique({
+    // Customers with unpaid balances or a blocked account cannot book
+    await balanceService.assertCanBook(req.user);
+
+    // Check if vehicle exists and is available (category reservations have no vehicle yet)
+    const vehicle = vehicleId ? await prisma.vehicle.findUnique({
       where: { id: vehicleId },
       include: {
         location: true
       }
-    });
+    }) : null;
 
-    if (!vehicle) {
+    if (vehicleId && !vehicle) {
       return res.status(404).json({
         success: false,
         message: 'Vehicle not found'
       });
     }
 
-    if (vehicle.status !== 'available') {
+    if (vehicle && vehicle.status !== 'available') {
       return res.status(400).json({
         success: false,
         message: 'Vehicle is not available'
@@ -64,54 +107,85 @@ const createBooking = async (req, res) => {
       });
     }
 
+    // Pickup location rules (verified email, minimum age, debit cards, additional drivers)
+    locationPolicyService.assertPolicy({ location: pickupLocation, user: req.user, startDate, endDate, paymentMethod, drivers: additionalDrivers });
+
     // Check for booking conflicts
     const start = new Date(startDate);
     const end = new Date(endDate);
 
-    const conflictingBookings = await prisma.booking.findMany({
-      where: {
-        vehicleId,
-        status: { in: ['confirmed', 'active'] },
-        OR: [
-          {
-            startDate: { lte: end },
-            endDate: { gte: start }
-          }
-        ]
+    if (vehicle) {
+      const conflictingBookings = await prisma.booking.findMany({
+        where: {
+          vehicleId,
+          status: { in: ['confirmed', 'active'] },
+          OR: [
+            {
+              startDate: { lte: end },
+              endDate: { gte: start }
+            }
+          ]
+        }
+      });
+
+      if (conflictingBookings.length > 0 || !(await availabilityService.hasCategoryCapacity(vehicle, start, end))) {
+        return res.status(409).json({
+          success: false,
+          message: 'Vehicle is not available for the selected dates'
+        });
       }
-    });
+    } else {
+      const { available } = await availabilityService.categoryAvailability({ category: vehicleCategory, locationId: locationPickupId, startDate: start, endDate: end });
+      if (available === 0) {
+        return res.status(409).json({
+          success: false,
+          message: `No ${vehicleCategory} vehicles are available at this location for the selected dates`
+        });
+      }
+    }
 
-    if (conflictingBookings.length > 0) {
-      return res.status(409).json({
-        success: false,
-        message: 'Vehicle is not available for the selected dates'
-      });
+    // Calculate total price: honour a valid quote, otherwise price now (use pricing service)
+    let priceBreakdown;
+    if (quoteId) {
+      quote = await quoteService.redeemQuote(quoteId, { userId: req.user.id, vehicleId, vehicleCategory, locationPickupId, locationDropoffId, startDate: start, endDate: end, addons, additionalDrivers, promoCode, insuranceId, organizationId });
+      priceBreakdown = quote.breakdown;
+    } else {
+      priceBreakdown = await pricingService.calculatePriceForBooking({ vehicleId, vehicleCategory, startDate: start, endDate: end, addons, additionalDrivers, promoCode, insuranceId, userId: req.user.id, pickupLocationId: locationPickupId, dropoffLocationId: locationDropoffId, organizationId });
     }
 
-    // Calculate total price (use pricing service)
-    let priceBreakdown = { total: vehicle.dailyRate };
-    try {
-      priceBreakdown = await pricingService.calculatePriceForBooking({ vehicleId, startDate: start, endDate: end, addons: [], promoCode: null, userId: req.user.id, pickupLocationId, dropoffLocationId });
-    } catch (e) {
-      console.warn('Pricing calculation failed, falling back to simple price', e);
+    // Corporate bookings outside the travel policy wait for a travel manager
+    const approval = await organizationService.corporateBookingData(req.user, organizationId, { vehicleCategory: vehicle ? vehicle.category : vehicleCategory, breakdown: priceBreakdown });
+
+    if (promoCode) {
+      redemption = await promoService.redeemPromo(promoCode, { userId: req.user.id, discount: priceBreakdown.promoDiscount || 0 });
     }
 
+    addonReservations = await addonService.reserveAddOns(addons, { locationId: locationPickupId, startDate: start, endDate: end });
+
+    // The policy shown in the quote, otherwise the one that applies now; later edits don't affect the booking
+    const cancellationPolicy = (quote && quote.cancellationPolicy)
+      || await cancellationPolicyService.resolvePolicy({ locationId: locationPickupId, category: vehicle ? vehicle.category : vehicleCategory, promoCode });
+
     // Create booking
     const booking = await prisma.booking.create({
       data: {
         userId: req.user.id,
-        vehicleId,
+        vehicleId: vehicleId || null,
+        vehicleCategory: vehicleCategory || null,
         locationPickupId,
         locationDropoffId,
         startDate: start,
         endDate: end,
-        subtotal: priceBreakdown.subtotal || 0,
-        taxes: priceBreakdown.taxes || 0,
-        fees: (priceBreakdown.fees || 0) + (priceBreakdown.youngDriverFee || 0),
-        totalPrice: priceBreakdown.total || 0,
+        ...pricingService.priceVersionData(null, priceBreakdown, { reason: quote ? 'quoted' : 'created', actorId: req.user.id }),
         addons: priceBreakdown.addons || [],
+        additionalDrivers: driverService.normalizeDrivers(additionalDrivers),
+        promoCode: promoCode || null,
+        quoteId: quote ? quote.id : null,
+        cancellationPolicy,
+        paymentMethod: paymentMethod || null,
         notes,
-        status: 'pending'
+        status: 'pending',
+        ...approval
       },
       include: {
         vehicle: {
@@ -151,6 +225,17 @@ const createBooking = async (req, res) => {
       }
     });
 
+    if (quote) {
+      await quoteService.attachBooking(quote.id, booking.id);
+    }
+    if (redemption) {
+      await promoService.attachBooking(redemption.id, booking.id);
+    }
+    await addonService.attachBooking(addonReservations, booking.id);
+    if (booking.approvalStatus === 'pending') {
+      await organizationService.requestApproval(booking);
+    }
+
     // Send confirmation email
     try {
       await notificationService.sendBookingConfirmation(booking.user.email, booking);
@@ -164,6 +249,10 @@ const createBooking = async (req, res) => {
       data: { booking }
     });
   } catch (error) {
+    if (quote) await quoteService.releaseQuote(quote.id).catch(() => {});
+    if (redemption) await promoService.releaseRedemption(redemption, 'booking_failed').catch(() => {});
+    await addonService.discardReservations(addonReservations).catch(() => {});
+    if (handleServiceError(res, error)) return;
     console.error('Create booking error:', error);
     res.status(500).json({
       success: false,
@@ -269,6 +358,7 @@ const getUserBookings = async (req, res) => {
 /**
  * Get booking by ID
  * GET /api/bookings/:id
+ * `drivers` lists everyone allowed to drive: the renter, then the additional drivers.
  */
 const getBookingById = async (req, res) => {
   try {
@@ -292,7 +382,9 @@ const getBookingById = async (req, res) => {
         },
         pickupLocation: true,
         dropoffLocation: true,
-        payment: true
+        payment: {
+          include: { transactions: { orderBy: { createdAt: 'asc' } } }
+        }
       }
     });
 
@@ -303,8 +395,8 @@ const getBookingById = async (req, res) => {
       });
     }
 
-    // Check if user owns the booking or is admin
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the booking or is staff at its locations
+    if (!canAccessBooking(req.user, booking, 'bookings:read')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -313,7 +405,7 @@ const getBookingById = async (req, res) => {
 
     res.json({
       success: true,
-      data: { booking }
+      data: { booking, drivers: driverService.bookingDrivers(booking) }
     });
   } catch (error) {
     console.error('Get booking by ID error:', error);
@@ -325,7 +417,7 @@ const getBookingById = async (req, res) => {
 };
 
 /**
- * Update booking status (Admin only)
+ * Update booking status (staff with bookings:manage at the booking's locations)
  * PUT /api/bookings/:id/status
  */
 const updateBookingStatus = async (req, res) => {
@@ -333,8 +425,7 @@ const updateBookingStatus = async (req, res) => {
     const { id } = req.params;
     const { status } = req.body;
 
-    const validStatuses = ['pending', 'confirmed', 'active', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!isValidStatus(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status'
@@ -352,9 +443,39 @@ const updateBookingStatus = async (req, res) => {
       });
     }
 
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: { status },
+    if (!can(req.user, 'bookings:manage', ...bookingLocations(booking))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Pickup and return run their own checks (documents, deposit, drivers, return charges)
+    if (status === 'active' || status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: status === 'active'
+          ? 'Start rentals with POST /api/bookings/:id/pickup or /contactless-pickup'
+          : 'Complete rentals with POST /api/bookings/:id/return'
+      });
+    }
+
+    // Category reservations get their vehicle when they are prepared
+    if (status === 'ready_for_pickup' && !booking.vehicleId) {
+      return res.status(409).json({
+        success: false,
+        message: 'Assign a vehicle first: prepare category reservations with POST /api/bookings/:id/prepare'
+      });
+    }
+
+    // Corporate bookings outside the travel policy are confirmed by a travel manager's approval
+    if (status === 'confirmed' && booking.organizationId) {
+      organizationService.assertApproved(booking);
+    }
+
+    const updatedBooking = await transitionBooking(booking, status, {
+      actor: actorFor(req.user),
+      userId: req.user.id,
       include: {
         vehicle: {
           select: {
@@ -382,12 +503,41 @@ const updateBookingStatus = async (req, res) => {
       }
     });
 
+    // Bookings cancelled by staff are refunded in full; no-shows keep the policy's no-show fee
+    let refund = null;
+    let noShow = null;
+    let creditNote = null;
+    if (status === 'cancelled') {
+      try {
+        refund = await paymentService.refundForCancellation(booking.id, Infinity, { actorId: req.user.id, reason: 'cancelled_by_admin' });
+      } catch (e) {
+        console.warn('Failed to refund cancelled booking', e);
+      }
+    } else if (status === 'no_show') {
+      noShow = cancellationPolicyService.evaluateNoShow(booking.cancellationPolicy, { total: booking.totalPrice });
+      await logEvent('booking', booking.id, 'no_show_fee', { userId: req.user.id, ...noShow });
+      try {
+        refund = await paymentService.refundForCancellation(booking.id, noShow.refundAmount, { actorId: req.user.id, reason: 'no_show' });
+      } catch (e) {
+        console.warn('Failed to refund no-show booking', e);
+      }
+    }
+    if (['cancelled', 'no_show'].includes(status)) {
+      try {
+        creditNote = await invoiceService.creditForCancellation(booking.id, noShow ? noShow.refundAmount : Infinity, { reason: status, actorId: req.user.id });
+        await invoiceService.sendDocuments([creditNote]);
+      } catch (e) {
+        console.warn('Failed to issue credit note', e);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Booking status updated successfully',
-      data: { booking: updatedBooking }
+      data: { booking: updatedBooking, refund, noShow, creditNote }
     });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Update booking status error:', error);
     res.status(500).json({
       success: false,
@@ -427,27 +577,12 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    // Check if booking can be cancelled
-    if (['completed', 'cancelled', 'active'].includes(booking.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot cancel this booking'
-      });
-    }
-
+    // Fee from the policy recorded at booking time (bookings made before policies use the default)
     const now = new Date();
-    const startDate = new Date(booking.startDate);
-    const hoursBeforeStart = (startDate - now) / (1000 * 60 * 60);
-
-    // Cancellation policy: free if >48 hours before start, else 50% fee
-    let cancellationFee = 0;
-    let refundAmount = 0;
-    if (hoursBeforeStart <= 48) {
-      cancellationFee = booking.totalPrice * 0.5;
-      refundAmount = booking.totalPrice - cancellationFee;
-    } else {
-      refundAmount = booking.totalPrice;
-    }
+    const { policy, tier, hoursBeforeStart, cancellationFee, refundAmount } = cancellationPolicyService.evaluateCancellation(
+      booking.cancellationPolicy,
+      { total: booking.totalPrice, startDate: booking.startDate, now }
+    );
 
     const addons = booking.addons || {};
     addons.cancellation = {
@@ -455,23 +590,34 @@ const cancelBooking = async (req, res) => {
       hoursBeforeStart,
       cancellationFee,
       refundAmount,
-      policy: hoursBeforeStart > 48 ? 'free' : '50% fee'
+      policy,
+      tier
     };
 
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: { status: 'cancelled', addons }
+    // Lifecycle rejects cancelling active/completed bookings and releases the vehicle
+    const updatedBooking = await transitionBooking(booking, 'cancelled', {
+      actor: actorFor(req.user),
+      userId: req.user.id,
+      data: { addons }
     });
 
-    // Update vehicle status back to available if reserved
-    if (booking.vehicleId && ['confirmed', 'ready_for_pickup'].includes(booking.status)) {
-      await prisma.vehicle.update({
-        where: { id: booking.vehicleId },
-        data: { status: 'available' }
-      });
+    await logEvent('booking', id, 'cancelled', { userId: req.user.id, policy, cancellationFee, refundAmount });
+
+    // Refund through the payment provider; a failed refund is recorded for an admin to retry
+    let refund = null;
+    try {
+      refund = await paymentService.refundForCancellation(booking.id, refundAmount, { actorId: req.user.id });
+    } catch (e) {
+      console.warn('Failed to refund cancelled booking', e);
     }
 
-    await logEvent('booking', id, 'cancelled', { userId: req.user.id, cancellationFee, refundAmount });
+    let creditNote = null;
+    try {
+      creditNote = await invoiceService.creditForCancellation(booking.id, refundAmount, { actorId: req.user.id });
+      await invoiceService.sendDocuments([creditNote]);
+    } catch (e) {
+      console.warn('Failed to issue credit note', e);
+    }
 
     // Send cancellation confirmation
     try {
@@ -483,9 +629,10 @@ const cancelBooking = async (req, res) => {
     res.json({
       success: true,
       message: 'Booking cancelled successfully',
-      data: { booking: updatedBooking, cancellationFee, refundAmount }
+      data: { booking: updatedBooking, cancellationFee, refundAmount, refund, creditNote }
     });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Cancel booking error:', error);
     res.status(500).json({
       success: false,
@@ -495,7 +642,7 @@ const cancelBooking = async (req, res) => {
 };
 
 /**
- * Get all bookings (Admin only)
+ * Get all bookings at the staff member's locations
  * GET /api/bookings/admin/all
  */
 const getAllBookings = async (req, res) => {
@@ -518,9 +665,11 @@ const getAllBookings = async (req, res) => {
       where.vehicleId = vehicleId;
     }
 
+    const scoped = scopeBookings(req.user, where);
+
     const [bookings, totalCount] = await Promise.all([
       prisma.booking.findMany({
-        where,
+        where: scoped,
         include: {
           user: {
             select: {
@@ -571,7 +720,7 @@ const getAllBookings = async (req, res) => {
         skip,
         take
       }),
-      prisma.booking.count({ where })
+      prisma.booking.count({ where: scoped })
     ]);
 
     const totalPages = Math.ceil(totalCount / take);
@@ -601,55 +750,66 @@ const getAllBookings = async (req, res) => {
 // Exports will be defined after all handlers to ensure functions are initialized
 
 /**
- * Create a booking hold (reserve vehicle for short time)
- * POST /api/bookings/hold
+ * Get a signed, time-limited price quote with the full breakdown
+ * POST /api/bookings/quote
  */
-const holdBooking = async (req, res) => {
+const createQuote = async (req, res) => {
   try {
-    const { error, value } = bookingSchema.validate(req.body);
+    const { error, value } = quoteSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
     }
 
-    const { vehicleId, locationPickupId, locationDropoffId, startDate, endDate, addons = [], promoCode } = value;
+    const [vehicle, pickupLocation, dropoffLocation] = await Promise.all([
+      value.vehicleId
+        ? prisma.vehicle.findUnique({ where: { id: value.vehicleId } })
+        : pricingService.categoryVehicle(value.vehicleCategory, value.locationPickupId),
+      prisma.location.findUnique({ where: { id: value.locationPickupId } }),
+      prisma.location.findUnique({ where: { id: value.locationDropoffId } })
+    ]);
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: value.vehicleId ? 'Vehicle not found' : 'No vehicles in this category at the pickup location' });
+    }
+    if (!pickupLocation) return res.status(404).json({ success: false, message: 'Pickup location not found' });
+    if (!dropoffLocation) return res.status(404).json({ success: false, message: 'Dropoff location not found' });
+
+    // Fail early on add-ons that cannot be supplied; stock is only reserved when booking
+    await addonService.assertAvailable(value.addons, { locationId: value.locationPickupId, startDate: value.startDate, endDate: value.endDate });
 
-    // Check availability
-    const available = await availabilityService.isVehicleAvailable(vehicleId, startDate, endDate);
-    if (!available) {
-      return res.status(409).json({ success: false, message: 'Vehicle not available for selected dates' });
+    // Negotiated rates are only quoted to members of the organization
+    if (value.organizationId) {
+      if (!req.user) return res.status(401).json({ success: false, message: 'Sign in to get a quote for your organization' });
+      await organizationService.membershipFor(req.user, value.organizationId);
     }
 
-    // Calculate price
-    const price = await pricingService.calculatePriceForBooking({ vehicleId, startDate, endDate, addons, promoCode, userId: req.user.id, pickupLocationId, dropoffLocationId });
+    const quote = await quoteService.createQuote(value, req.user ? req.user.id : null);
+
+    res.status(201).json({ success: true, message: 'Quote created', data: { quote: quoteService.toResponse(quote) } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Create quote error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
 
-    // Create booking with pending_hold and holdExpiresAt (e.g., 15 minutes)
-    const holdDurationMinutes = parseInt(process.env.HOLD_MINUTES || '15');
-    const holdExpiresAt = new Date(Date.now() + holdDurationMinutes * 60 * 1000);
+/**
+ * Create a booking hold (reserve vehicle for short time)
+ * POST /api/bookings/hold
+ */
+const holdBooking = async (req, res) => {
+  try {
+    const { error, value } = bookingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
 
-    const booking = await prisma.booking.create({
-      data: {
-        userId: req.user.id,
-        vehicleId,
-        locationPickupId,
-        locationDropoffId,
-        startDate: new Date(startDate),
-        endDate: new Date(endDate),
-        subtotal: price.subtotal,
-        taxes: price.taxes,
-        fees: price.fees + price.youngDriverFee,
-        totalPrice: price.total,
-        addons: price.addons,
-        promoCode: promoCode || null,
-        status: 'pending_hold',
-        paymentStatus: 'pending',
-        holdExpiresAt
-      }
-    });
+    await balanceService.assertCanBook(req.user);
 
-    await logEvent('booking', booking.id, 'hold_created', { userId: req.user.id, holdExpiresAt, price });
+    const { booking, price } = await holdService.createHold(req.user, value);
 
     res.status(201).json({ success: true, message: 'Hold created', data: { booking, price } });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Hold booking error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
@@ -658,46 +818,107 @@ const holdBooking = async (req, res) => {
 /**
  * Confirm a booking (capture payment / finalize)
  * POST /api/bookings/confirm
+ * The pickup location's rules are checked again against the renter and the
+ * payment method actually used; the location's deposit is returned as a separate line.
+ * The total is charged through the payment provider (`paymentSource` is the card or
+ * provider token); a declined card returns 402 with the decline `code`.
+ * Corporate bookings are not charged: they are billed on the organization's monthly
+ * consolidated invoice, once approved when outside its travel policy.
  */
 const confirmBooking = async (req, res) => {
   try {
-    const { bookingId, providerId, paymentMethod = 'credit_card' } = req.body;
+    const { bookingId, paymentSource = null } = req.body;
     if (!bookingId) return res.status(400).json({ success: false, message: 'bookingId is required' });
 
-    const booking = await prisma.booking.findUnique({ where: { id: bookingId } });
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { user: true, pickupLocation: true }
+    });
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    const paymentMethod = req.body.paymentMethod || booking.paymentMethod || 'credit_card';
+
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
     // Check hold expiration
-    if (booking.status !== 'pending_hold') {
-      return res.status(400).json({ success: false, message: 'Booking is not in hold state' });
-    }
-    if (booking.holdExpiresAt && new Date(booking.holdExpiresAt) < new Date()) {
-      // expire
-      await prisma.booking.update({ where: { id: bookingId }, data: { status: 'cancelled' } });
-      await logEvent('booking', bookingId, 'hold_expired', {});
+    if (booking.status === 'pending_hold' && booking.holdExpiresAt && new Date(booking.holdExpiresAt) < new Date()) {
+      // expire now rather than waiting for the sweeper
+      await expireHold(booking);
       return res.status(410).json({ success: false, message: 'Hold expired' });
     }
 
-    // Here you would integrate with Stripe to capture payment; for now create Payment record and mark as completed
+    // Fail before any payment is recorded if the booking cannot be confirmed
+    assertTransition(booking.status, 'confirmed', actorFor(req.user));
+    const { deposit } = locationPolicyService.assertPolicy({
+      location: booking.pickupLocation,
+      user: booking.user,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      paymentMethod,
+      drivers: booking.additionalDrivers || []
+    });
+
+    if (booking.organizationId) {
+      organizationService.assertApproved(booking);
+      const updated = await transitionBooking(booking, 'confirmed', {
+        actor: actorFor(req.user),
+        userId: req.user.id,
+        data: { paymentStatus: 'invoiced', paymentMethod }
+      });
+      await logEvent('booking', bookingId, 'confirmed', { organizationId: booking.organizationId, deposit });
+
+      return res.json({ success: true, message: 'Booking confirmed', data: { booking: updated, payment: null, deposit } });
+    }
+
+    const provider = paymentProviders.getProvider();
+    let charge;
+    try {
+      charge = await paymentProviders.charge({
+        amount: booking.totalPrice,
+        currency: (booking.pickupLocation && booking.pickupLocation.currency) || 'USD',
+        paymentMethod,
+        source: paymentSource,
+        reference: `booking_${booking.id}`,
+        metadata: { bookingId: booking.id }
+      }, provider);
+    } catch (error) {
+      if (error instanceof paymentProviders.PaymentProviderError) {
+        await logEvent('booking', bookingId, 'payment_declined', { userId: req.user.id, provider: provider.name, code: error.code });
+      }
+      throw error;
+    }
+
+    let updated;
+    try {
+      updated = await transitionBooking(booking, 'confirmed', {
+        actor: actorFor(req.user),
+        userId: req.user.id,
+        data: { paymentStatus: 'captured', paymentMethod }
+      });
+    } catch (error) {
+      // The booking changed underneath us; give the money back
+      await provider.refund(charge.authorizationId, { amount: charge.amount }).catch(e => console.error('Refund after failed confirmation failed', e));
+      throw error;
+    }
+
     const payment = await prisma.payment.create({
       data: {
         bookingId: booking.id,
-        amount: booking.totalPrice,
+        amount: charge.amount,
         method: paymentMethod,
-        status: 'completed',
-        providerId: providerId || null
+        status: 'captured',
+        provider: charge.provider,
+        providerId: charge.authorizationId
       }
     });
+    await paymentService.recordCharge(payment, { actorId: req.user.id, providerRef: charge.captureId });
+    await logEvent('booking', bookingId, 'confirmed', { paymentId: payment.id, provider: charge.provider, deposit });
 
-    const updated = await prisma.booking.update({ where: { id: bookingId }, data: { status: 'confirmed', paymentStatus: 'captured' } });
-    await logEvent('booking', bookingId, 'confirmed', { paymentId: payment.id });
-
-    res.json({ success: true, message: 'Booking confirmed', data: { booking: updated, payment } });
+    res.json({ success: true, message: 'Booking confirmed', data: { booking: updated, payment, deposit } });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Confirm booking error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
@@ -725,8 +946,8 @@ const getUserDashboard = async (req, res) => {
       prisma.booking.count({ where: { userId } }),
       // Cancelled bookings
       prisma.booking.count({ where: { userId, status: 'cancelled' } }),
-      // Number of promo rules (available coupons)
-      prisma.priceRule.count({ where: { type: 'promo' } }),
+      // Number of active promo codes (available coupons)
+      prisma.priceRule.count({ where: { type: 'promo', isActive: true } }),
       // Recent bookings list (latest 5)
       prisma.booking.findMany({
         where: { userId },
@@ -773,42 +994,69 @@ const getUserDashboard = async (req, res) => {
 /**
  * Pickup checklist — store inspection info and mark booking active
  * POST /api/bookings/:id/pickup
+ * The pickup location's security deposit is authorized before the rental starts.
+ * Bookings with additional drivers need `driversChecked: true` (their licenses were seen).
+ * The renter's documents must be approved and valid until the end of the rental.
  */
 const pickupChecklist = async (req, res) => {
   try {
     const { id } = req.params;
-    const { photos = [], fuelLevel = null, odometer = null, notes = '', userVerified = false, documentsChecked = false, signature = null, damageAcknowledged = false } = req.body;
+    const { photos = [], fuelLevel = null, odometer = null, notes = '', userVerified = false, documentsChecked = false, driversChecked = false, signature = null, damageAcknowledged = false, paymentSource = null } = req.body;
 
-    const booking = await prisma.booking.findUnique({ where: { id } });
+    const booking = await prisma.booking.findUnique({ where: { id }, include: { pickupLocation: true, user: { select: { name: true } } } });
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
-    // Only allow pickup when booking is ready for pickup
-    if (booking.status !== 'ready_for_pickup') {
-      return res.status(400).json({ success: false, message: 'Booking is not ready for pickup' });
+    // The selected insurance can require documents to be checked at the counter
+    const missingDocuments = insuranceService.missingDocuments(booking.insuranceSelected, documentsChecked);
+    if (missingDocuments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Required documents for the selected insurance have not been checked',
+        missingDocuments
+      });
+    }
+
+    // Every additional driver's license is checked at the counter before they may drive
+    const drivers = driverService.bookingDrivers(booking);
+    if (drivers.length > 1 && !driversChecked) {
+      return res.status(400).json({
+        success: false,
+        message: 'The licenses of the additional drivers have not been checked',
+        drivers
+      });
     }
 
     // Save inspection data into the booking.addons JSON (legacy field) under pickupInspection
     const addons = booking.addons || {};
-    addons.pickupInspection = { photos, fuelLevel, odometer, notes, userVerified, documentsChecked, signature, damageAcknowledged, at: new Date() };
+    addons.pickupInspection = { photos, fuelLevel, odometer, notes, userVerified, documentsChecked, drivers, driversChecked, signature, damageAcknowledged, at: new Date() };
 
-    const updated = await prisma.booking.update({ where: { id }, data: { addons, status: 'active' } });
+    // Only ready_for_pickup bookings can become active; the vehicle is marked rented
+    assertTransition(booking.status, 'active', actorFor(req.user));
+    await verificationService.assertVerifiedForPickup(booking);
+    const deposit = await depositService.authorizeDeposit(booking, { location: booking.pickupLocation, actorId: req.user.id, source: paymentSource });
 
-    // Update vehicle status to rented
-    if (booking.vehicleId) {
-      await prisma.vehicle.update({
-        where: { id: booking.vehicleId },
-        data: { status: 'rented' }
+    let updated;
+    try {
+      updated = await transitionBooking(booking, 'active', {
+        actor: actorFor(req.user),
+        userId: req.user.id,
+        data: { addons }
       });
+    } catch (error) {
+      if (deposit) await depositService.releaseForBooking(booking.id, 'pickup_failed').catch(() => {});
+      throw error;
     }
 
-    await logEvent('booking', id, 'picked_up', { userId: req.user.id, photosCount: photos.length, fuelLevel, odometer, userVerified, documentsChecked });
+    await logEvent('booking', id, 'picked_up', { userId: req.user.id, photosCount: photos.length, fuelLevel, odometer, userVerified, documentsChecked, driversCount: drivers.length });
+    await recordOdometer(booking.vehicleId, odometer);
 
-    res.json({ success: true, message: 'Pickup recorded, booking is now active', data: { booking: updated } });
+    res.json({ success: true, message: 'Pickup recorded, booking is now active', data: { booking: updated, deposit, drivers } });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Pickup checklist error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
@@ -829,13 +1077,11 @@ const returnChecklist = async (req, res) => {
     });
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
-    if (booking.status !== 'active') {
-      return res.status(400).json({ success: false, message: 'Booking is not active' });
-    }
+    assertTransition(booking.status, 'completed', actorFor(req.user));
 
     const now = new Date();
     const endDate = new Date(booking.endDate);
@@ -869,11 +1115,12 @@ const returnChecklist = async (req, res) => {
       fuelCost = fuelNeeded * fuelPricePerGallon;
     }
 
-    // Damage cost
+    // Damage cost, capped at the deductible when the selected insurance covers damage
     const damageCostValue = damage ? parseFloat(damageCost) || 0 : 0;
+    const damageCover = insuranceService.capDamage(damageCostValue, booking.insuranceSelected);
 
     // Total adjustments
-    const totalAdjustments = lateFee + extraMileageCost + fuelCost + damageCostValue;
+    const totalAdjustments = lateFee + extraMileageCost + fuelCost + damageCover.charged;
     const finalTotal = booking.totalPrice + totalAdjustments;
 
     const addons = booking.addons || {};
@@ -884,6 +1131,9 @@ const returnChecklist = async (req, res) => {
       damage,
       damageNotes,
       damageCost: damageCostValue,
+      damageCharged: damageCover.charged,
+      damageWaived: damageCover.waived,
+      deductible: damageCover.deductible,
       calculations: {
         lateFee,
         extraMileageCost,
@@ -894,36 +1144,41 @@ const returnChecklist = async (req, res) => {
       at: now
     };
 
-    const updated = await prisma.booking.update({
-      where: { id },
+    // Damaged vehicles go to maintenance instead of back into the available pool
+    const newVehicleStatus = damage ? 'maintenance' : 'available';
+
+    const updated = await transitionBooking(booking, 'completed', {
+      actor: actorFor(req.user),
+      userId: req.user.id,
       data: {
         addons,
-        status: 'completed',
         totalPrice: finalTotal
-      }
+      },
+      vehicleStatus: newVehicleStatus
     });
 
-    // Update vehicle status
-    let newVehicleStatus = 'available';
-    if (damage) {
-      newVehicleStatus = 'maintenance';
-    }
-
-    if (booking.vehicleId) {
-      await prisma.vehicle.update({
-        where: { id: booking.vehicleId },
-        data: { status: newVehicleStatus }
-      });
-    }
-
     await logEvent('booking', id, 'returned', {
       userId: req.user.id,
       damage,
       odometer,
+      damageWaived: damageCover.waived,
       totalAdjustments,
       finalTotal,
       vehicleStatus: newVehicleStatus
     });
+    await recordOdometer(booking.vehicleId, odometer);
+
+    // Bill the adjustments against the security deposit and release the rest.
+    // If the provider fails the deposit stays open and can be settled by an admin.
+    let deposit = null;
+    try {
+      deposit = await depositService.settleForBooking(booking.id, totalAdjustments, {
+        actorId: req.user.id,
+        details: { lateFee, extraMileageCost, fuelCost, damageCharged: damageCover.charged }
+      });
+    } catch (e) {
+      console.warn('Failed to settle security deposit', e);
+    }
 
     // Award loyalty points for completed booking
     try {
@@ -938,15 +1193,36 @@ const returnChecklist = async (req, res) => {
       // Non-critical error, continue
     }
 
+    let returnInvoice = null;
+    try {
+      returnInvoice = await invoiceService.issueReturnInvoice(booking.id, {
+        lateFee,
+        extraMileageCost,
+        fuelCost,
+        damageCharged: damageCover.charged
+      }, { actorId: req.user.id });
+    } catch (e) {
+      console.warn('Failed to invoice return charges', e);
+    }
+
+    // Whatever the deposit did not cover becomes a payment request with reminders
+    let balance = null;
+    try {
+      balance = await balanceService.openForBooking(booking.id, { actorId: req.user.id });
+    } catch (e) {
+      console.warn('Failed to open balance due', e);
+    }
+
     // Send receipt
     try {
       await notificationService.sendReturnReceipt(booking.user.email, updated, {
+        baseAmount: booking.totalPrice,
         lateFee,
         extraMileageCost,
         fuelCost,
-        damageCost: damageCostValue,
+        damageCharged: damageCover.charged,
         totalAdjustments
-      });
+      }, returnInvoice, returnInvoice && invoiceService.renderPdf([returnInvoice]));
     } catch (e) {
       console.warn('Failed to send return receipt', e);
     }
@@ -970,50 +1246,260 @@ const returnChecklist = async (req, res) => {
           damageCost: damageCostValue,
           totalAdjustments,
           finalTotal
-        }
+        },
+        deposit,
+        invoice: returnInvoice,
+        balance
       }
     });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Return checklist error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
 };
 
 /**
- * Prepare booking for pickup (Admin only)
+ * Security deposit and its ledger
+ * GET /api/bookings/:id/deposit
+ */
+const getBookingDeposit = async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    if (!canAccessBooking(req.user, booking, 'bookings:read')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const deposit = await depositService.getDepositLedger(booking.id);
+    if (!deposit) return res.status(404).json({ success: false, message: 'No deposit for this booking' });
+
+    res.json({ success: true, data: { deposit, remaining: depositService.remaining(deposit) } });
+  } catch (error) {
+    console.error('Get booking deposit error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Invoices and credit notes for a booking
+ * GET /api/bookings/:id/invoice?format=json|pdf&number=INV-2026-000001
+ * JSON lists every document with the booking's balance; PDF renders them (or just `number`).
+ * The rental invoice of a confirmed booking issued before invoicing existed is created on first request.
+ */
+const getBookingInvoice = async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    if (!canAccessBooking(req.user, booking, 'bookings:read')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    let { documents, summary } = await invoiceService.listForBooking(booking.id);
+    if (documents.length === 0 && ['confirmed', 'reserved', 'ready_for_pickup', 'active', 'completed'].includes(booking.status)) {
+      await invoiceService.issueBookingInvoice(booking.id);
+      ({ documents, summary } = await invoiceService.listForBooking(booking.id));
+    }
+    if (documents.length === 0) {
+      return res.status(404).json({ success: false, message: 'No invoice has been issued for this booking' });
+    }
+
+    const { format, number } = req.query;
+    if (number) {
+      documents = documents.filter(d => d.number === number);
+      if (documents.length === 0) return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    const wantsPdf = format === 'pdf' || (!format && req.accepts(['json', 'pdf']) === 'pdf');
+    if (wantsPdf) {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${number || `invoice-${booking.id}`}.pdf"`
+      });
+      return res.send(invoiceService.renderPdf(documents));
+    }
+
+    res.json({ success: true, data: { documents, summary } });
+  } catch (error) {
+    console.error('Get booking invoice error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Ledger of a booking's charges, payments, refunds and adjustments with the running
+ * balance and what the customer still owes (`totals.outstanding`, negative when overpaid)
+ * GET /api/bookings/:id/ledger
+ */
+const getBookingLedger = async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    if (!canAccessBooking(req.user, booking, 'bookings:read')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const ledger = await ledgerService.getBookingLedger(booking.id);
+
+    res.json({ success: true, data: ledger });
+  } catch (error) {
+    console.error('Get booking ledger error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Payment requests for what the customer still owes after return
+ * GET /api/bookings/:id/balance
+ */
+const getBookingBalance = async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    if (!canAccessBooking(req.user, booking, 'bookings:read')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const balances = await prisma.balanceDue.findMany({
+      where: { bookingId: booking.id },
+      orderBy: { createdAt: 'desc' }
+    });
+    const due = balances.find(b => balanceService.UNPAID_STATUSES.includes(b.status)) || null;
+
+    res.json({ success: true, data: { due, balances } });
+  } catch (error) {
+    console.error('Get booking balance error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Pay the unpaid balance of a booking
+ * POST /api/bookings/:id/balance/pay
+ * Body: { paymentSource?, paymentMethod? }
+ */
+const payBookingBalance = async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const balance = await prisma.balanceDue.findFirst({
+      where: { bookingId: booking.id, status: { in: balanceService.UNPAID_STATUSES } }
+    });
+    if (!balance) return res.status(404).json({ success: false, message: 'No unpaid balance for this booking' });
+
+    const { paymentSource = null, paymentMethod = 'credit_card' } = req.body;
+    const paid = await balanceService.payBalance(balance, {
+      source: paymentSource,
+      paymentMethod,
+      actorId: req.user.id
+    });
+
+    res.json({ success: true, message: 'Balance paid', data: { balance: paid } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Pay booking balance error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Capture part of a booking's deposit (staff with deposits:manage)
+ * POST /api/bookings/:id/deposit/capture
+ * Body: { amount, reason? }
+ */
+const captureBookingDeposit = async (req, res) => {
+  try {
+    const amount = parseFloat(req.body.amount);
+    if (!(amount > 0)) return res.status(400).json({ success: false, message: 'amount must be a positive number' });
+
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (!can(req.user, 'deposits:manage', ...bookingLocations(booking))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const deposit = await depositService.getDepositLedger(booking.id);
+    if (!deposit) return res.status(404).json({ success: false, message: 'No deposit for this booking' });
+
+    const updated = await depositService.captureDeposit(deposit, amount, { reason: req.body.reason || 'manual', actorId: req.user.id });
+
+    res.json({ success: true, message: 'Deposit captured', data: { deposit: updated, remaining: depositService.remaining(updated) } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Capture booking deposit error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Release what is left of a booking's deposit (staff with deposits:manage)
+ * POST /api/bookings/:id/deposit/release
+ */
+const releaseBookingDeposit = async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (!can(req.user, 'deposits:manage', ...bookingLocations(booking))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const deposit = await depositService.getDepositLedger(booking.id);
+    if (!deposit) return res.status(404).json({ success: false, message: 'No deposit for this booking' });
+
+    const updated = await depositService.releaseDeposit(deposit, { reason: req.body.reason || 'manual', actorId: req.user.id });
+
+    res.json({ success: true, message: 'Deposit released', data: { deposit: updated } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Release booking deposit error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Prepare booking for pickup (staff with bookings:manage)
  * POST /api/bookings/:id/prepare
+ * Category reservations get a vehicle here: `vehicleId` if given, otherwise the
+ * assigner's pick (lowest mileage, free upgrade when the category is full).
  */
 const prepareBooking = async (req, res) => {
   try {
     const { id } = req.params;
-    const { cleaned = false, fueled = false, inspected = false, maintenanceDone = false, conditionImages = [], notes = '' } = req.body;
+    const { cleaned = false, fueled = false, inspected = false, maintenanceDone = false, conditionImages = [], notes = '', vehicleId = null } = req.body;
 
-    const booking = await prisma.booking.findUnique({ where: { id } });
+    let booking = await prisma.booking.findUnique({ where: { id } });
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (!can(req.user, 'bookings:manage', ...bookingLocations(booking))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
-    if (booking.status !== 'confirmed' && booking.status !== 'reserved') {
-      return res.status(400).json({ success: false, message: 'Booking is not in a state that can be prepared' });
+    // Fail before assigning a vehicle to a booking that cannot be prepared
+    assertTransition(booking.status, 'ready_for_pickup', actorFor(req.user));
+
+    let assignment = null;
+    if (!booking.vehicleId) {
+      ({ booking, assignment } = await vehicleAssignmentService.assignVehicle(booking, { vehicleId, actorId: req.user.id }));
     }
 
     const addons = booking.addons || {};
     addons.preparation = { cleaned, fueled, inspected, maintenanceDone, conditionImages, notes, at: new Date() };
 
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: {
-        addons,
-        status: 'ready_for_pickup'
-      }
+    // Vehicle stays reserved for this booking until pickup
+    const updatedBooking = await transitionBooking(booking, 'ready_for_pickup', {
+      actor: actorFor(req.user),
+      userId: req.user.id,
+      data: { addons }
     });
 
-    // Update vehicle status if all preparation is done
-    if (booking.vehicleId && cleaned && fueled && inspected) {
-      await prisma.vehicle.update({
-        where: { id: booking.vehicleId },
-        data: { status: 'available' } // Ready for pickup, but vehicle is still reserved for this booking
-      });
-    }
-
     await logEvent('booking', id, 'prepared', { userId: req.user.id, preparation: { cleaned, fueled, inspected, maintenanceDone } });
 
     // Send notification to user that vehicle is ready for pickup
@@ -1028,8 +1514,9 @@ const prepareBooking = async (req, res) => {
       console.warn('Failed to send pickup ready notification', e);
     }
 
-    res.json({ success: true, message: 'Booking prepared for pickup', data: { booking: updatedBooking } });
+    res.json({ success: true, message: 'Booking prepared for pickup', data: { booking: updatedBooking, assignment } });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Prepare booking error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
@@ -1051,7 +1538,7 @@ const extendBooking = async (req, res) => {
 
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
@@ -1074,38 +1561,52 @@ const extendBooking = async (req, res) => {
       return res.status(400).json({ success: false, message: 'New end date must be after current end date' });
     }
 
-    // Check availability for extension
-    const conflictingBookings = await prisma.booking.findMany({
-      where: {
-        vehicleId: booking.vehicleId,
-        status: { in: ['confirmed', 'active', 'ready_for_pickup'] },
-        OR: [
-          {
-            startDate: { lte: newEnd },
-            endDate: { gte: currentEnd }
-          }
-        ]
-      }
-    });
-
-    if (conflictingBookings.length > 1) { // >1 because current booking is included
+    // The vehicle must be free for the extra days and not needed by category reservations
+    const available = await availabilityService.isVehicleAvailable(booking.vehicleId, currentEnd, newEnd, { excludeBookingId: booking.id })
+      && await availabilityService.hasCategoryCapacity(booking.vehicle, currentEnd, newEnd, { excludeBookingId: booking.id });
+    if (!available) {
       return res.status(409).json({ success: false, message: 'Vehicle not available for extension' });
     }
 
-    // Calculate additional price
-    const additionalDaysCount = Math.ceil((newEnd - currentEnd) / (1000 * 60 * 60 * 24));
-    const additionalPrice = booking.vehicle.dailyRate * additionalDaysCount;
+    // Reprice the whole rental for the new period so rules, add-ons, promo and taxes stay consistent
+    const breakdown = await pricingService.repriceBooking(booking, { endDate: newEnd });
+    const priceData = pricingService.priceVersionData(booking, breakdown, { reason: 'extended', actorId: req.user.id });
+    const previousTotal = booking.priceBreakdown ? booking.priceBreakdown.total : booking.totalPrice;
+    const additionalPrice = Math.round((breakdown.total - previousTotal) * 100) / 100;
 
-    // Update booking
-    const updated = await prisma.booking.update({
-      where: { id },
-      data: {
-        endDate: newEnd,
-        totalPrice: booking.totalPrice + additionalPrice
-      }
+    // Add-on stock must also cover the extra days
+    const addonReplacement = await addonService.replaceForBooking(booking, {
+      addons: breakdown.addons,
+      locationId: booking.locationPickupId,
+      startDate: booking.startDate,
+      endDate: newEnd
     });
 
-    await logEvent('booking', id, 'extended', { userId: req.user.id, oldEndDate: booking.endDate, newEndDate: newEnd, additionalPrice });
+    // Update booking
+    let updated;
+    try {
+      updated = await prisma.booking.update({
+        where: { id },
+        data: {
+          endDate: newEnd,
+          ...priceData
+        }
+      });
+    } catch (error) {
+      await addonService.restoreForBooking(addonReplacement).catch(() => {});
+      throw error;
+    }
+
+    await logEvent('booking', id, 'extended', { userId: req.user.id, oldEndDate: booking.endDate, newEndDate: newEnd, additionalPrice, priceVersion: updated.priceVersion });
+
+    // The extra days are invoiced (credit note + new invoice) and show up as outstanding in the ledger
+    let invoices = null;
+    try {
+      invoices = await invoiceService.reissueForModification(id, { actorId: req.user.id });
+      if (invoices) await invoiceService.sendDocuments([invoices.creditNote, invoices.invoice]);
+    } catch (e) {
+      console.warn('Failed to reissue invoice', e);
+    }
 
     // Send notification
     try {
@@ -1114,8 +1615,9 @@ const extendBooking = async (req, res) => {
       console.warn('Failed to send extension confirmation', e);
     }
 
-    res.json({ success: true, message: 'Booking extended successfully', data: { booking: updated, additionalPrice } });
+    res.json({ success: true, message: 'Booking extended successfully', data: { booking: updated, additionalPrice, invoices } });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Extend booking error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
@@ -1133,7 +1635,7 @@ const updateBookingLocation = async (req, res) => {
     const booking = await prisma.booking.findUnique({ where: { id } });
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
@@ -1314,7 +1816,7 @@ const reportIncident = async (req, res) => {
     });
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
@@ -1375,6 +1877,8 @@ const reportIncident = async (req, res) => {
 /**
  * Online check-in (upload documents, generate agreement)
  * POST /api/bookings/:id/checkin
+ * `documents` items shaped like POST /api/documents uploads are submitted for
+ * verification; the response includes the renter's verification status.
  */
 const onlineCheckin = async (req, res) => {
   try {
@@ -1395,9 +1899,25 @@ const onlineCheckin = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Booking is not eligible for check-in' });
     }
 
+    // Structured documents go to verification; anything else is kept as uploaded
+    const uploads = documents.filter(d => d && typeof d === 'object');
+    const validated = [];
+    for (const upload of uploads) {
+      const { error, value } = documentSchema.validate(upload);
+      if (error) {
+        return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+      }
+      validated.push(value);
+    }
+    const submitted = [];
+    for (const upload of validated) {
+      submitted.push(await verificationService.submitDocument(booking.user, { ...upload, bookingId: booking.id }));
+    }
+
     const addons = booking.addons || {};
     addons.checkin = {
-      documents, // array of uploaded document URLs or data
+      documents: documents.filter(d => !d || typeof d !== 'object'), // legacy document URLs or data
+      documentIds: submitted.map(d => d.id),
       agreementSigned,
       notes,
       checkedInAt: new Date()
@@ -1408,22 +1928,31 @@ const onlineCheckin = async (req, res) => {
 
     addons.checkin.qrCode = qrCode;
 
+    // Check-in is recorded on the booking without changing its lifecycle status
     const updated = await prisma.booking.update({
       where: { id },
-      data: { addons, status: 'checked_in' }
+      data: { addons },
+      include: { vehicle: true, pickupLocation: true, dropoffLocation: true }
     });
 
     await logEvent('booking', id, 'checked_in', { userId: req.user.id });
 
     // Send digital agreement
     try {
-      await notificationService.sendDigitalAgreement(booking.user.email, updated, qrCode);
+      await notificationService.sendDigitalAgreement(booking.user.email, updated, qrCode, driverService.bookingDrivers(booking));
     } catch (e) {
       console.warn('Failed to send digital agreement', e);
     }
 
-    res.json({ success: true, message: 'Check-in completed successfully', data: { booking: updated, qrCode } });
+    const { status: verificationStatus, missing } = await verificationService.verificationFor(booking.userId, { validUntil: booking.endDate });
+
+    res.json({
+      success: true,
+      message: 'Check-in completed successfully',
+      data: { booking: updated, qrCode, documents: submitted, verification: { status: verificationStatus, missing } }
+    });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Online check-in error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
@@ -1454,9 +1983,8 @@ const contactlessPickup = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid QR code' });
     }
 
-    if (booking.status !== 'checked_in' && booking.status !== 'ready_for_pickup') {
-      return res.status(400).json({ success: false, message: 'Booking not ready for pickup' });
-    }
+    assertTransition(booking.status, 'active', actorFor(req.user));
+    await verificationService.assertVerifiedForPickup(booking);
 
     // Simulate IoT unlock
     const unlockSuccess = true; // In real system, call IoT API
@@ -1476,20 +2004,14 @@ const contactlessPickup = async (req, res) => {
       selfInspected: true
     };
 
-    const updated = await prisma.booking.update({
-      where: { id },
-      data: { addons, status: 'active' }
+    const updated = await transitionBooking(booking, 'active', {
+      actor: actorFor(req.user),
+      userId: req.user.id,
+      data: { addons }
     });
 
-    // Update vehicle status to rented
-    if (booking.vehicleId) {
-      await prisma.vehicle.update({
-        where: { id: booking.vehicleId },
-        data: { status: 'rented' }
-      });
-    }
-
     await logEvent('booking', id, 'contactless_picked_up', { userId: req.user.id, photosCount: photos.length });
+    await recordOdometer(booking.vehicleId, odometer);
 
     res.json({
       success: true,
@@ -1502,6 +2024,7 @@ const contactlessPickup = async (req, res) => {
       }
     });
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Contactless pickup error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
@@ -1514,7 +2037,16 @@ const contactlessPickup = async (req, res) => {
 const modifyBooking = async (req, res) => {
   try {
     const { id } = req.params;
-    const { startDate, endDate, locationPickupId, locationDropoffId } = req.body;
+    const { startDate, endDate, locationPickupId, locationDropoffId, addons, promoCode, insuranceId } = req.body;
+
+    let additionalDrivers;
+    if (req.body.additionalDrivers !== undefined) {
+      const { error, value } = additionalDriversSchema.validate(req.body.additionalDrivers);
+      if (error) {
+        return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+      }
+      additionalDrivers = driverService.normalizeDrivers(value);
+    }
 
     // Find booking
     const booking = await prisma.booking.findUnique({
@@ -1527,7 +2059,7 @@ const modifyBooking = async (req, res) => {
     }
 
     // Check permissions
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
@@ -1542,6 +2074,7 @@ const modifyBooking = async (req, res) => {
 
     // Validate dates if provided
     let updateData = {};
+    const priceChanges = {};
     if (startDate || endDate) {
       const newStartDate = startDate ? new Date(startDate) : booking.startDate;
       const newEndDate = endDate ? new Date(endDate) : booking.endDate;
@@ -1562,19 +2095,8 @@ const modifyBooking = async (req, res) => {
 
       updateData.startDate = newStartDate;
       updateData.endDate = newEndDate;
-
-      // Recalculate pricing
-      const days = Math.ceil((newEndDate - newStartDate) / (1000 * 60 * 60 * 24));
-      const dailyRate = booking.vehicle.dailyRate;
-      const subtotal = days * dailyRate;
-      const taxes = subtotal * 0.09; // 9% tax
-      const fees = 5.00; // Base fee
-      const totalPrice = subtotal + taxes + fees;
-
-      updateData.subtotal = subtotal;
-      updateData.taxes = taxes;
-      updateData.fees = fees;
-      updateData.totalPrice = totalPrice;
+      priceChanges.startDate = newStartDate;
+      priceChanges.endDate = newEndDate;
     }
 
     // Validate locations if provided
@@ -1589,6 +2111,7 @@ const modifyBooking = async (req, res) => {
         });
       }
       updateData.locationPickupId = locationPickupId;
+      priceChanges.locationPickupId = locationPickupId;
     }
 
     if (locationDropoffId) {
@@ -1602,32 +2125,145 @@ const modifyBooking = async (req, res) => {
         });
       }
       updateData.locationDropoffId = locationDropoffId;
+      priceChanges.locationDropoffId = locationDropoffId;
     }
 
-    // Update booking
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: updateData,
-      include: {
-        vehicle: true,
-        pickupLocation: true,
-        dropoffLocation: true
+    // Additional drivers replace the booking's list; each one is charged per day
+    if (additionalDrivers) {
+      updateData.additionalDrivers = additionalDrivers;
+      priceChanges.additionalDrivers = additionalDrivers;
+    }
+
+    // A new pickup location, new dates or new drivers can change which rental rules apply (or a driver's age)
+    if (priceChanges.locationPickupId || priceChanges.startDate || priceChanges.additionalDrivers) {
+      const pickupLocation = await prisma.location.findUnique({
+        where: { id: priceChanges.locationPickupId || booking.locationPickupId }
+      });
+      locationPolicyService.assertPolicy({
+        location: pickupLocation,
+        user: booking.user,
+        startDate: priceChanges.startDate || booking.startDate,
+        endDate: priceChanges.endDate || booking.endDate,
+        paymentMethod: booking.paymentMethod,
+        drivers: priceChanges.additionalDrivers || booking.additionalDrivers || []
+      });
+    }
+
+    // Category reservations need a free vehicle of their category for the new dates or pickup location
+    if (!booking.vehicleId && booking.vehicleCategory && (priceChanges.locationPickupId || priceChanges.startDate)) {
+      const { available } = await availabilityService.categoryAvailability({
+        category: booking.vehicleCategory,
+        locationId: priceChanges.locationPickupId || booking.locationPickupId,
+        startDate: priceChanges.startDate || booking.startDate,
+        endDate: priceChanges.endDate || booking.endDate,
+        excludeBookingId: booking.id
+      });
+      if (available === 0) {
+        return res.status(409).json({
+          success: false,
+          message: `No ${booking.vehicleCategory} vehicles are available for the new dates or location`
+        });
       }
-    });
+    }
+
+    if (Array.isArray(addons)) {
+      priceChanges.addons = addons;
+    }
+
+    if (promoCode !== undefined) {
+      updateData.promoCode = promoCode || null;
+      priceChanges.promoCode = promoCode || null;
+    }
+
+    // insuranceId: null removes the booking's insurance
+    if (insuranceId !== undefined) {
+      priceChanges.insuranceId = insuranceId || null;
+    }
+
+    // Reprice through the pricing service (rules, add-ons, insurance, promo, location taxes, cross-location fee)
+    let priceDiff = {};
+    let addonReplacement = null;
+    const requestedChanges = { ...updateData };
+    if (Object.keys(priceChanges).length > 0) {
+      const breakdown = await pricingService.repriceBooking(booking, priceChanges);
+      if (booking.organizationId && !hasPermission(req.user, 'bookings:manage')) {
+        await organizationService.assertPolicyForChange(booking, breakdown);
+      }
+      const priceData = pricingService.priceVersionData(booking, breakdown, { reason: 'modified', actorId: req.user.id });
+      Object.assign(updateData, priceData);
+      if (priceChanges.addons && Array.isArray(booking.addons)) {
+        updateData.addons = breakdown.addons;
+      }
+      priceDiff = priceData.priceHistory[priceData.priceHistory.length - 1].diff;
+
+      // Re-reserve add-on stock when add-ons, dates or the pickup location change
+      if (priceChanges.addons || priceChanges.startDate || priceChanges.locationPickupId) {
+        addonReplacement = await addonService.replaceForBooking(booking, {
+          addons: priceChanges.addons || breakdown.addons,
+          locationId: priceChanges.locationPickupId || booking.locationPickupId,
+          startDate: priceChanges.startDate || booking.startDate,
+          endDate: priceChanges.endDate || booking.endDate
+        });
+      }
+    }
+
+    // A changed promo code takes a new redemption; the old one is given back once the booking is updated
+    const promoChanged = promoCode !== undefined && (promoCode || null) !== (booking.promoCode || null);
+    let redemption = null;
+    let updatedBooking;
+    try {
+      if (promoChanged && promoCode) {
+        redemption = await promoService.redeemPromo(promoCode, { userId: booking.userId, bookingId: booking.id, discount: updateData.priceBreakdown.promoDiscount || 0 });
+      }
+
+      // Update booking
+      updatedBooking = await prisma.booking.update({
+        where: { id },
+        data: updateData,
+        include: {
+          vehicle: true,
+          pickupLocation: true,
+          dropoffLocation: true
+        }
+      });
+    } catch (error) {
+      // The booking keeps its old add-ons and promo code, so their stock and redemption go back too
+      if (redemption) await promoService.releaseRedemption(redemption, 'modification_failed').catch(() => {});
+      if (addonReplacement) await addonService.restoreForBooking(addonReplacement).catch(() => {});
+      throw error;
+    }
+
+    if (promoChanged) {
+      await promoService.releaseForBooking(booking.id, 'promo_changed', { keepCode: promoCode || null });
+    }
 
     // Log the modification
     await logEvent('booking', id, 'modified', {
       userId: req.user.id,
-      changes: updateData
+      changes: requestedChanges,
+      priceVersion: updatedBooking.priceVersion,
+      priceDiff
     });
 
+    // A repriced booking that was already invoiced gets a credit note and a new invoice
+    let invoices = null;
+    if (Object.keys(priceDiff).length > 0) {
+      try {
+        invoices = await invoiceService.reissueForModification(id, { actorId: req.user.id });
+        if (invoices) await invoiceService.sendDocuments([invoices.creditNote, invoices.invoice]);
+      } catch (e) {
+        console.warn('Failed to reissue invoice', e);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Booking modified successfully',
-      data: updatedBooking
+      data: { ...updatedBooking, priceDiff, invoices }
     });
 
   } catch (error) {
+    if (handleServiceError(res, error)) return;
     console.error('Modify booking error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
@@ -1643,7 +2279,7 @@ const requestSOS = async (req, res) => {
     const { note = '', location = null } = req.body;
     const booking = await prisma.booking.findUnique({ where: { id }, include: { user: true, vehicle: true } });
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Access denied' });
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) return res.status(403).json({ success: false, message: 'Access denied' });
     if (booking.status !== 'active') return res.status(400).json({ success: false, message: 'SOS only available during active rental' });
     const addons = booking.addons || {};
     if (!addons.sosRequests) addons.sosRequests = [];
@@ -1684,11 +2320,19 @@ module.exports = {
   updateBookingStatus,
   cancelBooking,
   getAllBookings,
+  createQuote,
   holdBooking,
   confirmBooking,
   modifyBooking,
   pickupChecklist,
   returnChecklist,
+  getBookingDeposit,
+  getBookingInvoice,
+  getBookingLedger,
+  getBookingBalance,
+  payBookingBalance,
+  captureBookingDeposit,
+  releaseBookingDeposit,
   prepareBooking,
   extendBooking,
   updateBookingLocation,
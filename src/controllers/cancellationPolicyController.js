@@ -0,0 +1,150 @@
+const { PrismaClient } = require('@prisma/client');
+const { cancellationPolicySchema } = require('../utils/validation');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const { logEvent } = require('../services/auditService');
+
+const prisma = new PrismaClient();
+
+const findPolicy = (id) => /^[a-f0-9]{24}$/.test(id)
+  ? prisma.cancellationPolicy.findUnique({ where: { id } })
+  : null;
+
+/**
+ * List cancellation policies (Admin only)
+ * GET /api/admin/cancellation-policies
+ * The built-in default that applies when nothing matches is returned as `defaultPolicy`.
+ */
+const getCancellationPolicies = async (req, res) => {
+  try {
+    const { isActive, locationId, vehicleCategory } = req.query;
+
+    const where = {};
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+    if (locationId) where.locationIds = { has: locationId };
+    if (vehicleCategory) where.vehicleCategories = { has: vehicleCategory };
+
+    const policies = await prisma.cancellationPolicy.findMany({
+      where,
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: { policies, defaultPolicy: cancellationPolicyService.snapshot(cancellationPolicyService.DEFAULT_POLICY) }
+    });
+  } catch (error) {
+    console.error('Get cancellation policies error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get a cancellation policy (Admin only)
+ * GET /api/admin/cancellation-policies/:id
+ */
+const getCancellationPolicyById = async (req, res) => {
+  try {
+    const policy = await findPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Cancellation policy not found' });
+    }
+
+    res.json({ success: true, data: { policy } });
+  } catch (error) {
+    console.error('Get cancellation policy error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create a cancellation policy (Admin only)
+ * POST /api/admin/cancellation-policies
+ */
+const createCancellationPolicy = async (req, res) => {
+  try {
+    const { error, value } = cancellationPolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await prisma.cancellationPolicy.findUnique({ where: { code: value.code } });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Cancellation policy code already exists' });
+    }
+
+    const policy = await prisma.cancellationPolicy.create({ data: value });
+    await logEvent('cancellation_policy', policy.id, 'created', { by: req.user.id, policy: value });
+
+    res.status(201).json({ success: true, message: 'Cancellation policy created successfully', data: { policy } });
+  } catch (error) {
+    console.error('Create cancellation policy error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Replace a cancellation policy (Admin only)
+ * PUT /api/admin/cancellation-policies/:id
+ * Bookings keep the policy snapshot they were created with.
+ */
+const updateCancellationPolicy = async (req, res) => {
+  try {
+    const { error, value } = cancellationPolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await findPolicy(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Cancellation policy not found' });
+    }
+
+    if (value.code !== existing.code) {
+      const codeExists = await prisma.cancellationPolicy.findUnique({ where: { code: value.code } });
+      if (codeExists) {
+        return res.status(409).json({ success: false, message: 'Cancellation policy code already exists' });
+      }
+    }
+
+    const policy = await prisma.cancellationPolicy.update({
+      where: { id: existing.id },
+      data: { description: null, ...value }
+    });
+    await logEvent('cancellation_policy', policy.id, 'updated', { by: req.user.id, policy: value });
+
+    res.json({ success: true, message: 'Cancellation policy updated successfully', data: { policy } });
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Delete a cancellation policy (Admin only)
+ * DELETE /api/admin/cancellation-policies/:id
+ * Bookings store a snapshot of their policy, so deleting it does not affect them.
+ */
+const deleteCancellationPolicy = async (req, res) => {
+  try {
+    const existing = await findPolicy(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Cancellation policy not found' });
+    }
+
+    await prisma.cancellationPolicy.delete({ where: { id: existing.id } });
+    await logEvent('cancellation_policy', existing.id, 'deleted', { by: req.user.id, policy: existing });
+
+    res.json({ success: true, message: 'Cancellation policy deleted successfully' });
+  } catch (error) {
+    console.error('Delete cancellation policy error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getCancellationPolicies,
+  getCancellationPolicyById,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy
+};
@@ -0,0 +1,52 @@
+const { documentSchema } = require('../utils/validation');
+const verificationService = require('../services/verificationService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Upload an identity document for verification
+ * POST /api/documents
+ * Body: { type: driver_license|identity|proof_of_address, documentNumber, issuingCountry?, fileUrl, expiresAt }
+ * The automated verifier may approve or reject it right away; otherwise it is
+ * `pending` until staff review it.
+ */
+const submitDocument = async (req, res) => {
+  try {
+    const { error, value } = documentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const document = await verificationService.submitDocument(req.user, value);
+    const verification = await verificationService.verificationFor(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded',
+      data: { document, verificationStatus: verification.status, missing: verification.missing }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Submit document error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * The current user's documents and verification status
+ * GET /api/documents
+ */
+const getMyDocuments = async (req, res) => {
+  try {
+    const { status, verified, required, missing, documents } = await verificationService.verificationFor(req.user.id);
+
+    res.json({ success: true, data: { verificationStatus: status, verified, required, missing, documents } });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  submitDocument,
+  getMyDocuments
+};
@@ -0,0 +1,148 @@
+const { PrismaClient } = require('@prisma/client');
+const { insuranceProductSchema } = require('../utils/validation');
+const { logEvent } = require('../services/auditService');
+const { hasPermission } = require('../services/permissionService');
+
+const prisma = new PrismaClient();
+
+const findProduct = (id) => /^[a-f0-9]{24}$/.test(id)
+  ? prisma.insuranceProduct.findUnique({ where: { id } })
+  : null;
+
+/**
+ * List insurance products
+ * GET /api/insurance?category=&type=
+ * With `category` only products offered for that vehicle category are listed.
+ * Staff with catalog:manage can pass includeInactive=true.
+ */
+const getInsuranceProducts = async (req, res) => {
+  try {
+    const { category, type, includeInactive } = req.query;
+    const canManage = hasPermission(req.user, 'catalog:manage');
+
+    const where = {};
+    if (!(canManage && includeInactive === 'true')) where.isActive = true;
+    if (type) where.type = type;
+
+    let products = await prisma.insuranceProduct.findMany({ where, orderBy: { dailyPrice: 'asc' } });
+    if (category) {
+      products = products.filter(p => p.eligibleCategories.length === 0 || p.eligibleCategories.includes(category));
+    }
+
+    res.json({ success: true, data: { products } });
+  } catch (error) {
+    console.error('Get insurance products error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get insurance product by ID
+ * GET /api/insurance/:id
+ */
+const getInsuranceProductById = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product || (!product.isActive && !hasPermission(req.user, 'catalog:manage'))) {
+      return res.status(404).json({ success: false, message: 'Insurance product not found' });
+    }
+
+    res.json({ success: true, data: { product } });
+  } catch (error) {
+    console.error('Get insurance product error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create insurance product (Admin only)
+ * POST /api/insurance
+ */
+const createInsuranceProduct = async (req, res) => {
+  try {
+    const { error, value } = insuranceProductSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await prisma.insuranceProduct.findUnique({ where: { code: value.code } });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Insurance product code already exists' });
+    }
+
+    const product = await prisma.insuranceProduct.create({ data: value });
+    await logEvent('insurance_product', product.id, 'created', { by: req.user.id, product: value });
+
+    res.status(201).json({ success: true, message: 'Insurance product created successfully', data: { product } });
+  } catch (error) {
+    console.error('Create insurance product error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Update insurance product (Admin only)
+ * PUT /api/insurance/:id
+ * Bookings keep the product snapshot they were priced with.
+ */
+const updateInsuranceProduct = async (req, res) => {
+  try {
+    const { error, value } = insuranceProductSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await findProduct(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Insurance product not found' });
+    }
+
+    if (value.code !== existing.code) {
+      const codeExists = await prisma.insuranceProduct.findUnique({ where: { code: value.code } });
+      if (codeExists) {
+        return res.status(409).json({ success: false, message: 'Insurance product code already exists' });
+      }
+    }
+
+    const product = await prisma.insuranceProduct.update({
+      where: { id: existing.id },
+      data: { description: null, ...value }
+    });
+    await logEvent('insurance_product', product.id, 'updated', { by: req.user.id, product: value });
+
+    res.json({ success: true, message: 'Insurance product updated successfully', data: { product } });
+  } catch (error) {
+    console.error('Update insurance product error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Delete insurance product (Admin only)
+ * DELETE /api/insurance/:id
+ * Bookings store a snapshot of the product, so deleting it does not affect them.
+ */
+const deleteInsuranceProduct = async (req, res) => {
+  try {
+    const existing = await findProduct(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Insurance product not found' });
+    }
+
+    await prisma.insuranceProduct.delete({ where: { id: existing.id } });
+    await logEvent('insurance_product', existing.id, 'deleted', { by: req.user.id, product: existing });
+
+    res.json({ success: true, message: 'Insurance product deleted successfully' });
+  } catch (error) {
+    console.error('Delete insurance product error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getInsuranceProducts,
+  getInsuranceProductById,
+  createInsuranceProduct,
+  updateInsuranceProduct,
+  deleteInsuranceProduct
+};
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { canAccessVehicle, scopeMaintenance } = require('../services/permissionService');
 
 /**
  * Create maintenance task
@@ -17,6 +18,9 @@ const createMaintenanceTask = async (req, res) => {
     if (!vehicle) {
       return res.status(404).json({ success: false, message: 'Vehicle not found' });
     }
+    if (!canAccessVehicle(req.user, vehicle, 'maintenance:manage')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
     const task = await prisma.maintenanceTask.create({
       data: {
@@ -47,7 +51,7 @@ const createMaintenanceTask = async (req, res) => {
 };
 
 /**
- * Get all maintenance tasks with filters
+ * Get maintenance tasks of vehicles at the staff member's locations
  * GET /api/maintenance
  */
 const getMaintenanceTasks = async (req, res) => {
@@ -61,9 +65,11 @@ const getMaintenanceTasks = async (req, res) => {
     if (status) where.status = status;
     if (type) where.type = type;
 
+    const scoped = scopeMaintenance(req.user, where);
+
     const [tasks, totalCount] = await Promise.all([
       prisma.maintenanceTask.findMany({
-        where,
+        where: scoped,
         include: {
           vehicle: {
             select: {
@@ -79,7 +85,7 @@ const getMaintenanceTasks = async (req, res) => {
         skip,
         take
       }),
-      prisma.maintenanceTask.count({ where })
+      prisma.maintenanceTask.count({ where: scoped })
     ]);
 
     const totalPages = Math.ceil(totalCount / take);
@@ -121,6 +127,9 @@ const getMaintenanceTaskById = async (req, res) => {
     if (!task) {
       return res.status(404).json({ success: false, message: 'Maintenance task not found' });
     }
+    if (!canAccessVehicle(req.user, task.vehicle, 'maintenance:read')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
     res.json({ success: true, data: { task } });
   } catch (error) {
@@ -138,10 +147,13 @@ const updateMaintenanceTask = async (req, res) => {
     const { id } = req.params;
     const { status, completedAt, notes, photos, cost, mileage, assignedTo } = req.body;
 
-    const existing = await prisma.maintenanceTask.findUnique({ where: { id } });
+    const existing = await prisma.maintenanceTask.findUnique({ where: { id }, include: { vehicle: true } });
     if (!existing) {
       return res.status(404).json({ success: false, message: 'Maintenance task not found' });
     }
+    if (!canAccessVehicle(req.user, existing.vehicle, 'maintenance:manage')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
     const updateData = {};
     if (status) updateData.status = status;
@@ -193,10 +205,13 @@ const deleteMaintenanceTask = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const task = await prisma.maintenanceTask.findUnique({ where: { id } });
+    const task = await prisma.maintenanceTask.findUnique({ where: { id }, include: { vehicle: true } });
     if (!task) {
       return res.status(404).json({ success: false, message: 'Maintenance task not found' });
     }
+    if (!canAccessVehicle(req.user, task.vehicle, 'maintenance:manage')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
     await prisma.maintenanceTask.delete({ where: { id } });
 
@@ -0,0 +1,348 @@
+const { PrismaClient } = require('@prisma/client');
+const { organizationSchema, organizationMemberSchema } = require('../utils/validation');
+const organizationService = require('../services/organizationService');
+const invoiceService = require('../services/invoiceService');
+const { logEvent } = require('../services/auditService');
+const availabilityService = require('../services/availabilityService');
+const { transitionBooking } = require('../services/bookingLifecycleService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+const prisma = new PrismaClient();
+
+const pagination = (query) => {
+  const take = Math.min(parseInt(query.limit) || 50, 200);
+  const skip = (Math.max(parseInt(query.page) || 1, 1) - 1) * take;
+  return { skip, take };
+};
+
+/**
+ * Organizations the current user belongs to, with their role
+ * GET /api/organizations/mine
+ */
+const getMyOrganizations = async (req, res) => {
+  try {
+    const organizations = await organizationService.listForUser(req.user.id);
+
+    res.json({ success: true, data: { organizations } });
+  } catch (error) {
+    console.error('Get my organizations error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * List organizations (Admin only)
+ * GET /api/organizations?search=&isActive=
+ */
+const getOrganizations = async (req, res) => {
+  try {
+    const { isActive, search } = req.query;
+
+    const where = {};
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+    if (search) where.name = { contains: search, mode: 'insensitive' };
+
+    const organizations = await prisma.organization.findMany({ where, orderBy: { name: 'asc' }, ...pagination(req.query) });
+
+    res.json({ success: true, data: { organizations } });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get an organization with its members (travel managers and admins)
+ * GET /api/organizations/:id
+ */
+const getOrganizationById = async (req, res) => {
+  try {
+    const organization = await organizationService.assertManager(req.user, req.params.id);
+    const members = await organizationService.listMembers(organization.id);
+
+    res.json({ success: true, data: { organization, members } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Get organization error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create an organization with its negotiated rates and travel policy (Admin only)
+ * POST /api/organizations
+ */
+const createOrganization = async (req, res) => {
+  try {
+    const { error, value } = organizationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const organization = await prisma.organization.create({ data: value });
+    await logEvent('organization', organization.id, 'created', { by: req.user.id, organization: value });
+
+    res.status(201).json({ success: true, message: 'Organization created successfully', data: { organization } });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Replace an organization's settings (Admin only)
+ * PUT /api/organizations/:id
+ * New rates and policy apply to new quotes and bookings; existing bookings keep their price.
+ */
+const updateOrganization = async (req, res) => {
+  try {
+    const { error, value } = organizationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await organizationService.getOrganization(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Organization not found' });
+    }
+
+    const organization = await prisma.organization.update({
+      where: { id: existing.id },
+      data: { billingAddress: null, categoryMultipliers: null, maxDailyRate: null, ...value }
+    });
+    await logEvent('organization', organization.id, 'updated', { by: req.user.id, organization: value });
+
+    res.json({ success: true, message: 'Organization updated successfully', data: { organization } });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Add a registered user to the organization or change their role (travel managers and admins)
+ * POST /api/organizations/:id/members
+ * Body: { email, role: employee | travel_manager }
+ */
+const addOrganizationMember = async (req, res) => {
+  try {
+    const { error, value } = organizationMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const organization = await organizationService.assertManager(req.user, req.params.id);
+    const member = await organizationService.addMember(organization, value, { actorId: req.user.id });
+
+    res.status(201).json({ success: true, message: 'Member saved', data: { member } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Add organization member error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Remove a member (travel managers and admins)
+ * DELETE /api/organizations/:id/members/:userId
+ */
+const removeOrganizationMember = async (req, res) => {
+  try {
+    const organization = await organizationService.assertManager(req.user, req.params.id);
+    await organizationService.removeMember(organization, req.params.userId, { actorId: req.user.id });
+
+    res.json({ success: true, message: 'Member removed' });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Remove organization member error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Bookings outside the travel policy, oldest first (travel managers and admins)
+ * GET /api/organizations/:id/approvals?status=pending|approved|rejected|all
+ */
+const getApprovals = async (req, res) => {
+  try {
+    const organization = await organizationService.assertManager(req.user, req.params.id);
+    const { status = 'pending' } = req.query;
+
+    const bookings = await organizationService.listApprovals(organization.id, { status: status === 'all' ? null : status, ...pagination(req.query) });
+
+    res.json({ success: true, data: { bookings, count: bookings.length } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Get approvals error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// Shared by approveBooking and rejectBooking
+async function decideBooking(req, res, decision) {
+  try {
+    const organization = await organizationService.assertManager(req.user, req.params.id);
+
+    const booking = /^[a-f0-9]{24}$/.test(req.params.bookingId)
+      ? await prisma.booking.findUnique({ where: { id: req.params.bookingId } })
+      : null;
+    if (!booking || booking.organizationId !== organization.id) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    // Nothing held the vehicle while the booking waited, so check it is still free before confirming
+    if (decision === 'approve') {
+      if (booking.status === 'pending_hold' && booking.holdExpiresAt && new Date(booking.holdExpiresAt) < new Date()) {
+        return res.status(409).json({ success: false, message: 'The hold on this booking has expired' });
+      }
+      if (!(await availabilityService.isBookingAvailable(booking))) {
+        return res.status(409).json({ success: false, message: 'The vehicle is no longer available for these dates' });
+      }
+    }
+
+    let decided = await organizationService.decideApproval(booking, { decision, reason: req.body.reason || null, actorId: req.user.id });
+
+    // Corporate bookings need no payment, so an approved booking is confirmed straight away
+    decided = await transitionBooking(decided, decision === 'approve' ? 'confirmed' : 'cancelled', {
+      actor: 'system',
+      userId: req.user.id,
+      data: decision === 'approve' ? { paymentStatus: 'invoiced' } : {},
+      reason: decision === 'approve' ? 'approved' : 'approval_rejected'
+    });
+    await organizationService.notifyDecision(decided);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Booking approved and confirmed' : 'Booking rejected and cancelled',
+      data: { booking: decided }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Decide booking approval error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+}
+
+/**
+ * Approve a booking outside the travel policy; it is confirmed and billed to the organization
+ * POST /api/organizations/:id/approvals/:bookingId/approve
+ */
+const approveBooking = (req, res) => decideBooking(req, res, 'approve');
+
+/**
+ * Reject a booking outside the travel policy; it is cancelled and the reason emailed to the employee
+ * POST /api/organizations/:id/approvals/:bookingId/reject
+ * Body: { reason }
+ */
+const rejectBooking = (req, res) => decideBooking(req, res, 'reject');
+
+/**
+ * Consolidated monthly invoices, newest first (travel managers and finance staff)
+ * GET /api/organizations/:id/invoices?status=issued|paid
+ */
+const getOrganizationInvoices = async (req, res) => {
+  try {
+    const organization = await organizationService.assertManager(req.user, req.params.id, { permission: 'finance:read' });
+
+    const invoices = await organizationService.listInvoices(organization.id, { status: req.query.status, ...pagination(req.query) });
+
+    res.json({ success: true, data: { invoices } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Get organization invoices error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * A consolidated invoice with its lines (travel managers and finance staff)
+ * GET /api/organizations/:id/invoices/:invoiceId?format=json|pdf
+ */
+const getOrganizationInvoice = async (req, res) => {
+  try {
+    const organization = await organizationService.assertManager(req.user, req.params.id, { permission: 'finance:read' });
+
+    const invoice = await organizationService.getInvoice(req.params.invoiceId);
+    if (!invoice || invoice.organizationId !== organization.id) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    const { format } = req.query;
+    const wantsPdf = format === 'pdf' || (!format && req.accepts(['json', 'pdf']) === 'pdf');
+    if (wantsPdf) {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`
+      });
+      return res.send(invoiceService.renderConsolidatedPdf(invoice));
+    }
+
+    res.json({ success: true, data: { invoice } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Get organization invoice error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Issue last month's consolidated invoice now instead of waiting for the job (finance staff)
+ * POST /api/organizations/:id/invoices
+ */
+const issueOrganizationInvoice = async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ success: false, message: 'Organization not found' });
+    }
+
+    const invoice = await organizationService.invoiceOrganization(organization, { actorId: req.user.id });
+    if (!invoice) {
+      return res.status(409).json({ success: false, message: 'Last month is already invoiced or there is nothing to invoice' });
+    }
+
+    res.status(201).json({ success: true, message: 'Invoice issued', data: { invoice } });
+  } catch (error) {
+    console.error('Issue organization invoice error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Record payment of a consolidated invoice; settles the ledgers of its bookings (finance staff)
+ * POST /api/organizations/:id/invoices/:invoiceId/paid
+ * Body: { reference? }
+ */
+const markOrganizationInvoicePaid = async (req, res) => {
+  try {
+    const invoice = await organizationService.getInvoice(req.params.invoiceId);
+    if (!invoice || invoice.organizationId !== req.params.id) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    const paid = await organizationService.markInvoicePaid(invoice, { reference: req.body.reference || null, actorId: req.user.id });
+
+    res.json({ success: true, message: 'Invoice marked as paid', data: { invoice: paid } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Mark organization invoice paid error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getMyOrganizations,
+  getOrganizations,
+  getOrganizationById,
+  createOrganization,
+  updateOrganization,
+  addOrganizationMember,
+  removeOrganizationMember,
+  getApprovals,
+  approveBooking,
+  rejectBooking,
+  getOrganizationInvoices,
+  getOrganizationInvoice,
+  issueOrganizationInvoice,
+  markOrganizationInvoicePaid
+};
@@ -1,97 +1,78 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
-const notificationService = require('../services/notificationService');
+const { getProvider, PaymentProviderError } = require('../services/paymentProviders');
+const webhookService = require('../services/webhookService');
+const { handleServiceError } = require('../utils/serviceErrors');
 require('dotenv').config();
 
 async function createCheckoutSession(req, res) {
   const { bookingId } = req.body || {};
   if (!bookingId) return res.status(400).json({ success: false, message: 'bookingId is required' });
 
-  const booking = await prisma.booking.findUnique({ where: { id: bookingId } });
+  const booking = await prisma.booking.findUnique({ where: { id: bookingId }, include: { pickupLocation: true } });
   if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
-
-  // If Stripe is not configured, return a helpful response so frontend can fallback to demo flow
-  if (!process.env.STRIPE_SECRET_KEY) {
-    return res.status(501).json({ success: false, message: 'Stripe not configured on server' });
+  if (booking.organizationId) {
+    return res.status(409).json({ success: false, message: 'Corporate bookings are billed to the organization' });
   }
 
   try {
-    const Stripe = require('stripe');
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2022-11-15' });
-
-    const amount = Math.round((booking.totalPrice || 0) * 100);
-
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      mode: 'payment',
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: { name: `Booking ${booking.id}` },
-            unit_amount: amount
-          },
-          quantity: 1
-        }
-      ],
-      success_url: `${process.env.FRONTEND_URL || 'http://localhost:5174'}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:5174'}/payment-cancel`,
-      metadata: { bookingId: booking.id }
+    const provider = getProvider();
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5174';
+
+    const session = await provider.createCheckout({
+      amount: booking.totalPrice || 0,
+      currency: (booking.pickupLocation && booking.pickupLocation.currency) || 'USD',
+      bookingId: booking.id,
+      successUrl: `${frontendUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${frontendUrl}/payment-cancel`
     });
 
-    return res.json({ success: true, url: session.url });
+    return res.json({ success: true, url: session.url, provider: provider.name });
   } catch (err) {
-    console.error('Stripe create session failed', err);
-    return res.status(500).json({ success: false, message: 'Failed to create Stripe session', error: String(err) });
+    // If the provider is not configured (code not_configured), the frontend can fall back to the demo flow
+    if (handleServiceError(res, err)) return;
+    console.error('Create checkout session failed', err);
+    return res.status(500).json({ success: false, message: 'Failed to create checkout session', error: String(err) });
   }
 }
 
+/**
+ * Provider webhook
+ * POST /api/payments/webhook
+ * The raw body is verified and normalized by the configured provider (see paymentProviders),
+ * stored once per event id and processed by webhookService. Redelivered events that were
+ * already handled are acknowledged without being applied again; a failure returns 500 so
+ * the provider retries.
+ */
 async function handleWebhook(req, res) {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-  let event;
-
+  let provider;
+  let parsed;
   try {
-    const Stripe = require('stripe');
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2022-11-15' });
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    provider = getProvider();
+    parsed = provider.parseWebhook(req.body, req.headers);
   } catch (err) {
+    if (err instanceof PaymentProviderError && err.code === 'not_configured') {
+      return res.status(err.statusCode).json({ received: false, error: err.message });
+    }
     console.log(`Webhook signature verification failed.`, err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const bookingId = session.metadata.bookingId;
-
-    // Update booking status to confirmed/paid
-    const booking = await prisma.booking.update({
-      where: { id: bookingId },
-      data: { status: 'confirmed', paymentStatus: 'paid' },
-      include: { user: { select: { email: true } }, vehicle: true }
-    });
-
-    // Update vehicle status to reserved
-    if (booking.vehicleId) {
-      await prisma.vehicle.update({
-        where: { id: booking.vehicleId },
-        data: { status: 'reserved' }
-      });
+  try {
+    const { event, duplicate } = await webhookService.recordEvent(provider.name, parsed);
+    const processed = await webhookService.processEvent(event);
+    if (!processed) {
+      return res.json({ received: true, duplicate, status: event.status });
     }
-
-    // Send payment receipt
-    try {
-      await notificationService.sendPaymentReceipt(booking.user.email, booking);
-    } catch (e) {
-      console.warn('Failed to send payment receipt', e);
+    if (processed.status === 'failed') {
+      return res.status(500).json({ received: false, error: processed.error });
     }
 
-    console.log(`Payment successful for booking ${bookingId}`);
+    res.json({ received: true, duplicate, status: processed.status });
+  } catch (err) {
+    console.error('Webhook processing error:', err);
+    res.status(500).json({ received: false, error: 'Internal server error' });
   }
-
-  res.json({ received: true });
 }
 
 module.exports = { createCheckoutSession, handleWebhook };
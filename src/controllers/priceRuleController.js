@@ -0,0 +1,232 @@
+const { PrismaClient } = require('@prisma/client');
+const { priceRuleSchema, priceRuleDryRunSchema } = require('../utils/validation');
+const pricingService = require('../services/pricingService');
+const { RULE_TYPES } = require('../services/priceRuleEngine');
+const { handleServiceError } = require('../utils/serviceErrors');
+const { logEvent } = require('../services/auditService');
+
+const prisma = new PrismaClient();
+
+const findRule = (id) => /^[a-f0-9]{24}$/.test(id)
+  ? prisma.priceRule.findFirst({ where: { id, type: { in: RULE_TYPES } } })
+  : null;
+
+/**
+ * List price rules (Admin only)
+ * GET /api/admin/price-rules
+ */
+const getPriceRules = async (req, res) => {
+  try {
+    const { type, vehicleCategory, locationId, vehicleId, isActive } = req.query;
+
+    const where = { type: { in: RULE_TYPES } };
+    if (type) where.type = RULE_TYPES.includes(type) ? type : { in: [] };
+    if (vehicleCategory) where.vehicleCategory = vehicleCategory;
+    if (locationId) where.locationId = locationId;
+    if (vehicleId) where.vehicleId = vehicleId;
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const rules = await prisma.priceRule.findMany({
+      where,
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({ success: true, data: { rules } });
+  } catch (error) {
+    console.error('Get price rules error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get a price rule (Admin only)
+ * GET /api/admin/price-rules/:id
+ */
+const getPriceRuleById = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Price rule not found' });
+    }
+
+    res.json({ success: true, data: { rule } });
+  } catch (error) {
+    console.error('Get price rule error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create a price rule (Admin only)
+ * POST /api/admin/price-rules
+ */
+const createPriceRule = async (req, res) => {
+  try {
+    const { error, value } = priceRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const rule = await prisma.priceRule.create({ data: value });
+    await logEvent('price_rule', rule.id, 'created', { by: req.user.id, rule: value });
+
+    res.status(201).json({ success: true, message: 'Price rule created successfully', data: { rule } });
+  } catch (error) {
+    console.error('Create price rule error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Replace a price rule (Admin only)
+ * PUT /api/admin/price-rules/:id
+ */
+const updatePriceRule = async (req, res) => {
+  try {
+    const { error, value } = priceRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await findRule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Price rule not found' });
+    }
+
+    // PUT replaces the rule: optional fields left out are cleared
+    const data = {
+      vehicleCategory: null,
+      locationId: null,
+      vehicleId: null,
+      startDate: null,
+      endDate: null,
+      minDays: null,
+      maxDays: null,
+      multiplier: null,
+      flatAmount: null,
+      ...value
+    };
+
+    const rule = await prisma.priceRule.update({ where: { id: existing.id }, data });
+    await logEvent('price_rule', rule.id, 'updated', { by: req.user.id, rule: value });
+
+    res.json({ success: true, message: 'Price rule updated successfully', data: { rule } });
+  } catch (error) {
+    console.error('Update price rule error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Delete a price rule (Admin only)
+ * DELETE /api/admin/price-rules/:id
+ * Existing bookings keep their stored breakdown; only future pricing changes.
+ */
+const deletePriceRule = async (req, res) => {
+  try {
+    const existing = await findRule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Price rule not found' });
+    }
+
+    await prisma.priceRule.delete({ where: { id: existing.id } });
+    await logEvent('price_rule', existing.id, 'deleted', { by: req.user.id, rule: existing });
+
+    res.json({ success: true, message: 'Price rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete price rule error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Price a request with the current rules and show which rules fired (Admin only)
+ * POST /api/admin/price-rules/dry-run
+ * Body: quote parameters, or { quoteId } to re-run an issued quote against today's rules
+ */
+const dryRunPriceRules = async (req, res) => {
+  try {
+    const { error, value } = priceRuleDryRunSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    let request = value;
+    let quote = null;
+    if (value.quoteId) {
+      quote = /^[a-f0-9]{24}$/.test(value.quoteId)
+        ? await prisma.quote.findUnique({ where: { id: value.quoteId } })
+        : null;
+      if (!quote) {
+        return res.status(404).json({ success: false, message: 'Quote not found' });
+      }
+      request = {
+        vehicleId: quote.vehicleId,
+        vehicleCategory: quote.vehicleCategory,
+        locationPickupId: quote.locationPickupId,
+        locationDropoffId: quote.locationDropoffId,
+        startDate: quote.startDate,
+        endDate: quote.endDate,
+        addons: quote.addons || [],
+        additionalDrivers: quote.additionalDrivers || [],
+        promoCode: quote.promoCode,
+        insuranceId: quote.insuranceId,
+        userId: quote.userId
+      };
+    }
+
+    // Category quotes are priced at the category rate
+    const vehicle = request.vehicleId
+      ? await prisma.vehicle.findUnique({ where: { id: request.vehicleId } })
+      : await pricingService.categoryVehicle(request.vehicleCategory, request.locationPickupId);
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    }
+
+    const { ruleTrace, skippedRules, ...breakdown } = await pricingService.calculatePriceForBooking({
+      vehicleId: request.vehicleId,
+      vehicleCategory: request.vehicleCategory || null,
+      startDate: request.startDate,
+      endDate: request.endDate,
+      addons: request.addons,
+      additionalDrivers: request.additionalDrivers,
+      promoCode: request.promoCode,
+      insuranceId: request.insuranceId || null,
+      userId: request.userId || null,
+      pickupLocationId: request.locationPickupId,
+      dropoffLocationId: request.locationDropoffId,
+      explain: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        request,
+        breakdown,
+        appliedRules: breakdown.appliedRules,
+        trace: ruleTrace,
+        skippedRules,
+        ...(quote && {
+          quoted: {
+            total: quote.total,
+            appliedRules: (quote.breakdown && quote.breakdown.appliedRules) || [],
+            delta: Math.round((breakdown.total - quote.total) * 100) / 100
+          }
+        })
+      }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Price rule dry run error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getPriceRules,
+  getPriceRuleById,
+  createPriceRule,
+  updatePriceRule,
+  deletePriceRule,
+  dryRunPriceRules
+};
@@ -0,0 +1,229 @@
+const { PrismaClient } = require('@prisma/client');
+const { promoSchema, promoValidateSchema } = require('../utils/validation');
+const pricingService = require('../services/pricingService');
+const { PromoError } = require('../services/promoService');
+const { handleServiceError } = require('../utils/serviceErrors');
+const { logEvent } = require('../services/auditService');
+
+const prisma = new PrismaClient();
+
+const findPromoById = (id) => /^[a-f0-9]{24}$/.test(id)
+  ? prisma.priceRule.findFirst({ where: { id, type: 'promo' } })
+  : null;
+
+/**
+ * Check a promo code for a checkout
+ * POST /api/promos/validate
+ * Invalid codes are a normal answer here, returned as `valid: false` with a `reason`.
+ */
+const validatePromo = async (req, res) => {
+  try {
+    const { error, value } = promoValidateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const vehicle = value.vehicleId
+      ? await prisma.vehicle.findUnique({ where: { id: value.vehicleId } })
+      : await pricingService.categoryVehicle(value.vehicleCategory, value.locationPickupId);
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: value.vehicleId ? 'Vehicle not found' : 'No vehicles in this category at the pickup location' });
+    }
+
+    let breakdown;
+    try {
+      breakdown = await pricingService.calculatePriceForBooking({
+        vehicleId: value.vehicleId,
+        vehicleCategory: value.vehicleCategory,
+        startDate: value.startDate,
+        endDate: value.endDate,
+        addons: value.addons,
+        additionalDrivers: value.additionalDrivers,
+        promoCode: value.promoCode,
+        insuranceId: value.insuranceId,
+        userId: req.user ? req.user.id : null,
+        pickupLocationId: value.locationPickupId,
+        dropoffLocationId: value.locationDropoffId
+      });
+    } catch (e) {
+      if (!(e instanceof PromoError)) throw e;
+      return res.json({ success: true, data: { valid: false, reason: e.reason, message: e.message } });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        valid: true,
+        promo: breakdown.promo,
+        discount: breakdown.promoDiscount,
+        total: breakdown.total,
+        breakdown
+      }
+    });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Validate promo error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * List promo codes (Admin only)
+ * GET /api/promos
+ */
+const getPromos = async (req, res) => {
+  try {
+    const { isActive, search } = req.query;
+
+    const where = { type: 'promo' };
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+    if (search) {
+      where.OR = [
+        { code: { contains: search, mode: 'insensitive' } },
+        { name: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const promos = await prisma.priceRule.findMany({ where, orderBy: { createdAt: 'desc' } });
+
+    res.json({ success: true, data: { promos } });
+  } catch (error) {
+    console.error('Get promos error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get a promo code with its redemption ledger (Admin only)
+ * GET /api/promos/:id
+ */
+const getPromoById = async (req, res) => {
+  try {
+    const promo = await findPromoById(req.params.id);
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    const redemptions = await prisma.promoRedemption.findMany({
+      where: { promoId: promo.id },
+      orderBy: { createdAt: 'desc' },
+      take: 100
+    });
+
+    res.json({ success: true, data: { promo, redemptions } });
+  } catch (error) {
+    console.error('Get promo error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create a promo code (Admin only)
+ * POST /api/promos
+ */
+const createPromo = async (req, res) => {
+  try {
+    const { error, value } = promoSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await prisma.priceRule.findUnique({ where: { code: value.code } });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Promo code already exists' });
+    }
+
+    const promo = await prisma.priceRule.create({ data: { ...value, type: 'promo' } });
+    await logEvent('promo', promo.id, 'created', { by: req.user.id, promo: value });
+
+    res.status(201).json({ success: true, message: 'Promo code created successfully', data: { promo } });
+  } catch (error) {
+    console.error('Create promo error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Replace a promo code's settings (Admin only)
+ * PUT /api/promos/:id
+ * The redemption count is kept; lowering a cap below it only stops new redemptions.
+ */
+const updatePromo = async (req, res) => {
+  try {
+    const { error, value } = promoSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    const existing = await findPromoById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    if (value.code !== existing.code) {
+      const codeExists = await prisma.priceRule.findUnique({ where: { code: value.code } });
+      if (codeExists) {
+        return res.status(409).json({ success: false, message: 'Promo code already exists' });
+      }
+    }
+
+    const promo = await prisma.priceRule.update({
+      where: { id: existing.id },
+      data: {
+        multiplier: null,
+        flatAmount: null,
+        startDate: null,
+        endDate: null,
+        maxRedemptions: null,
+        maxRedemptionsPerUser: null,
+        minDays: null,
+        minSpend: null,
+        ...value
+      }
+    });
+    await logEvent('promo', promo.id, 'updated', { by: req.user.id, promo: value });
+
+    res.json({ success: true, message: 'Promo code updated successfully', data: { promo } });
+  } catch (error) {
+    console.error('Update promo error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Delete a promo code (Admin only)
+ * DELETE /api/promos/:id
+ * Codes that were ever redeemed are deactivated instead, so the ledger stays intact.
+ */
+const deletePromo = async (req, res) => {
+  try {
+    const existing = await findPromoById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+
+    const redemptionCount = await prisma.promoRedemption.count({ where: { promoId: existing.id } });
+    if (redemptionCount > 0) {
+      const promo = await prisma.priceRule.update({ where: { id: existing.id }, data: { isActive: false } });
+      await logEvent('promo', existing.id, 'deactivated', { by: req.user.id });
+      return res.json({ success: true, message: 'Promo code has redemptions and was deactivated', data: { promo } });
+    }
+
+    await prisma.priceRule.delete({ where: { id: existing.id } });
+    await logEvent('promo', existing.id, 'deleted', { by: req.user.id, promo: existing });
+
+    res.json({ success: true, message: 'Promo code deleted successfully' });
+  } catch (error) {
+    console.error('Delete promo error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  validatePromo,
+  getPromos,
+  getPromoById,
+  createPromo,
+  updatePromo,
+  deletePromo
+};
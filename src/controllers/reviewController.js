@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const { reviewSchema } = require('../utils/validation');
+const { hasPermission } = require('../services/permissionService');
 
 const prisma = new PrismaClient();
 
@@ -343,7 +344,7 @@ const deleteReview = async (req, res) => {
       });
     }
 
-    if (review.userId !== req.user.id && req.user.role !== 'admin') {
+    if (review.userId !== req.user.id && !hasPermission(req.user, 'reviews:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -368,7 +369,7 @@ const deleteReview = async (req, res) => {
 };
 
 /**
- * Get all reviews (Admin only)
+ * Get all reviews (staff with reviews:manage)
  * GET /api/reviews/admin/all
  */
 const getAllReviews = async (req, res) => {
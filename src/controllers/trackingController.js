@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const IntegrationService = require('../services/integrationService');
+const { canAccessBooking } = require('../services/permissionService');
 
 /**
  * Update GPS location for active rental
@@ -20,8 +21,8 @@ const updateGPSLocation = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    // Verify user owns this booking
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    // Verify user owns this booking or is staff at its locations
+    if (!canAccessBooking(req.user, booking, 'bookings:manage')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
@@ -130,7 +131,7 @@ const getTrackingData = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
-    if (booking.userId !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessBooking(req.user, booking, 'bookings:read')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
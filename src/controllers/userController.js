@@ -1,14 +1,17 @@
 const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient();
+const { revokeAllSessions } = require('../services/sessionService');
+const { userRoleSchema } = require('../utils/validation');
+const { logEvent } = require('../services/auditService');
 
 /**
- * Get all users (Admin only)
- * GET /api/users
+ * Get all users (staff with users:read)
+ * GET /api/users?role=&locationId=&search=
  */
 const getUsers = async (req, res) => {
   try {
-    const { role, search, page = 1, limit = 10 } = req.query;
+    const { role, locationId, search, page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
 
@@ -18,6 +21,10 @@ const getUsers = async (req, res) => {
       where.role = role;
     }
 
+    if (locationId) {
+      where.locationIds = { has: locationId };
+    }
+
     if (search) {
       where.OR = [
         { name: { contains: search, mode: 'insensitive' } },
@@ -34,6 +41,7 @@ const getUsers = async (req, res) => {
           email: true,
           phone: true,
           role: true,
+          locationIds: true,
           createdAt: true,
           _count: {
             select: {
@@ -76,7 +84,7 @@ const getUsers = async (req, res) => {
 };
 
 /**
- * Get user by ID (Admin only)
+ * Get user by ID (staff with users:read)
  * GET /api/users/:id
  */
 const getUserById = async (req, res) => {
@@ -91,6 +99,7 @@ const getUserById = async (req, res) => {
         email: true,
         phone: true,
         role: true,
+        locationIds: true,
         createdAt: true,
         updatedAt: true,
         bookings: {
@@ -162,19 +171,35 @@ const getUserById = async (req, res) => {
 };
 
 /**
- * Update user role (Admin only)
+ * Update user role and the locations a staff member works at (Admin only)
  * PUT /api/users/:id/role
+ * Body: { role, locationIds } — locationIds is required for staff roles other than admin
  */
 const updateUserRole = async (req, res) => {
   try {
     const { id } = req.params;
-    const { role } = req.body;
 
-    if (!['customer', 'admin'].includes(role)) {
+    const { error, value } = userRoleSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role'
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    const { role, locationIds } = value;
+
+    if (locationIds.length > 0) {
+      const locationCount = await prisma.location.count({
+        where: { id: { in: locationIds } }
       });
+
+      if (locationCount !== locationIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location ID'
+        });
+      }
     }
 
     // Check if user exists
@@ -189,8 +214,8 @@ const updateUserRole = async (req, res) => {
       });
     }
 
-    // Prevent admin from changing their own role to customer if they are the only admin
-    if (user.id === req.user.id && role === 'customer') {
+    // Prevent admin from giving up their own admin role if they are the only admin
+    if (user.id === req.user.id && role !== 'admin') {
       const adminCount = await prisma.user.count({
         where: { role: 'admin' }
       });
@@ -205,17 +230,29 @@ const updateUserRole = async (req, res) => {
 
     const updatedUser = await prisma.user.update({
       where: { id },
-      data: { role },
+      data: { role, locationIds },
       select: {
         id: true,
         name: true,
         email: true,
         phone: true,
         role: true,
+        locationIds: true,
         updatedAt: true
       }
     });
 
+    await logEvent('user', id, 'role_changed', {
+      by: req.user.id,
+      from: { role: user.role, locationIds: user.locationIds },
+      to: { role, locationIds }
+    });
+
+    // Force re-authentication so existing tokens stop carrying the old role
+    if (user.role !== role) {
+      await revokeAllSessions(id, { reason: 'role_changed' });
+    }
+
     res.json({
       success: true,
       message: 'User role updated successfully',
@@ -279,6 +316,10 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    await prisma.session.deleteMany({
+      where: { userId: id }
+    });
+
     await prisma.user.delete({
       where: { id }
     });
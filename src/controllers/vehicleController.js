@@ -4,6 +4,7 @@ const { vehicleSchema } = require('../utils/validation');
 const prisma = new PrismaClient();
 const availabilityService = require('../services/availabilityService');
 const pricingService = require('../services/pricingService');
+const { hasPermission, canAccessVehicle, inScope, scopeVehicles } = require('../services/permissionService');
 
 /**
  * Get all vehicles with filtering and search
@@ -33,8 +34,9 @@ const getVehicles = async (req, res) => {
     // Build filter conditions
     const where = {};
 
-    // Only filter by status if not admin
-    if (!req.user || req.user.role !== 'admin') {
+    // Staff who manage vehicles see every status at their locations, everyone else only available vehicles
+    const staffView = hasPermission(req.user, 'vehicles:status');
+    if (!staffView) {
       where.status = 'available';
     }
 
@@ -104,9 +106,11 @@ const getVehicles = async (req, res) => {
     const orderBy = {};
     orderBy[sortBy] = sortOrder;
 
+    const scoped = staffView ? scopeVehicles(req.user, where) : where;
+
     const [vehicles, totalCount] = await Promise.all([
       prisma.vehicle.findMany({
-        where,
+        where: scoped,
         include: {
           location: {
             select: {
@@ -132,7 +136,7 @@ const getVehicles = async (req, res) => {
         skip,
         take
       }),
-      prisma.vehicle.count({ where })
+      prisma.vehicle.count({ where: scoped })
     ]);
 
     // Calculate average rating for each vehicle
@@ -238,7 +242,7 @@ const getVehicleById = async (req, res) => {
 };
 
 /**
- * Create new vehicle (Admin only)
+ * Create new vehicle (staff with vehicles:manage at its location)
  * POST /api/vehicles
  */
 const createVehicle = async (req, res) => {
@@ -265,6 +269,13 @@ const createVehicle = async (req, res) => {
       });
     }
 
+    if (!inScope(req.user, location.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     const vehicle = await prisma.vehicle.create({
       data: value,
       include: {
@@ -295,7 +306,7 @@ const createVehicle = async (req, res) => {
 };
 
 /**
- * Update vehicle (Admin only)
+ * Update vehicle (staff with vehicles:manage at its current and new location)
  * PUT /api/vehicles/:id
  */
 const updateVehicle = async (req, res) => {
@@ -324,6 +335,13 @@ const updateVehicle = async (req, res) => {
       });
     }
 
+    if (!canAccessVehicle(req.user, existingVehicle, 'vehicles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     // Check if location exists (if being updated)
     if (value.locationId) {
       const location = await prisma.location.findUnique({
@@ -336,6 +354,14 @@ const updateVehicle = async (req, res) => {
           message: 'Invalid location ID'
         });
       }
+
+      // Moving a vehicle needs access to the location it moves to as well
+      if (!inScope(req.user, location.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
     }
 
     const vehicle = await prisma.vehicle.update({
@@ -369,7 +395,7 @@ const updateVehicle = async (req, res) => {
 };
 
 /**
- * Delete vehicle (Admin only)
+ * Delete vehicle (staff with vehicles:manage at its location)
  * DELETE /api/vehicles/:id
  */
 const deleteVehicle = async (req, res) => {
@@ -388,6 +414,13 @@ const deleteVehicle = async (req, res) => {
       });
     }
 
+    if (!canAccessVehicle(req.user, vehicle, 'vehicles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     // Check for active bookings
     const activeBookings = await prisma.booking.count({
       where: {
@@ -424,6 +457,7 @@ module.exports = {
   getVehicles,
   // new export
   getAvailableVehicles,
+  getAvailableCategories,
   getVehicleById,
   createVehicle,
   updateVehicle,
@@ -470,6 +504,42 @@ async function getAvailableVehicles(req, res) {
   }
 }
 
+/**
+ * Vehicle categories with vehicles left at a pickup location for a date range,
+ * for category reservations, with a price estimate at the category rate
+ * GET /api/vehicles/categories/available?startDate=&endDate=&locationCode=
+ */
+async function getAvailableCategories(req, res) {
+  try {
+    const { startDate, endDate, locationCode } = req.query;
+
+    if (!startDate || !endDate || !locationCode) {
+      return res.status(400).json({ success: false, message: 'startDate, endDate and locationCode are required' });
+    }
+
+    const location = await prisma.location.findFirst({ where: { code: locationCode } });
+    if (!location) return res.status(404).json({ success: false, message: 'Location not found' });
+
+    const categories = await availabilityService.findAvailableCategories({ startDate, endDate, locationId: location.id });
+
+    const results = [];
+    for (const availability of categories.filter(c => c.available > 0)) {
+      let price = null;
+      try {
+        price = await pricingService.calculatePriceForBooking({ vehicleCategory: availability.category, startDate, endDate, addons: [], promoCode: null, userId: req.user ? req.user.id : null, pickupLocationId: location.id });
+      } catch (e) {
+        console.warn(`Failed to price category ${availability.category}`, e);
+      }
+      results.push({ category: availability.category, available: availability.available, price });
+    }
+
+    res.json({ success: true, data: { location: { id: location.id, code: location.code, name: location.name }, results } });
+  } catch (error) {
+    console.error('Get available categories error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+}
+
 /**
  * Bulk import vehicles from a CSV-like payload
  * POST /api/vehicles/bulk-import
@@ -504,6 +574,7 @@ async function bulkImportVehicles(req, res) {
           doors: v.doors ? parseInt(v.doors) : 4,
           features: Array.isArray(v.features) ? v.features : [],
         };
+        if (!inScope(req.user, data.locationId)) throw new Error('Location is outside your assigned locations');
         const vehicle = await prisma.vehicle.create({ data });
         created.push(vehicle);
       } catch (e) {
@@ -532,6 +603,9 @@ async function updateVehicleStatus(req, res) {
     }
     const existing = await prisma.vehicle.findUnique({ where: { id } });
     if (!existing) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    if (!canAccessVehicle(req.user, existing, 'vehicles:status')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
     const updated = await prisma.vehicle.update({ where: { id }, data: { status } });
     res.json({ success: true, message: 'Vehicle status updated', data: { vehicle: updated } });
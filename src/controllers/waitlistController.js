@@ -0,0 +1,90 @@
+const { PrismaClient } = require('@prisma/client');
+const { waitlistSchema } = require('../utils/validation');
+const waitlistService = require('../services/waitlistService');
+const balanceService = require('../services/balanceService');
+const { transitionBooking, actorFor } = require('../services/bookingLifecycleService');
+const { can } = require('../services/permissionService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+const prisma = new PrismaClient();
+
+/**
+ * Join the waitlist for a sold-out category
+ * POST /api/waitlist
+ * Body: { locationId, locationDropoffId?, vehicleCategory, startDate, endDate }
+ * Returns 409 while the category can still be booked directly.
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const { error, value } = waitlistSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Validation error', errors: error.details.map(d => d.message) });
+    }
+
+    await balanceService.assertCanBook(req.user);
+
+    const entry = await waitlistService.joinWaitlist(req.user, value);
+
+    res.status(201).json({ success: true, message: 'Added to the waitlist', data: { entry } });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * The current user's waitlist entries, with their position while waiting
+ * GET /api/waitlist
+ */
+const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await waitlistService.listForUser(req.user.id);
+
+    res.json({ success: true, data: { entries } });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Leave the waitlist
+ * DELETE /api/waitlist/:id
+ * An outstanding offer's hold is cancelled too, freeing the vehicle for the next customer.
+ */
+const cancelWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await waitlistService.getEntry(req.params.id);
+    if (!entry) return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+
+    if (entry.userId !== req.user.id && !can(req.user, 'bookings:manage', entry.locationId)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    await waitlistService.cancelEntry(entry, { actorId: req.user.id });
+
+    if (entry.status === 'offered' && entry.bookingId) {
+      const hold = await prisma.booking.findUnique({ where: { id: entry.bookingId } });
+      if (hold && hold.status === 'pending_hold') {
+        await transitionBooking(hold, 'cancelled', {
+          actor: actorFor(req.user),
+          userId: req.user.id,
+          reason: 'waitlist_cancelled'
+        });
+      }
+    }
+
+    res.json({ success: true, message: 'Removed from the waitlist' });
+  } catch (error) {
+    if (handleServiceError(res, error)) return;
+    console.error('Cancel waitlist entry error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  cancelWaitlistEntry
+};
@@ -0,0 +1,97 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { transitionBooking, BookingTransitionError } = require('../services/bookingLifecycleService');
+const { logEvent } = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Hold expiry
+ * Cancels `pending_hold` bookings whose `holdExpiresAt` has passed so they stop
+ * blocking availability, even if nobody ever calls confirm on them.
+ */
+
+/**
+ * Expire a single hold. Returns the cancelled booking, or null if the booking
+ * left `pending_hold` in the meantime (e.g. it was confirmed concurrently).
+ */
+async function expireHold(booking, { notify = process.env.HOLD_EXPIRY_NOTIFY !== 'false' } = {}) {
+  let cancelled;
+  try {
+    cancelled = await transitionBooking(booking, 'cancelled', {
+      actor: 'system',
+      reason: 'hold_expired',
+      include: { user: { select: { email: true } }, vehicle: true }
+    });
+  } catch (error) {
+    if (error instanceof BookingTransitionError) return null;
+    throw error;
+  }
+
+  await logEvent('booking', booking.id, 'hold_expired', { holdExpiresAt: booking.holdExpiresAt, expiredAt: new Date() });
+
+  if (notify && cancelled.user?.email) {
+    try {
+      await notificationService.sendHoldExpiredNotice(cancelled.user.email, cancelled);
+    } catch (e) {
+      console.warn('Failed to send hold expiry notice', e);
+    }
+  }
+
+  return cancelled;
+}
+
+/**
+ * Sweep all expired holds
+ */
+async function expireHolds({ now = new Date(), batchSize = 100 } = {}) {
+  const expired = await prisma.booking.findMany({
+    where: {
+      status: 'pending_hold',
+      holdExpiresAt: { lt: now }
+    },
+    orderBy: { holdExpiresAt: 'asc' },
+    take: batchSize
+  });
+
+  let expiredCount = 0;
+  for (const booking of expired) {
+    try {
+      const result = await expireHold(booking);
+      if (result) expiredCount += 1;
+    } catch (e) {
+      console.error(`Failed to expire hold ${booking.id}:`, e);
+    }
+  }
+
+  return { scanned: expired.length, expired: expiredCount };
+}
+
+/**
+ * List holds expiring within the given window (including overdue ones not yet swept)
+ */
+async function findExpiringHolds({ withinMinutes = 10, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() + withinMinutes * 60 * 1000);
+  const holds = await prisma.booking.findMany({
+    where: {
+      status: 'pending_hold',
+      holdExpiresAt: { lte: cutoff }
+    },
+    include: {
+      user: { select: { id: true, name: true, email: true } },
+      vehicle: { select: { id: true, make: true, model: true, year: true } },
+      pickupLocation: { select: { id: true, name: true, code: true } }
+    },
+    orderBy: { holdExpiresAt: 'asc' }
+  });
+
+  return holds.map(h => ({
+    ...h,
+    expiresInSeconds: Math.round((new Date(h.holdExpiresAt) - now) / 1000)
+  }));
+}
+
+module.exports = {
+  expireHold,
+  expireHolds,
+  findExpiringHolds
+};
@@ -0,0 +1,25 @@
+const scheduler = require('./scheduler');
+const { expireHolds } = require('./holdExpiryJob');
+const { sendReminders } = require('../services/balanceService');
+const { processWaitlist } = require('../services/waitlistService');
+const { issueMonthlyInvoices } = require('../services/organizationService');
+
+/**
+ * Register all background jobs and start the scheduler.
+ * Set JOBS_ENABLED=false to run the API without background jobs (e.g. on secondary instances).
+ */
+function startJobs() {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏱️  Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  scheduler.registerJob('expire-holds', parseInt(process.env.HOLD_SWEEP_INTERVAL_MS || '60000'), () => expireHolds());
+  scheduler.registerJob('balance-reminders', parseInt(process.env.BALANCE_SWEEP_INTERVAL_MS || '3600000'), () => sendReminders());
+  scheduler.registerJob('waitlist-offers', parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS || '300000'), () => processWaitlist());
+  scheduler.registerJob('organization-invoices', parseInt(process.env.ORGANIZATION_INVOICE_INTERVAL_MS || '3600000'), () => issueMonthlyInvoices());
+
+  scheduler.start();
+}
+
+module.exports = { startJobs, stopJobs: scheduler.stop };
@@ -0,0 +1,104 @@
+/**
+ * In-process job scheduler
+ *
+ * Runs registered jobs on a fixed interval inside the API process. A job never
+ * overlaps with itself: if a run is still in progress when the next tick fires,
+ * that tick is skipped. Timers are unref'd so they never keep the process alive.
+ */
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a job
+ * @param {string} name - unique job name
+ * @param {number} intervalMs - how often to run
+ * @param {Function} handler - async function returning a result summary
+ */
+function registerJob(name, intervalMs, handler) {
+  if (jobs.has(name)) {
+    throw new Error(`Job '${name}' is already registered`);
+  }
+  jobs.set(name, {
+    name,
+    intervalMs,
+    handler,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null,
+    runCount: 0
+  });
+  if (started) schedule(jobs.get(name));
+}
+
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    const error = new Error(`Job '${name}' not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  if (job.running) {
+    return { skipped: true, reason: 'already running' };
+  }
+
+  job.running = true;
+  try {
+    const result = await job.handler();
+    job.lastResult = result;
+    job.lastError = null;
+    return result;
+  } catch (error) {
+    console.error(`Job '${name}' failed:`, error);
+    job.lastError = error.message;
+    throw error;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+    job.runCount += 1;
+  }
+}
+
+function schedule(job) {
+  job.timer = setInterval(() => {
+    runJob(job.name).catch(() => {});
+  }, job.intervalMs);
+  if (job.timer.unref) job.timer.unref();
+}
+
+function start() {
+  if (started) return;
+  started = true;
+  for (const job of jobs.values()) schedule(job);
+  console.log(`⏱️  Scheduler started with ${jobs.size} job(s)`);
+}
+
+function stop() {
+  for (const job of jobs.values()) {
+    if (job.timer) clearInterval(job.timer);
+    job.timer = null;
+  }
+  started = false;
+}
+
+function listJobs() {
+  return Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastResult, lastError, runCount }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt,
+    lastResult,
+    lastError,
+    runCount
+  }));
+}
+
+module.exports = {
+  registerJob,
+  runJob,
+  start,
+  stop,
+  listJobs
+};
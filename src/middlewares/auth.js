@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const { verifyToken, extractToken } = require('../utils/auth');
+const { assertSessionActive } = require('../services/sessionService');
+const { hasPermission } = require('../services/permissionService');
 
 const prisma = new PrismaClient();
 
@@ -19,6 +21,9 @@ const authenticate = async (req, res, next) => {
 
     // Verify token
     const decoded = verifyToken(token);
+
+    // Reject tokens whose session was logged out or revoked
+    await assertSessionActive(decoded.sid);
     
     // Get user from database
     const user = await prisma.user.findUnique({
@@ -28,6 +33,10 @@ const authenticate = async (req, res, next) => {
         name: true,
         email: true,
         role: true,
+        emailVerifiedAt: true,
+        dateOfBirth: true,
+        accountStatus: true,
+        locationIds: true,
         createdAt: true
       }
     });
@@ -41,6 +50,7 @@ const authenticate = async (req, res, next) => {
 
     // Add user to request object
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -59,6 +69,13 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (error.name === 'SessionError') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: 'Authentication failed'
@@ -90,6 +107,31 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Middleware to authorize based on a role permission (see permissionService).
+ * Location scope is checked by the handler against the record it acts on.
+ * @param {string} permission - e.g. 'bookings:manage'
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Optional authentication middleware - doesn't fail if no token provided
  */
@@ -99,6 +141,7 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = verifyToken(token);
+      await assertSessionActive(decoded.sid);
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
         select: {
@@ -106,12 +149,15 @@ const optionalAuth = async (req, res, next) => {
           name: true,
           email: true,
           role: true,
+          emailVerifiedAt: true,
+          locationIds: true,
           createdAt: true
         }
       });
       
       if (user) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     
@@ -125,5 +171,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticate,
   authorize,
+  requirePermission,
   optionalAuth
 };
\ No newline at end of file
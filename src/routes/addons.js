@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getAddOns,
+  getAddOnById,
+  createAddOn,
+  updateAddOn,
+  deleteAddOn
+} = require('../controllers/addonController');
+const { authenticate, requirePermission, optionalAuth } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', optionalAuth, getAddOns);
+router.get('/:id', optionalAuth, getAddOnById);
+
+// Admin routes
+router.post('/', authenticate, requirePermission('catalog:manage'), createAddOn);
+router.put('/:id', authenticate, requirePermission('catalog:manage'), updateAddOn);
+router.delete('/:id', authenticate, requirePermission('catalog:manage'), deleteAddOn);
+
+module.exports = router;
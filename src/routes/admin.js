@@ -1,22 +1,104 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 const adminController = require('../controllers/adminController');
+const priceRuleController = require('../controllers/priceRuleController');
+const cancellationPolicyController = require('../controllers/cancellationPolicyController');
 
-// All routes require admin authorization
+// All routes require staff authorization; each route names the permission it needs
 router.use(authenticate);
-router.use(authorize('admin'));
 
 // GET /api/admin/overview - Dashboard metrics
-router.get('/overview', adminController.getOverviewMetrics);
+router.get('/overview', requirePermission('reports:read'), adminController.getOverviewMetrics);
 
 // GET /api/admin/calendar - Booking calendar data
-router.get('/calendar', adminController.getBookingCalendar);
+router.get('/calendar', requirePermission('bookings:read'), adminController.getBookingCalendar);
 
 // POST /api/admin/bookings/bulk-action - Bulk approve/reject/cancel
-router.post('/bookings/bulk-action', adminController.bulkBookingAction);
+router.post('/bookings/bulk-action', requirePermission('bookings:manage'), adminController.bulkBookingAction);
 
 // GET /api/admin/export/bookings - Export bookings to CSV
-router.get('/export/bookings', adminController.exportBookings);
+router.get('/export/bookings', requirePermission('bookings:read'), adminController.exportBookings);
+
+// GET /api/admin/holds/expiring - Holds about to expire
+router.get('/holds/expiring', requirePermission('bookings:read'), adminController.getExpiringHolds);
+
+// GET /api/admin/jobs - Background job status
+router.get('/jobs', requirePermission('jobs:manage'), adminController.getJobs);
+
+// POST /api/admin/jobs/:name/run - Run a background job now
+router.post('/jobs/:name/run', requirePermission('jobs:manage'), adminController.runJob);
+
+// GET /api/admin/refunds/failed - Refunds the payment provider rejected
+router.get('/refunds/failed', requirePermission('finance:read'), adminController.getFailedRefunds);
+
+// POST /api/admin/refunds/:id/retry - Retry a failed refund
+router.post('/refunds/:id/retry', requirePermission('finance:manage'), adminController.retryRefund);
+
+// GET /api/admin/webhook-events - Stored payment webhook events
+router.get('/webhook-events', requirePermission('finance:read'), adminController.getWebhookEvents);
+
+// GET /api/admin/webhook-events/:id - Webhook event with payload
+router.get('/webhook-events/:id', requirePermission('finance:read'), adminController.getWebhookEventById);
+
+// POST /api/admin/webhook-events/:id/replay - Process a stored event again
+router.post('/webhook-events/:id/replay', requirePermission('finance:manage'), adminController.replayWebhookEvent);
+
+// GET /api/admin/reconciliation - Ledger vs payment records, mismatches only unless all=true
+router.get('/reconciliation', requirePermission('finance:read'), adminController.getReconciliationReport);
+
+// POST /api/admin/reconciliation/bookings/:id/sync - Backfill a booking's ledger
+router.post('/reconciliation/bookings/:id/sync', requirePermission('finance:manage'), adminController.syncBookingLedger);
+
+// GET /api/admin/balances - Balances owed after return
+router.get('/balances', requirePermission('finance:read'), adminController.getBalances);
+
+// POST /api/admin/balances/:id/waive - Write off a balance and unblock the customer
+router.post('/balances/:id/waive', requirePermission('finance:manage'), adminController.waiveBalance);
+
+// GET /api/admin/waitlist - Waitlist entries in queue order
+router.get('/waitlist', requirePermission('waitlist:read'), adminController.getWaitlist);
+
+// GET /api/admin/documents - Identity document review queue
+router.get('/documents', requirePermission('documents:review'), adminController.getDocumentQueue);
+
+// POST /api/admin/documents/:id/approve - Approve an identity document
+router.post('/documents/:id/approve', requirePermission('documents:review'), adminController.approveDocument);
+
+// POST /api/admin/documents/:id/reject - Reject an identity document with a reason
+router.post('/documents/:id/reject', requirePermission('documents:review'), adminController.rejectDocument);
+
+// GET /api/admin/price-rules - List price rules
+router.get('/price-rules', requirePermission('catalog:manage'), priceRuleController.getPriceRules);
+
+// POST /api/admin/price-rules/dry-run - Show which rules fire for a quote request
+router.post('/price-rules/dry-run', requirePermission('catalog:manage'), priceRuleController.dryRunPriceRules);
+
+// GET /api/admin/price-rules/:id - Get price rule
+router.get('/price-rules/:id', requirePermission('catalog:manage'), priceRuleController.getPriceRuleById);
+
+// POST /api/admin/price-rules - Create price rule
+router.post('/price-rules', requirePermission('catalog:manage'), priceRuleController.createPriceRule);
+
+// PUT /api/admin/price-rules/:id - Replace price rule
+router.put('/price-rules/:id', requirePermission('catalog:manage'), priceRuleController.updatePriceRule);
+
+// DELETE /api/admin/price-rules/:id - Delete price rule
+router.delete('/price-rules/:id', requirePermission('catalog:manage'), priceRuleController.deletePriceRule);
+
+// GET /api/admin/cancellation-policies - List cancellation policies
+router.get('/cancellation-policies', requirePermission('catalog:manage'), cancellationPolicyController.getCancellationPolicies);
+
+// GET /api/admin/cancellation-policies/:id - Get cancellation policy
+router.get('/cancellation-policies/:id', requirePermission('catalog:manage'), cancellationPolicyController.getCancellationPolicyById);
+
+// POST /api/admin/cancellation-policies - Create cancellation policy
+router.post('/cancellation-policies', requirePermission('catalog:manage'), cancellationPolicyController.createCancellationPolicy);
+
+// PUT /api/admin/cancellation-policies/:id - Replace cancellation policy
+router.put('/cancellation-policies/:id', requirePermission('catalog:manage'), cancellationPolicyController.updateCancellationPolicy);
+
+// DELETE /api/admin/cancellation-policies/:id - Delete cancellation policy
+router.delete('/cancellation-policies/:id', requirePermission('catalog:manage'), cancellationPolicyController.deleteCancellationPolicy);
 
 module.exports = router;
@@ -1,5 +1,19 @@
 const express = require('express');
-const { register, login, getProfile, updateProfile } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getProfile,
+  updateProfile,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
 const { authenticate } = require('../middlewares/auth');
 
 const router = express.Router();
@@ -7,9 +21,18 @@ const router = express.Router();
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
 
 // Protected routes (require authentication)
 router.get('/me', authenticate, getProfile);
 router.put('/profile', authenticate, updateProfile);
+router.post('/logout', authenticate, logout);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, revokeSession);
+router.put('/password', authenticate, changePassword);
+router.post('/verify-email/resend', authenticate, resendVerification);
 
 module.exports = router;
\ No newline at end of file
@@ -7,10 +7,18 @@ const {
   updateBookingStatus,
   cancelBooking,
   getAllBookings,
+  createQuote,
   holdBooking,
   confirmBooking,
   pickupChecklist,
   returnChecklist,
+  getBookingDeposit,
+  getBookingInvoice,
+  getBookingLedger,
+  getBookingBalance,
+  payBookingBalance,
+  captureBookingDeposit,
+  releaseBookingDeposit,
   prepareBooking,
   extendBooking,
   updateBookingLocation,
@@ -21,10 +29,13 @@ const {
   modifyBooking,
   requestSOS
 } = require('../controllers/bookingController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission, optionalAuth } = require('../middlewares/auth');
 
 const router = express.Router();
 
+// Price quote with full breakdown (login optional; quotes from logged-in users are bound to them)
+router.post('/quote', optionalAuth, createQuote);
+
 // User routes (require authentication)
 router.post('/', authenticate, createBooking);
 // Create a short hold (reserve vehicle for a short time)
@@ -35,6 +46,15 @@ router.post('/confirm', authenticate, confirmBooking);
 router.post('/:id/pickup', authenticate, pickupChecklist);
 // Mark return checklist / complete rental
 router.post('/:id/return', authenticate, returnChecklist);
+// Security deposit ledger
+router.get('/:id/deposit', authenticate, getBookingDeposit);
+// Invoices and credit notes (JSON or PDF)
+router.get('/:id/invoice', authenticate, getBookingInvoice);
+// Charges, payments, refunds and outstanding balance
+router.get('/:id/ledger', authenticate, getBookingLedger);
+// Balance due after return and paying it
+router.get('/:id/balance', authenticate, getBookingBalance);
+router.post('/:id/balance/pay', authenticate, payBookingBalance);
 router.get('/', authenticate, getUserBookings);
 // User dashboard summary
 router.get('/dashboard', authenticate, getUserDashboard);
@@ -53,10 +73,12 @@ router.post('/:id/checkin', authenticate, onlineCheckin);
 router.post('/:id/contactless-pickup', authenticate, contactlessPickup);
 
 // Admin routes (place before parameterized routes to avoid conflict)
-router.get('/admin/all', authenticate, authorize('admin'), getAllBookings);
-router.get('/admin/metrics', authenticate, authorize('admin'), getAdminMetrics);
-router.put('/:id/status', authenticate, authorize('admin'), updateBookingStatus);
-router.post('/:id/prepare', authenticate, authorize('admin'), prepareBooking);
+router.get('/admin/all', authenticate, requirePermission('bookings:read'), getAllBookings);
+router.get('/admin/metrics', authenticate, requirePermission('reports:read'), getAdminMetrics);
+router.put('/:id/status', authenticate, requirePermission('bookings:manage'), updateBookingStatus);
+router.post('/:id/prepare', authenticate, requirePermission('bookings:manage'), prepareBooking);
+router.post('/:id/deposit/capture', authenticate, requirePermission('deposits:manage'), captureBookingDeposit);
+router.post('/:id/deposit/release', authenticate, requirePermission('deposits:manage'), releaseBookingDeposit);
 router.post('/:id/extend', authenticate, extendBooking);
 
 // Parameterized route: must come after admin routes
@@ -0,0 +1,16 @@
+const express = require('express');
+const {
+  submitDocument,
+  getMyDocuments
+} = require('../controllers/documentController');
+const { authenticate } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.post('/', submitDocument);
+router.get('/', getMyDocuments);
+
+module.exports = router;
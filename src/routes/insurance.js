@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getInsuranceProducts,
+  getInsuranceProductById,
+  createInsuranceProduct,
+  updateInsuranceProduct,
+  deleteInsuranceProduct
+} = require('../controllers/insuranceController');
+const { authenticate, requirePermission, optionalAuth } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', optionalAuth, getInsuranceProducts);
+router.get('/:id', optionalAuth, getInsuranceProductById);
+
+// Admin routes
+router.post('/', authenticate, requirePermission('catalog:manage'), createInsuranceProduct);
+router.put('/:id', authenticate, requirePermission('catalog:manage'), updateInsuranceProduct);
+router.delete('/:id', authenticate, requirePermission('catalog:manage'), deleteInsuranceProduct);
+
+module.exports = router;
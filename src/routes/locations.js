@@ -6,7 +6,7 @@ const {
   updateLocation,
   deleteLocation
 } = require('../controllers/locationController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 
 const router = express.Router();
 
@@ -15,8 +15,8 @@ router.get('/', getLocations);
 router.get('/:id', getLocationById);
 
 // Admin routes
-router.post('/', authenticate, authorize('admin'), createLocation);
-router.put('/:id', authenticate, authorize('admin'), updateLocation);
-router.delete('/:id', authenticate, authorize('admin'), deleteLocation);
+router.post('/', authenticate, requirePermission('catalog:manage'), createLocation);
+router.put('/:id', authenticate, requirePermission('catalog:manage'), updateLocation);
+router.delete('/:id', authenticate, requirePermission('catalog:manage'), deleteLocation);
 
 module.exports = router;
\ No newline at end of file
@@ -6,15 +6,15 @@ const {
   updateMaintenanceTask,
   deleteMaintenanceTask
 } = require('../controllers/maintenanceController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 
 const router = express.Router();
 
 // All maintenance routes require admin access
-router.post('/', authenticate, authorize('admin'), createMaintenanceTask);
-router.get('/', authenticate, authorize('admin'), getMaintenanceTasks);
-router.get('/:id', authenticate, authorize('admin'), getMaintenanceTaskById);
-router.put('/:id', authenticate, authorize('admin'), updateMaintenanceTask);
-router.delete('/:id', authenticate, authorize('admin'), deleteMaintenanceTask);
+router.post('/', authenticate, requirePermission('maintenance:manage'), createMaintenanceTask);
+router.get('/', authenticate, requirePermission('maintenance:read'), getMaintenanceTasks);
+router.get('/:id', authenticate, requirePermission('maintenance:read'), getMaintenanceTaskById);
+router.put('/:id', authenticate, requirePermission('maintenance:manage'), updateMaintenanceTask);
+router.delete('/:id', authenticate, requirePermission('maintenance:manage'), deleteMaintenanceTask);
 
 module.exports = router;
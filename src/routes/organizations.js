@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getMyOrganizations,
+  getOrganizations,
+  getOrganizationById,
+  createOrganization,
+  updateOrganization,
+  addOrganizationMember,
+  removeOrganizationMember,
+  getApprovals,
+  approveBooking,
+  rejectBooking,
+  getOrganizationInvoices,
+  getOrganizationInvoice,
+  issueOrganizationInvoice,
+  markOrganizationInvoicePaid
+} = require('../controllers/organizationController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/mine', getMyOrganizations);
+
+// Travel managers of the organization and admins
+router.get('/:id', getOrganizationById);
+router.post('/:id/members', addOrganizationMember);
+router.delete('/:id/members/:userId', removeOrganizationMember);
+router.get('/:id/approvals', getApprovals);
+router.post('/:id/approvals/:bookingId/approve', approveBooking);
+router.post('/:id/approvals/:bookingId/reject', rejectBooking);
+router.get('/:id/invoices', getOrganizationInvoices);
+router.get('/:id/invoices/:invoiceId', getOrganizationInvoice);
+
+// Staff routes
+router.get('/', requirePermission('organizations:manage'), getOrganizations);
+router.post('/', requirePermission('organizations:manage'), createOrganization);
+router.put('/:id', requirePermission('organizations:manage'), updateOrganization);
+router.post('/:id/invoices', requirePermission('finance:manage'), issueOrganizationInvoice);
+router.post('/:id/invoices/:invoiceId/paid', requirePermission('finance:manage'), markOrganizationInvoicePaid);
+
+module.exports = router;
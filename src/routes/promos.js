@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  validatePromo,
+  getPromos,
+  getPromoById,
+  createPromo,
+  updatePromo,
+  deletePromo
+} = require('../controllers/promoController');
+const { authenticate, requirePermission, optionalAuth } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Checkout (signed-in users also get the per-user and first-booking checks)
+router.post('/validate', optionalAuth, validatePromo);
+
+// Admin routes
+router.get('/', authenticate, requirePermission('catalog:manage'), getPromos);
+router.get('/:id', authenticate, requirePermission('catalog:manage'), getPromoById);
+router.post('/', authenticate, requirePermission('catalog:manage'), createPromo);
+router.put('/:id', authenticate, requirePermission('catalog:manage'), updatePromo);
+router.delete('/:id', authenticate, requirePermission('catalog:manage'), deletePromo);
+
+module.exports = router;
@@ -7,7 +7,7 @@ const {
   deleteReview,
   getAllReviews
 } = require('../controllers/reviewController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 
 const router = express.Router();
 
@@ -21,6 +21,6 @@ router.put('/:id', authenticate, updateReview);
 router.delete('/:id', authenticate, deleteReview);
 
 // Admin routes
-router.get('/admin/all', authenticate, authorize('admin'), getAllReviews);
+router.get('/admin/all', authenticate, requirePermission('reviews:manage'), getAllReviews);
 
 module.exports = router;
\ No newline at end of file
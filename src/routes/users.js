@@ -5,16 +5,16 @@ const {
   updateUserRole,
   deleteUser
 } = require('../controllers/userController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 
 const router = express.Router();
 
-// All routes are admin-only
-router.use(authenticate, authorize('admin'));
+// All routes are staff-only
+router.use(authenticate);
 
-router.get('/', getUsers);
-router.get('/:id', getUserById);
-router.put('/:id/role', updateUserRole);
-router.delete('/:id', deleteUser);
+router.get('/', requirePermission('users:read'), getUsers);
+router.get('/:id', requirePermission('users:read'), getUserById);
+router.put('/:id/role', requirePermission('users:manage'), updateUserRole);
+router.delete('/:id', requirePermission('users:manage'), deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const {
   getVehicles,
   getAvailableVehicles,
+  getAvailableCategories,
   getVehicleById,
   createVehicle,
   updateVehicle,
@@ -9,7 +10,7 @@ const {
   bulkImportVehicles,
   updateVehicleStatus
 } = require('../controllers/vehicleController');
-const { authenticate, authorize, optionalAuth } = require('../middlewares/auth');
+const { authenticate, requirePermission, optionalAuth } = require('../middlewares/auth');
 
 const router = express.Router();
 
@@ -17,13 +18,15 @@ const router = express.Router();
 router.get('/', optionalAuth, getVehicles);
 // Search available vehicles for a date range and filters
 router.get('/available', optionalAuth, getAvailableVehicles);
+// Categories with vehicles left, for reserving a category instead of a vehicle
+router.get('/categories/available', optionalAuth, getAvailableCategories);
 router.get('/:id', getVehicleById);
 
 // Admin routes
-router.post('/', authenticate, authorize('admin'), createVehicle);
-router.put('/:id', authenticate, authorize('admin'), updateVehicle);
-router.delete('/:id', authenticate, authorize('admin'), deleteVehicle);
-router.post('/bulk-import', authenticate, authorize('admin'), bulkImportVehicles);
-router.patch('/:id/status', authenticate, authorize('admin'), updateVehicleStatus);
+router.post('/', authenticate, requirePermission('vehicles:manage'), createVehicle);
+router.put('/:id', authenticate, requirePermission('vehicles:manage'), updateVehicle);
+router.delete('/:id', authenticate, requirePermission('vehicles:manage'), deleteVehicle);
+router.post('/bulk-import', authenticate, requirePermission('vehicles:manage'), bulkImportVehicles);
+router.patch('/:id/status', authenticate, requirePermission('vehicles:status'), updateVehicleStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  cancelWaitlistEntry
+} = require('../controllers/waitlistController');
+const { authenticate } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.post('/', joinWaitlist);
+router.get('/', getMyWaitlist);
+router.delete('/:id', cancelWaitlistEntry);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const app = require('./app');
 const { PrismaClient } = require('@prisma/client');
+const { startJobs, stopJobs } = require('./jobs');
 
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 5000;
@@ -19,6 +20,9 @@ async function startServer() {
       if (process.env.NODE_ENV === 'development') {
         console.log(`📚 API Base URL: http://localhost:${PORT}/api`);
       }
+
+      // Start background jobs (hold expiry, ...)
+      startJobs();
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -29,12 +33,14 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('🔄 SIGTERM received, shutting down gracefully...');
+  stopJobs();
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('🔄 SIGINT received, shutting down gracefully...');
+  stopJobs();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -0,0 +1,263 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Add-on stock
+ *
+ * Add-ons with a `stock` are a limited pool (child seats, GPS units, snow chains).
+ * A booking holds its add-ons through date-ranged AddOnReservation records: an add-on
+ * is available for a period when stock minus the quantity reserved on overlapping
+ * dates covers the request, the same way vehicles are checked against bookings.
+ * Reservations made for a hold carry its `holdExpiresAt` and stop counting once it
+ * passes; confirming the booking makes them firm. Cancel, no-show and return release them.
+ * Add-ons without a stock are unlimited.
+ */
+
+const RESERVATION_ACTIVE = 'reserved';
+const RESERVATION_RELEASED = 'released';
+
+class AddOnError extends ServiceError {
+  constructor(message, statusCode = 409, context = {}) {
+    super(message, statusCode);
+    this.name = 'AddOnError';
+    this.context = context;
+  }
+
+  details() {
+    return this.context;
+  }
+}
+
+/**
+ * Merge requested add-ons by id: [{ addonId, qty }]
+ */
+function normalizeRequested(addons = []) {
+  const byId = new Map();
+  (addons || []).forEach(a => {
+    const addonId = String(a.addonId || a.id);
+    byId.set(addonId, (byId.get(addonId) || 0) + (a.qty || 1));
+  });
+  return Array.from(byId, ([addonId, qty]) => ({ addonId, qty }));
+}
+
+// Reservations that still hold stock at `now`
+function activeReservationWhere(now = new Date()) {
+  return {
+    status: RESERVATION_ACTIVE,
+    OR: [{ holdExpiresAt: null }, { holdExpiresAt: { gt: now } }]
+  };
+}
+
+/**
+ * Quantity of each add-on reserved on dates overlapping start..end
+ * @returns {Promise<Map<string, number>>}
+ */
+async function reservedQuantities(addonIds, startDate, endDate, { excludeBookingId = null } = {}) {
+  const reserved = new Map();
+  if (addonIds.length === 0) return reserved;
+
+  const reservations = await prisma.addOnReservation.findMany({
+    where: {
+      addonId: { in: addonIds },
+      startDate: { lte: new Date(endDate) },
+      endDate: { gte: new Date(startDate) },
+      ...activeReservationWhere(),
+      ...(excludeBookingId && { NOT: { bookingId: excludeBookingId } })
+    },
+    select: { addonId: true, qty: true }
+  });
+
+  reservations.forEach(r => reserved.set(r.addonId, (reserved.get(r.addonId) || 0) + r.qty));
+  return reserved;
+}
+
+/**
+ * Remaining stock per add-on for a period (null = unlimited)
+ * @returns {Promise<Map<string, number|null>>}
+ */
+async function availableQuantities(addons, startDate, endDate, options = {}) {
+  const limited = addons.filter(a => a.stock !== null && a.stock !== undefined);
+  const reserved = await reservedQuantities(limited.map(a => a.id), startDate, endDate, options);
+
+  const available = new Map();
+  addons.forEach(a => {
+    available.set(a.id, a.stock === null || a.stock === undefined ? null : Math.max(0, a.stock - (reserved.get(a.id) || 0)));
+  });
+  return available;
+}
+
+/**
+ * Check that requested add-ons exist, are offered at the pickup location and are in stock.
+ * Throws AddOnError listing the add-ons that cannot be supplied.
+ * @returns {Promise<Array>} the requested add-ons with their AddOn record
+ */
+async function assertAvailable(addons, { locationId = null, startDate, endDate, excludeBookingId = null }) {
+  const requested = normalizeRequested(addons);
+  if (requested.length === 0) return [];
+
+  const ids = requested.map(r => r.addonId).filter(id => /^[a-f0-9]{24}$/.test(id));
+  const records = await prisma.addOn.findMany({ where: { id: { in: ids } } });
+  const byId = new Map(records.map(a => [a.id, a]));
+
+  const unknown = requested.filter(r => {
+    const addon = byId.get(r.addonId);
+    return !addon || addon.isActive === false || (addon.locationId && addon.locationId !== locationId);
+  });
+  if (unknown.length > 0) {
+    throw new AddOnError('Some add-ons are not offered at this location', 400, { addonIds: unknown.map(r => r.addonId) });
+  }
+
+  const available = await availableQuantities(records, startDate, endDate, { excludeBookingId });
+  const shortages = requested
+    .filter(r => available.get(r.addonId) !== null && available.get(r.addonId) < r.qty)
+    .map(r => ({ addonId: r.addonId, name: byId.get(r.addonId).name, requested: r.qty, available: available.get(r.addonId) }));
+  if (shortages.length > 0) {
+    throw new AddOnError('Some add-ons are out of stock for the selected dates', 409, { shortages });
+  }
+
+  return requested.map(r => ({ ...r, addon: byId.get(r.addonId) }));
+}
+
+/**
+ * Reserve add-on stock for a rental.
+ * Reservations are written first and the stock re-checked afterwards, so two checkouts
+ * racing for the last unit cannot both keep it (at worst both are rejected).
+ * @param {object} options - { bookingId, locationId, startDate, endDate, holdExpiresAt }
+ * @returns {Promise<Array>} created AddOnReservation records
+ */
+async function reserveAddOns(addons, { bookingId = null, locationId = null, startDate, endDate, holdExpiresAt = null }) {
+  const requested = await assertAvailable(addons, { locationId, startDate, endDate, excludeBookingId: bookingId });
+  const limited = requested.filter(r => r.addon.stock !== null && r.addon.stock !== undefined);
+  if (limited.length === 0) return [];
+
+  const reservations = [];
+  for (const r of limited) {
+    reservations.push(await prisma.addOnReservation.create({
+      data: {
+        addonId: r.addonId,
+        bookingId,
+        qty: r.qty,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        holdExpiresAt
+      }
+    }));
+  }
+
+  // Re-count including the new reservations; a booking's own reservations are excluded from the count, so add them back
+  const reserved = await reservedQuantities(limited.map(r => r.addonId), startDate, endDate, { excludeBookingId: bookingId });
+  const oversold = limited.filter(r => (reserved.get(r.addonId) || 0) + (bookingId ? r.qty : 0) > r.addon.stock);
+
+  if (oversold.length > 0) {
+    await discardReservations(reservations);
+    throw new AddOnError('Some add-ons are out of stock for the selected dates', 409, {
+      shortages: oversold.map(r => ({ addonId: r.addonId, name: r.addon.name, requested: r.qty }))
+    });
+  }
+
+  return reservations;
+}
+
+/**
+ * Link reservations made before the booking existed
+ */
+async function attachBooking(reservations, bookingId) {
+  if (!reservations || reservations.length === 0) return;
+  await prisma.addOnReservation.updateMany({
+    where: { id: { in: reservations.map(r => r.id) } },
+    data: { bookingId }
+  });
+}
+
+/**
+ * Drop reservations that never became part of a booking (booking creation failed)
+ */
+async function discardReservations(reservations) {
+  if (!reservations || reservations.length === 0) return;
+  await prisma.addOnReservation.deleteMany({ where: { id: { in: reservations.map(r => r.id) } } });
+}
+
+/**
+ * Make a booking's reservations firm (hold confirmed)
+ */
+async function confirmForBooking(bookingId) {
+  await prisma.addOnReservation.updateMany({
+    where: { bookingId, status: RESERVATION_ACTIVE },
+    data: { holdExpiresAt: null }
+  });
+}
+
+/**
+ * Give a booking's add-on stock back
+ * @returns {Promise<number>} number of reservations released
+ */
+async function releaseForBooking(bookingId, reason) {
+  const result = await prisma.addOnReservation.updateMany({
+    where: { bookingId, status: RESERVATION_ACTIVE },
+    data: { status: RESERVATION_RELEASED, releasedAt: new Date(), releaseReason: reason }
+  });
+  if (result.count > 0) {
+    await logEvent('booking', bookingId, 'addons_released', { count: result.count, reason });
+  }
+  return result.count;
+}
+
+/**
+ * Replace a booking's reservations after its add-ons or dates changed.
+ * The new reservations are checked without counting the booking's current ones, and
+ * the current ones are only released once the new ones are in place.
+ * @returns {Promise<{ reservations, previous }>} pass to restoreForBooking if the change is not saved
+ */
+async function replaceForBooking(booking, { addons, locationId, startDate, endDate }) {
+  const previous = await prisma.addOnReservation.findMany({
+    where: { bookingId: booking.id, status: RESERVATION_ACTIVE },
+    select: { id: true }
+  });
+
+  const reservations = await reserveAddOns(addons, {
+    bookingId: booking.id,
+    locationId,
+    startDate,
+    endDate,
+    holdExpiresAt: booking.status === 'pending_hold' ? booking.holdExpiresAt : null
+  });
+
+  if (previous.length > 0) {
+    await prisma.addOnReservation.updateMany({
+      where: { id: { in: previous.map(r => r.id) }, status: RESERVATION_ACTIVE },
+      data: { status: RESERVATION_RELEASED, releasedAt: new Date(), releaseReason: 'modified' }
+    });
+  }
+
+  return { reservations, previous };
+}
+
+/**
+ * Undo replaceForBooking when the booking change it was made for fails: drop the
+ * new reservations and reinstate the ones it released
+ */
+async function restoreForBooking({ reservations, previous }) {
+  await discardReservations(reservations);
+  if (previous.length > 0) {
+    await prisma.addOnReservation.updateMany({
+      where: { id: { in: previous.map(r => r.id) }, status: RESERVATION_RELEASED, releaseReason: 'modified' },
+      data: { status: RESERVATION_ACTIVE, releasedAt: null, releaseReason: null }
+    });
+  }
+}
+
+module.exports = {
+  AddOnError,
+  normalizeRequested,
+  availableQuantities,
+  assertAvailable,
+  reserveAddOns,
+  attachBooking,
+  discardReservations,
+  confirmForBooking,
+  releaseForBooking,
+  replaceForBooking,
+  restoreForBooking
+};
@@ -1,6 +1,12 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
+// Bookings in these statuses keep their vehicle (or a slot in their category) from being booked again
+const BLOCKING_STATUSES = ['pending_hold', 'confirmed', 'reserved', 'ready_for_pickup', 'active'];
+
+// Vehicles in these statuses are not part of the rentable fleet
+const OUT_OF_SERVICE_STATUSES = ['maintenance', 'retired'];
+
 /**
  * Check overlap helper
  */
@@ -8,29 +14,110 @@ function overlaps(startA, endA, startB, endB) {
   return !(endA < startB || startA > endB);
 }
 
+// Live bookings overlapping a period; holds past their holdExpiresAt are ignored
+// even if the expiry sweeper has not cancelled them yet
+function overlappingWhere(start, end) {
+  return {
+    status: { in: BLOCKING_STATUSES },
+    NOT: { status: 'pending_hold', holdExpiresAt: { lt: new Date() } },
+    startDate: { lte: end },
+    endDate: { gte: start }
+  };
+}
+
 /**
- * Check if a vehicle is available between dates (no bookings with status pending_hold, confirmed, active)
+ * Check if a vehicle is available between dates (no live booking of that vehicle overlaps).
+ * Pass `excludeBookingId` to ignore a booking's own hold on the vehicle.
  */
-async function isVehicleAvailable(vehicleId, startDate, endDate) {
+async function isVehicleAvailable(vehicleId, startDate, endDate, { excludeBookingId = null } = {}) {
   const start = new Date(startDate);
   const end = new Date(endDate);
 
   const conflicts = await prisma.booking.findMany({
     where: {
       vehicleId,
-      status: { in: ['pending_hold', 'confirmed', 'active'] },
-      OR: [
-        {
-          startDate: { lte: end },
-          endDate: { gte: start }
-        }
-      ]
+      ...overlappingWhere(start, end),
+      ...(excludeBookingId && { id: { not: excludeBookingId } })
     }
   });
 
   return conflicts.length === 0;
 }
 
+/**
+ * Category inventory at a location for a period: vehicles in service, minus the
+ * ones booked in the period, minus category reservations without a vehicle yet.
+ * Overlap is counted over the whole period, so `available` errs on the low side.
+ * @returns {Promise<{ category, locationId, fleet, booked, unassigned, available }>}
+ */
+async function categoryAvailability({ category, locationId, startDate, endDate, excludeBookingId = null }) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  const fleet = await prisma.vehicle.findMany({
+    where: { category, locationId, status: { notIn: OUT_OF_SERVICE_STATUSES } },
+    select: { id: true }
+  });
+  const fleetIds = fleet.map(v => v.id);
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      ...overlappingWhere(start, end),
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+      OR: [
+        { vehicleId: { in: fleetIds } },
+        { vehicleId: null, vehicleCategory: category, locationPickupId: locationId }
+      ]
+    },
+    select: { vehicleId: true }
+  });
+
+  const booked = new Set(bookings.filter(b => b.vehicleId).map(b => b.vehicleId)).size;
+  const unassigned = bookings.filter(b => !b.vehicleId).length;
+
+  return {
+    category,
+    locationId,
+    fleet: fleetIds.length,
+    booked,
+    unassigned,
+    available: Math.max(0, fleetIds.length - booked - unassigned)
+  };
+}
+
+/**
+ * Whether booking a specific vehicle leaves enough of its category for the
+ * category reservations at its location
+ */
+async function hasCategoryCapacity(vehicle, startDate, endDate, { excludeBookingId = null } = {}) {
+  if (!vehicle.locationId) return true;
+  const { available } = await categoryAvailability({ category: vehicle.category, locationId: vehicle.locationId, startDate, endDate, excludeBookingId });
+  return available > 0;
+}
+
+/**
+ * Whether a booking can still have its vehicle (or a vehicle of its category) for its
+ * dates, not counting the booking itself; for bookings that waited without blocking
+ * the fleet, e.g. for a travel manager's approval
+ */
+async function isBookingAvailable(booking) {
+  const options = { excludeBookingId: booking.id };
+  if (booking.vehicleId) {
+    const vehicle = await prisma.vehicle.findUnique({ where: { id: booking.vehicleId }, select: { id: true, category: true, locationId: true } });
+    return Boolean(vehicle)
+      && await isVehicleAvailable(vehicle.id, booking.startDate, booking.endDate, options)
+      && await hasCategoryCapacity(vehicle, booking.startDate, booking.endDate, options);
+  }
+  const { available } = await categoryAvailability({
+    category: booking.vehicleCategory,
+    locationId: booking.locationPickupId,
+    startDate: booking.startDate,
+    endDate: booking.endDate,
+    ...options
+  });
+  return available > 0;
+}
+
 /**
  * Find available vehicles for a period and optional filters
  */
@@ -50,12 +137,44 @@ async function findAvailableVehicles({ startDate, endDate, locationCode, categor
   where.status = 'available';
 
   const candidates = await prisma.vehicle.findMany({ where });
+  const capacity = {};
   const available = [];
   for (const v of candidates) {
     const ok = await isVehicleAvailable(v.id, startDate, endDate);
-    if (ok) available.push(v);
+    if (!ok) continue;
+
+    // Vehicles of a category fully taken by category reservations are not offered
+    const key = `${v.category}:${v.locationId}`;
+    if (capacity[key] === undefined) capacity[key] = await hasCategoryCapacity(v, startDate, endDate);
+    if (capacity[key]) available.push(v);
   }
   return available;
 }
 
-module.exports = { isVehicleAvailable, findAvailableVehicles };
+/**
+ * Bookable categories at a location for a period, with the number of vehicles left
+ */
+async function findAvailableCategories({ startDate, endDate, locationId }) {
+  const vehicles = await prisma.vehicle.findMany({
+    where: { locationId, status: { notIn: OUT_OF_SERVICE_STATUSES } },
+    select: { category: true }
+  });
+  const categories = [...new Set(vehicles.map(v => v.category))].sort();
+
+  const results = [];
+  for (const category of categories) {
+    results.push(await categoryAvailability({ category, locationId, startDate, endDate }));
+  }
+  return results;
+}
+
+module.exports = {
+  BLOCKING_STATUSES,
+  OUT_OF_SERVICE_STATUSES,
+  isVehicleAvailable,
+  categoryAvailability,
+  hasCategoryCapacity,
+  isBookingAvailable,
+  findAvailableVehicles,
+  findAvailableCategories
+};
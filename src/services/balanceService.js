@@ -0,0 +1,308 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const ledgerService = require('./ledgerService');
+const paymentProviders = require('./paymentProviders');
+const notificationService = require('./notificationService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Balance due and dunning
+ *
+ * When a returned booking's ledger still shows an outstanding amount (return
+ * charges beyond the security deposit, an unpaid rental), a BalanceDue payment
+ * request is opened and the customer is emailed. The reminder job emails again
+ * every BALANCE_REMINDER_INTERVAL_HOURS; after BALANCE_MAX_REMINDERS unanswered
+ * reminders the request is `escalated` and the account is blocked. Customers
+ * with an open or escalated balance, or a blocked account, cannot book.
+ *
+ * Paying (through the payment provider) or waiving the balance posts it to the
+ * ledger and unblocks the account once nothing else is unpaid.
+ */
+
+const UNPAID_STATUSES = ['open', 'escalated'];
+
+const reminderIntervalMs = () => parseFloat(process.env.BALANCE_REMINDER_INTERVAL_HOURS || '72') * 60 * 60 * 1000;
+const maxReminders = () => parseInt(process.env.BALANCE_MAX_REMINDERS || '3');
+
+class BalanceError extends ServiceError {
+  constructor(message, statusCode = 409, { code = null, balances = null } = {}) {
+    super(message, statusCode);
+    this.name = 'BalanceError';
+    this.code = code;
+    this.balances = balances;
+  }
+
+  details() {
+    return this.balances ? { code: this.code, balances: this.balances } : { code: this.code };
+  }
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+async function notify(balance, { reminder = false } = {}) {
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: balance.bookingId },
+      include: { user: { select: { email: true } }, vehicle: true }
+    });
+    await notificationService.sendBalanceDueNotice(booking.user.email, booking, balance, { reminder, maxReminders: maxReminders() });
+  } catch (e) {
+    console.warn('Failed to send balance due notice', e);
+  }
+}
+
+/**
+ * Open (or update) the payment request for what a booking still owes according to
+ * its ledger and email the customer. Returns null when nothing is owed, and for
+ * corporate bookings, whose balance goes on the organization's consolidated invoice.
+ */
+async function openForBooking(bookingId, { actorId = null } = {}) {
+  const booking = await prisma.booking.findUnique({ where: { id: bookingId }, include: { pickupLocation: true } });
+  if (booking.organizationId) return null;
+
+  const { totals } = await ledgerService.getBookingLedger(bookingId);
+  const outstanding = round(totals.outstanding);
+  if (outstanding <= 0) return null;
+
+  const existing = await prisma.balanceDue.findFirst({ where: { bookingId, status: { in: UNPAID_STATUSES } } });
+  if (existing) {
+    if (existing.amount === outstanding) return existing;
+    return prisma.balanceDue.update({ where: { id: existing.id }, data: { amount: outstanding } });
+  }
+
+  const balance = await prisma.balanceDue.create({
+    data: {
+      bookingId,
+      userId: booking.userId,
+      amount: outstanding,
+      currency: (booking.pickupLocation && booking.pickupLocation.currency) || 'USD',
+      nextReminderAt: new Date(Date.now() + reminderIntervalMs()),
+      actorId
+    }
+  });
+  await logEvent('booking', bookingId, 'balance_due_opened', { balanceId: balance.id, amount: outstanding });
+  await notify(balance);
+
+  return balance;
+}
+
+/**
+ * Open and escalated payment requests of a user
+ */
+async function unpaidForUser(userId) {
+  return prisma.balanceDue.findMany({
+    where: { userId, status: { in: UNPAID_STATUSES } },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Refuse new bookings from blocked accounts and customers with unpaid balances
+ * Throws BalanceError (403, code UNPAID_BALANCE / ACCOUNT_BLOCKED)
+ */
+async function assertCanBook(user) {
+  const balances = await unpaidForUser(user.id);
+  if (balances.length > 0) {
+    const total = round(balances.reduce((sum, b) => sum + b.amount, 0));
+    throw new BalanceError(`You have an unpaid balance of ${total}. Please pay it before making a new booking`, 403, {
+      code: 'UNPAID_BALANCE',
+      balances: balances.map(b => ({ id: b.id, bookingId: b.bookingId, amount: b.amount, currency: b.currency, status: b.status }))
+    });
+  }
+  if (user.accountStatus === 'blocked') {
+    throw new BalanceError('Your account is blocked, please contact support', 403, { code: 'ACCOUNT_BLOCKED' });
+  }
+}
+
+async function unblockIfSettled(userId) {
+  const remaining = await prisma.balanceDue.count({ where: { userId, status: { in: UNPAID_STATUSES } } });
+  if (remaining > 0) return false;
+
+  const result = await prisma.user.updateMany({
+    where: { id: userId, accountStatus: 'blocked', blockedReason: 'unpaid_balance' },
+    data: { accountStatus: 'active', blockedAt: null, blockedReason: null }
+  });
+  if (result.count > 0) await logEvent('user', userId, 'account_unblocked', { reason: 'balance_settled' });
+  return result.count > 0;
+}
+
+/**
+ * Charge an unpaid balance through the payment provider
+ * @param {object} options - { source, paymentMethod, actorId }
+ */
+async function payBalance(balance, { source = null, paymentMethod = 'credit_card', actorId = null } = {}) {
+  if (!UNPAID_STATUSES.includes(balance.status)) {
+    throw new BalanceError(`Balance is already ${balance.status}`);
+  }
+
+  // Claim the request so two payments cannot both go through
+  const claimed = await prisma.balanceDue.updateMany({
+    where: { id: balance.id, status: balance.status },
+    data: { status: 'paid', paidAt: new Date(), actorId }
+  });
+  if (claimed.count === 0) throw new BalanceError('Balance changed concurrently, please retry');
+
+  let charge;
+  try {
+    charge = await paymentProviders.charge({
+      amount: balance.amount,
+      currency: balance.currency,
+      paymentMethod,
+      source,
+      reference: `balance_${balance.id}`,
+      metadata: { bookingId: balance.bookingId, balanceId: balance.id }
+    });
+  } catch (error) {
+    await prisma.balanceDue.update({ where: { id: balance.id }, data: { status: balance.status, paidAt: null } });
+    if (error instanceof paymentProviders.PaymentProviderError) {
+      await logEvent('booking', balance.bookingId, 'balance_payment_declined', { balanceId: balance.id, code: error.code });
+    }
+    throw error;
+  }
+
+  const paid = await prisma.balanceDue.update({
+    where: { id: balance.id },
+    data: { provider: charge.provider, providerRef: charge.captureId }
+  });
+  await ledgerService.post({
+    bookingId: balance.bookingId,
+    type: 'payment',
+    amount: balance.amount,
+    sourceType: 'balance_due',
+    sourceId: balance.id,
+    userId: balance.userId,
+    currency: balance.currency,
+    description: 'balance payment',
+    actorId
+  });
+  await logEvent('booking', balance.bookingId, 'balance_paid', { balanceId: balance.id, amount: balance.amount, provider: charge.provider });
+  await unblockIfSettled(balance.userId);
+
+  return paid;
+}
+
+/**
+ * Write off an unpaid balance (Admin)
+ */
+async function waiveBalance(balance, { reason = null, actorId = null } = {}) {
+  if (!UNPAID_STATUSES.includes(balance.status)) {
+    throw new BalanceError(`Balance is already ${balance.status}`);
+  }
+
+  const claimed = await prisma.balanceDue.updateMany({
+    where: { id: balance.id, status: balance.status },
+    data: { status: 'waived', waivedAt: new Date(), waivedReason: reason, actorId }
+  });
+  if (claimed.count === 0) throw new BalanceError('Balance changed concurrently, please retry');
+
+  await ledgerService.post({
+    bookingId: balance.bookingId,
+    type: 'adjustment',
+    amount: balance.amount,
+    sourceType: 'balance_writeoff',
+    sourceId: balance.id,
+    userId: balance.userId,
+    currency: balance.currency,
+    description: reason || 'balance written off',
+    actorId
+  });
+  await logEvent('booking', balance.bookingId, 'balance_waived', { balanceId: balance.id, amount: balance.amount, reason, actorId });
+  await unblockIfSettled(balance.userId);
+
+  return prisma.balanceDue.findUnique({ where: { id: balance.id } });
+}
+
+async function escalate(balance, now) {
+  const claimed = await prisma.balanceDue.updateMany({
+    where: { id: balance.id, status: 'open' },
+    data: { status: 'escalated', escalatedAt: now, nextReminderAt: null }
+  });
+  if (claimed.count === 0) return false;
+
+  await prisma.user.update({
+    where: { id: balance.userId },
+    data: { accountStatus: 'blocked', blockedAt: now, blockedReason: 'unpaid_balance' }
+  });
+  await logEvent('booking', balance.bookingId, 'balance_escalated', { balanceId: balance.id, amount: balance.amount, reminders: balance.reminderCount });
+  await logEvent('user', balance.userId, 'account_blocked', { reason: 'unpaid_balance', balanceId: balance.id });
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: balance.userId }, select: { email: true } });
+    await notificationService.sendAccountBlockedNotice(user.email, balance);
+  } catch (e) {
+    console.warn('Failed to send account blocked notice', e);
+  }
+  return true;
+}
+
+/**
+ * Reminder job: email open balances whose reminder is due and escalate the ones
+ * that have used up their reminders
+ */
+async function sendReminders({ now = new Date(), batchSize = 100 } = {}) {
+  const due = await prisma.balanceDue.findMany({
+    where: { status: 'open', nextReminderAt: { lte: now } },
+    orderBy: { nextReminderAt: 'asc' },
+    take: batchSize
+  });
+
+  let reminded = 0;
+  let escalated = 0;
+  for (const balance of due) {
+    try {
+      if (balance.reminderCount >= maxReminders()) {
+        if (await escalate(balance, now)) escalated += 1;
+        continue;
+      }
+
+      const updated = await prisma.balanceDue.update({
+        where: { id: balance.id },
+        data: {
+          reminderCount: { increment: 1 },
+          lastReminderAt: now,
+          nextReminderAt: new Date(now.getTime() + reminderIntervalMs())
+        }
+      });
+      await notify(updated, { reminder: true });
+      reminded += 1;
+    } catch (e) {
+      console.error(`Failed to process balance ${balance.id}:`, e);
+    }
+  }
+
+  return { scanned: due.length, reminded, escalated };
+}
+
+/**
+ * Payment requests, newest first (Admin)
+ */
+async function listBalances({ status, userId, skip = 0, take = 50 } = {}) {
+  const where = {};
+  if (status) where.status = status;
+  if (userId) where.userId = userId;
+
+  return prisma.balanceDue.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    skip,
+    take
+  });
+}
+
+async function getBalance(id) {
+  return /^[a-f0-9]{24}$/.test(id) ? prisma.balanceDue.findUnique({ where: { id } }) : null;
+}
+
+module.exports = {
+  UNPAID_STATUSES,
+  BalanceError,
+  openForBooking,
+  unpaidForUser,
+  assertCanBook,
+  payBalance,
+  waiveBalance,
+  sendReminders,
+  listBalances,
+  getBalance
+};
@@ -0,0 +1,217 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const promoService = require('./promoService');
+const addonService = require('./addonService');
+const invoiceService = require('./invoiceService');
+const waitlistService = require('./waitlistService');
+const { hasPermission } = require('./permissionService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Booking lifecycle (state machine)
+ *
+ * Single source of truth for which BookingStatus changes are legal, who may
+ * trigger them and what happens to the vehicle as a side effect. Controllers
+ * must go through `transitionBooking` instead of writing `status` directly.
+ * Cancelling a booking also releases its promo code redemption; add-on stock is
+ * made firm on confirmation and released on cancel, no-show and return, when
+ * the freed inventory is also offered to the waitlist.
+ *
+ * Actors:
+ *  - customer: the booking owner
+ *  - admin: back-office staff
+ *  - system: webhooks, background jobs and other server-initiated changes
+ */
+
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'system'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  pending_hold: {
+    confirmed: ['customer', 'admin', 'system'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  confirmed: {
+    reserved: ['admin', 'system'],
+    ready_for_pickup: ['admin'],
+    cancelled: ['customer', 'admin', 'system'],
+    no_show: ['admin', 'system']
+  },
+  reserved: {
+    ready_for_pickup: ['admin'],
+    cancelled: ['customer', 'admin', 'system'],
+    no_show: ['admin', 'system']
+  },
+  ready_for_pickup: {
+    active: ['customer', 'admin'],
+    cancelled: ['customer', 'admin', 'system'],
+    no_show: ['admin', 'system']
+  },
+  active: {
+    completed: ['customer', 'admin']
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {}
+};
+
+// Vehicle.status to apply when a booking enters a state.
+// 'release' frees the vehicle only if it is still held for this booking (status 'reserved').
+const VEHICLE_EFFECTS = {
+  ready_for_pickup: 'reserved',
+  active: 'rented',
+  completed: 'available',
+  cancelled: 'release',
+  no_show: 'release'
+};
+
+const BOOKING_STATUSES = Object.keys(TRANSITIONS);
+
+class BookingTransitionError extends ServiceError {
+  constructor(message, { from, to, actor } = {}) {
+    super(message, 409);
+    this.name = 'BookingTransitionError';
+    this.from = from;
+    this.to = to;
+    this.actor = actor;
+  }
+
+  details() {
+    return { transition: { from: this.from, to: this.to } };
+  }
+}
+
+/**
+ * Map an authenticated user to a lifecycle actor; staff who manage bookings act as 'admin'
+ */
+function actorFor(user) {
+  if (!user) return 'system';
+  return hasPermission(user, 'bookings:manage') ? 'admin' : 'customer';
+}
+
+function isValidStatus(status) {
+  return BOOKING_STATUSES.includes(status);
+}
+
+/**
+ * Check whether `actor` may move a booking from `from` to `to`
+ */
+function canTransition(from, to, actor = 'system') {
+  const allowed = TRANSITIONS[from] && TRANSITIONS[from][to];
+  return Array.isArray(allowed) && allowed.includes(actor);
+}
+
+/**
+ * List the statuses reachable from `from` for the given actor
+ */
+function allowedTransitions(from, actor = 'system') {
+  const targets = TRANSITIONS[from] || {};
+  return Object.keys(targets).filter(to => targets[to].includes(actor));
+}
+
+function assertTransition(from, to, actor = 'system') {
+  if (!isValidStatus(to)) {
+    throw new BookingTransitionError(`Unknown booking status '${to}'`, { from, to, actor });
+  }
+  if (!TRANSITIONS[from] || !TRANSITIONS[from][to]) {
+    throw new BookingTransitionError(`Cannot move booking from '${from}' to '${to}'`, { from, to, actor });
+  }
+  if (!TRANSITIONS[from][to].includes(actor)) {
+    throw new BookingTransitionError(`${actor} is not allowed to move booking from '${from}' to '${to}'`, { from, to, actor });
+  }
+}
+
+async function applyVehicleEffect(vehicleId, to, override) {
+  if (!vehicleId) return;
+  const effect = override || VEHICLE_EFFECTS[to];
+  if (!effect) return;
+
+  if (effect === 'release') {
+    await prisma.vehicle.updateMany({
+      where: { id: vehicleId, status: 'reserved' },
+      data: { status: 'available' }
+    });
+    return;
+  }
+
+  await prisma.vehicle.update({ where: { id: vehicleId }, data: { status: effect } });
+}
+
+/**
+ * Move a booking to a new status.
+ *
+ * The update is conditional on the booking still being in its current status,
+ * so two concurrent transitions cannot both succeed.
+ *
+ * @param {object|string} bookingOrId - booking record (must include id, status, vehicleId) or booking id
+ * @param {string} to - target BookingStatus
+ * @param {object} options
+ * @param {string} options.actor - 'customer' | 'admin' | 'system'
+ * @param {string} options.userId - user triggering the change (for the audit log)
+ * @param {object} options.data - extra booking fields written in the same update
+ * @param {string} options.vehicleStatus - override the default vehicle side effect
+ * @param {object} options.include - Prisma include for the returned booking
+ * @param {string} options.reason - free-text reason stored in the audit log
+ * @returns {Promise<object>} updated booking
+ */
+async function transitionBooking(bookingOrId, to, { actor = 'system', userId = null, data = {}, vehicleStatus = null, include, reason } = {}) {
+  const booking = typeof bookingOrId === 'string'
+    ? await prisma.booking.findUnique({ where: { id: bookingOrId } })
+    : bookingOrId;
+
+  if (!booking) {
+    const error = new Error('Booking not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const from = booking.status;
+  assertTransition(from, to, actor);
+
+  const result = await prisma.booking.updateMany({
+    where: { id: booking.id, status: from },
+    data: { ...data, status: to }
+  });
+
+  if (result.count === 0) {
+    throw new BookingTransitionError(`Booking status changed concurrently; it is no longer '${from}'`, { from, to, actor });
+  }
+
+  await applyVehicleEffect(booking.vehicleId, to, vehicleStatus);
+  if (to === 'cancelled') {
+    await promoService.releaseForBooking(booking.id, reason || 'booking_cancelled');
+  }
+  if (to === 'confirmed') {
+    await addonService.confirmForBooking(booking.id);
+    // GET /api/bookings/:id/invoice issues it later if this fails
+    await invoiceService.issueBookingInvoice(booking.id, { actorId: userId })
+      .catch(e => console.error(`Failed to invoice booking ${booking.id}`, e));
+    await waitlistService.onBookingConfirmed(booking.id);
+  }
+  if (['cancelled', 'no_show', 'completed'].includes(to)) {
+    await addonService.releaseForBooking(booking.id, reason || to);
+  }
+  await logEvent('booking', booking.id, 'status_changed', { from, to, actor, userId, reason });
+  if (['cancelled', 'no_show', 'completed'].includes(to)) {
+    // The sweep job offers it later if this fails
+    await waitlistService.onBookingReleased(booking.id)
+      .catch(e => console.error(`Failed to offer booking ${booking.id} inventory to the waitlist`, e));
+  }
+
+  return prisma.booking.findUnique({ where: { id: booking.id }, ...(include && { include }) });
+}
+
+module.exports = {
+  TRANSITIONS,
+  VEHICLE_EFFECTS,
+  BOOKING_STATUSES,
+  BookingTransitionError,
+  actorFor,
+  isValidStatus,
+  canTransition,
+  allowedTransitions,
+  assertTransition,
+  transitionBooking
+};
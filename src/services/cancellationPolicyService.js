@@ -0,0 +1,131 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/**
+ * Cancellation policies
+ *
+ * A policy is a list of time-based tiers plus a no-show fee. Each tier applies
+ * from `hoursBefore` hours before pickup onwards (the tier with the largest
+ * `hoursBefore` the cancellation still meets wins) and charges a `percent` of the
+ * booking total or a `fixed` amount. Cancelling after pickup time falls into the
+ * tier with the smallest `hoursBefore`.
+ *
+ * Policies are attached by scope: pickup locations, vehicle categories and promo
+ * codes (promo rates). An empty scope matches everything. The active policy with
+ * the highest `priority` wins, then the most specific one; without a match the
+ * built-in default applies (free up to 48 hours before pickup, then 50%).
+ *
+ * A snapshot of the policy is shown in quotes and stored on the booking at
+ * creation, so editing a policy does not change existing reservations.
+ */
+
+const FEE_TYPES = ['percent', 'fixed'];
+
+const DEFAULT_POLICY = {
+  code: 'standard',
+  name: 'Standard',
+  tiers: [
+    { hoursBefore: 48, feeType: 'percent', feeValue: 0 },
+    { hoursBefore: 0, feeType: 'percent', feeValue: 50 }
+  ],
+  noShowFeeType: 'percent',
+  noShowFeeValue: 100
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function fee(feeType, feeValue, total) {
+  const amount = feeType === 'fixed' ? feeValue : total * (feeValue / 100);
+  return round(Math.min(Math.max(0, amount), total));
+}
+
+function specificity(policy) {
+  return [policy.locationIds, policy.vehicleCategories, policy.promoCodes]
+    .filter(scope => scope && scope.length > 0).length;
+}
+
+function matches(policy, { locationId, category, promoCode }) {
+  const inScope = (scope, value) => !scope || scope.length === 0 || (value && scope.includes(value));
+  return inScope(policy.locationIds, locationId)
+    && inScope(policy.vehicleCategories, category)
+    && inScope(policy.promoCodes, promoCode ? promoCode.trim() : null);
+}
+
+/**
+ * What gets stored on quotes and bookings
+ */
+function snapshot(policy) {
+  const tiers = [...policy.tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+  return {
+    policyId: policy.id || null,
+    code: policy.code,
+    name: policy.name,
+    summary: describe({ tiers }),
+    tiers,
+    noShowFeeType: policy.noShowFeeType,
+    noShowFeeValue: policy.noShowFeeValue
+  };
+}
+
+/**
+ * Pick the policy for a rental and return its snapshot
+ * @param {object} params - { locationId, category, promoCode }
+ */
+async function resolvePolicy({ locationId = null, category = null, promoCode = null } = {}) {
+  const policies = await prisma.cancellationPolicy.findMany({ where: { isActive: true } });
+  const candidates = policies
+    .filter(p => matches(p, { locationId, category, promoCode }))
+    .sort((a, b) => (b.priority - a.priority) || (specificity(b) - specificity(a)));
+
+  return snapshot(candidates[0] || DEFAULT_POLICY);
+}
+
+/**
+ * Fee and refund for cancelling now under a policy snapshot
+ * @returns {{ policy, tier, hoursBeforeStart, cancellationFee, refundAmount }}
+ */
+function evaluateCancellation(policy, { total, startDate, now = new Date() }) {
+  const rules = policy || snapshot(DEFAULT_POLICY);
+  const hoursBeforeStart = (new Date(startDate) - new Date(now)) / (1000 * 60 * 60);
+  const tiers = [...rules.tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+  const tier = tiers.find(t => hoursBeforeStart >= t.hoursBefore) || tiers[tiers.length - 1];
+
+  const cancellationFee = tier ? fee(tier.feeType, tier.feeValue, total) : 0;
+  return {
+    policy: rules.code,
+    tier,
+    hoursBeforeStart,
+    cancellationFee,
+    refundAmount: round(total - cancellationFee)
+  };
+}
+
+/**
+ * Fee and refund when the renter does not show up
+ */
+function evaluateNoShow(policy, { total }) {
+  const rules = policy || snapshot(DEFAULT_POLICY);
+  const noShowFee = fee(rules.noShowFeeType, rules.noShowFeeValue, total);
+  return { policy: rules.code, noShowFee, refundAmount: round(total - noShowFee) };
+}
+
+/**
+ * Human-readable tier summary, e.g. "free 48h+ before pickup, 50% fee after that"
+ */
+function describe(policy) {
+  const parts = policy.tiers.map(t => {
+    const charge = t.feeValue === 0 ? 'free' : (t.feeType === 'percent' ? `${t.feeValue}% fee` : `${t.feeValue} fee`);
+    return t.hoursBefore > 0 ? `${charge} ${t.hoursBefore}h+ before pickup` : `${charge} after that`;
+  });
+  return parts.join(', ');
+}
+
+module.exports = {
+  FEE_TYPES,
+  DEFAULT_POLICY,
+  snapshot,
+  resolvePolicy,
+  evaluateCancellation,
+  evaluateNoShow,
+  describe
+};
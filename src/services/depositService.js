@@ -0,0 +1,251 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const { getProvider, PaymentProviderError } = require('./paymentProviders');
+const { depositLine } = require('./locationPolicyService');
+const ledgerService = require('./ledgerService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Security deposits
+ *
+ * The pickup location's `depositAmount` is authorized on the renter's payment
+ * method at pickup. At return the adjustments from the return checklist (late fee,
+ * mileage, fuel, damage) are captured against it and the remainder is released.
+ * Adjustments larger than the deposit are reported as `outstanding`.
+ *
+ * Every provider call is recorded as a DepositTransaction; SecurityDeposit keeps
+ * the running totals. Status: authorized -> partially_captured (still open) ->
+ * captured (something was captured, the rest released) or released (nothing captured).
+ * Providers that release the rest of an authorization on capture (Stripe) close the
+ * deposit on its first capture.
+ * A declined authorization leaves the deposit `failed` and can be retried.
+ */
+
+const OPEN_STATUSES = ['authorized', 'partially_captured'];
+
+class DepositError extends ServiceError {
+  constructor(message, statusCode = 409) {
+    super(message, statusCode);
+    this.name = 'DepositError';
+  }
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Amount still held on the authorization
+ */
+function remaining(deposit) {
+  return round(deposit.amount - deposit.capturedAmount - deposit.releasedAmount);
+}
+
+/**
+ * Deposit line for a booking: the one it was priced with, else the pickup location's
+ */
+function depositFor(booking, location) {
+  return (booking.priceBreakdown && booking.priceBreakdown.deposit) || depositLine(location);
+}
+
+async function record(deposit, type, amount, { providerRef = null, reason = null, actorId = null, details = null } = {}) {
+  return prisma.depositTransaction.create({
+    data: { depositId: deposit.id, type, amount, providerRef, reason, actorId, details }
+  });
+}
+
+/**
+ * Authorize the deposit for a booking at pickup on `source` (the provider's card or
+ * token). Returns null when the location takes no deposit, or the existing deposit
+ * when one is already held.
+ * Throws DepositError (402) when the provider declines.
+ */
+async function authorizeDeposit(booking, { location, actorId = null, source = null } = {}) {
+  const line = depositFor(booking, location);
+  if (!line) return null;
+
+  const existing = await prisma.securityDeposit.findUnique({ where: { bookingId: booking.id } });
+  if (existing && existing.status !== 'failed') return existing;
+
+  const provider = getProvider();
+  const fields = { amount: line.amount, currency: line.currency, provider: provider.name, capturedAmount: 0, releasedAmount: 0 };
+  let deposit = existing
+    ? await prisma.securityDeposit.update({ where: { id: existing.id }, data: { ...fields, status: 'failed' } })
+    : await prisma.securityDeposit.create({ data: { ...fields, bookingId: booking.id, status: 'failed' } });
+
+  let authorization;
+  try {
+    authorization = await provider.authorize({
+      amount: line.amount,
+      currency: line.currency,
+      paymentMethod: booking.paymentMethod || 'credit_card',
+      source,
+      reference: `deposit_${booking.id}`,
+      metadata: { bookingId: booking.id, type: 'deposit' }
+    });
+  } catch (error) {
+    if (!(error instanceof PaymentProviderError)) throw error;
+    await record(deposit, 'failed', line.amount, { reason: error.code, actorId, details: { message: error.message } });
+    await logEvent('booking', booking.id, 'deposit_declined', { amount: line.amount, code: error.code });
+    throw new DepositError(`Security deposit could not be authorized: ${error.message}`, 402);
+  }
+
+  deposit = await prisma.securityDeposit.update({
+    where: { id: deposit.id },
+    data: { status: 'authorized', authorizationId: authorization.id, authorizedAt: new Date() }
+  });
+  await record(deposit, 'authorize', line.amount, { providerRef: authorization.id, actorId });
+  await logEvent('booking', booking.id, 'deposit_authorized', { depositId: deposit.id, amount: line.amount, currency: line.currency });
+
+  return deposit;
+}
+
+/**
+ * Capture part of an open deposit. The amount is reserved on the deposit before
+ * the provider is called, so concurrent captures cannot exceed the authorization.
+ * When the provider releases the rest on capture, the deposit is closed as `captured`.
+ */
+async function captureDeposit(deposit, amount, { reason = null, actorId = null, details = null } = {}) {
+  amount = round(amount);
+  if (!OPEN_STATUSES.includes(deposit.status)) {
+    throw new DepositError(`Deposit is already ${deposit.status}`);
+  }
+  if (amount <= 0 || amount > remaining(deposit)) {
+    throw new DepositError(`Capture amount must be between 0 and ${remaining(deposit)}`, 400);
+  }
+
+  const claimed = await prisma.securityDeposit.updateMany({
+    where: { id: deposit.id, status: deposit.status, capturedAmount: deposit.capturedAmount },
+    data: { capturedAmount: round(deposit.capturedAmount + amount), status: 'partially_captured' }
+  });
+  if (claimed.count === 0) throw new DepositError('Deposit changed concurrently, please retry');
+
+  let capture;
+  try {
+    capture = await getProvider(deposit.provider).capture(deposit.authorizationId, { amount, currency: deposit.currency });
+  } catch (error) {
+    await prisma.securityDeposit.update({
+      where: { id: deposit.id },
+      data: { capturedAmount: deposit.capturedAmount, status: deposit.status }
+    });
+    if (!(error instanceof PaymentProviderError)) throw error;
+    throw new DepositError(`Deposit capture failed: ${error.message}`, 402);
+  }
+
+  const transaction = await record(deposit, 'capture', amount, { providerRef: capture.id, reason, actorId, details });
+  // Captured deposit money pays the booking's return charges
+  await ledgerService.post({
+    bookingId: deposit.bookingId,
+    type: 'payment',
+    amount,
+    sourceType: 'deposit_transaction',
+    sourceId: transaction.id,
+    currency: deposit.currency,
+    description: reason || 'deposit capture',
+    actorId
+  });
+  await logEvent('booking', deposit.bookingId, 'deposit_captured', { depositId: deposit.id, amount, reason });
+
+  if (capture.remainderReleased) {
+    const rest = round(remaining(deposit) - amount);
+    await prisma.securityDeposit.update({
+      where: { id: deposit.id },
+      data: { releasedAmount: round(deposit.releasedAmount + rest), status: 'captured', settledAt: new Date() }
+    });
+    if (rest > 0) {
+      await record(deposit, 'release', rest, { providerRef: capture.id, reason: 'released_on_capture', actorId });
+      await logEvent('booking', deposit.bookingId, 'deposit_released', { depositId: deposit.id, amount: rest, reason: 'released_on_capture' });
+    }
+  }
+
+  return prisma.securityDeposit.findUnique({ where: { id: deposit.id } });
+}
+
+/**
+ * Release whatever is still held and close the deposit
+ */
+async function releaseDeposit(deposit, { reason = null, actorId = null } = {}) {
+  if (!OPEN_STATUSES.includes(deposit.status)) {
+    throw new DepositError(`Deposit is already ${deposit.status}`);
+  }
+
+  const amount = remaining(deposit);
+  const status = deposit.capturedAmount > 0 ? 'captured' : 'released';
+  const claimed = await prisma.securityDeposit.updateMany({
+    where: { id: deposit.id, status: deposit.status, capturedAmount: deposit.capturedAmount },
+    data: { releasedAmount: round(deposit.releasedAmount + amount), status, settledAt: new Date() }
+  });
+  if (claimed.count === 0) throw new DepositError('Deposit changed concurrently, please retry');
+
+  let voided = null;
+  if (amount > 0) {
+    try {
+      voided = await getProvider(deposit.provider).void(deposit.authorizationId);
+    } catch (error) {
+      await prisma.securityDeposit.update({
+        where: { id: deposit.id },
+        data: { releasedAmount: deposit.releasedAmount, status: deposit.status, settledAt: null }
+      });
+      if (!(error instanceof PaymentProviderError)) throw error;
+      throw new DepositError(`Deposit release failed: ${error.message}`, 402);
+    }
+  }
+
+  await record(deposit, 'release', amount, { providerRef: voided ? voided.id : null, reason, actorId });
+  await logEvent('booking', deposit.bookingId, 'deposit_released', { depositId: deposit.id, amount, reason });
+
+  return prisma.securityDeposit.findUnique({ where: { id: deposit.id } });
+}
+
+/**
+ * Settle a booking's deposit at return: capture the adjustments (up to the
+ * deposit) and release the rest. Returns null when the booking has no open deposit.
+ * @returns {Promise<{ deposit, captured, released, outstanding }|null>}
+ */
+async function settleForBooking(bookingId, adjustments, { actorId = null, details = null } = {}) {
+  let deposit = await prisma.securityDeposit.findUnique({ where: { bookingId } });
+  if (!deposit || !OPEN_STATUSES.includes(deposit.status)) return null;
+
+  const held = remaining(deposit);
+  const captured = round(Math.min(Math.max(0, adjustments), held));
+  if (captured > 0) {
+    deposit = await captureDeposit(deposit, captured, { reason: 'return_adjustments', actorId, details });
+  }
+  // The capture may already have closed the deposit (see captureDeposit)
+  if (OPEN_STATUSES.includes(deposit.status)) {
+    deposit = await releaseDeposit(deposit, { reason: 'rental_returned', actorId });
+  }
+  const released = round(held - captured);
+
+  return { deposit, captured, released, outstanding: round(Math.max(0, adjustments - captured)) };
+}
+
+/**
+ * Release an open deposit without capturing anything (e.g. pickup failed after authorization)
+ */
+async function releaseForBooking(bookingId, reason, { actorId = null } = {}) {
+  const deposit = await prisma.securityDeposit.findUnique({ where: { bookingId } });
+  if (!deposit || !OPEN_STATUSES.includes(deposit.status)) return null;
+  return releaseDeposit(deposit, { reason, actorId });
+}
+
+/**
+ * A booking's deposit with its ledger, or null
+ */
+async function getDepositLedger(bookingId) {
+  return prisma.securityDeposit.findUnique({
+    where: { bookingId },
+    include: { transactions: { orderBy: { createdAt: 'asc' } } }
+  });
+}
+
+module.exports = {
+  DepositError,
+  remaining,
+  depositFor,
+  authorizeDeposit,
+  captureDeposit,
+  releaseDeposit,
+  settleForBooking,
+  releaseForBooking,
+  getDepositLedger
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * Offline document verifier
+ *
+ * Decides from the document alone so verification paths can run in development
+ * and tests without a vendor. A document number (or file URL) containing one of
+ * these markers gets the matching result:
+ *
+ *   FAKE-FORGED     rejected (tampered)
+ *   FAKE-BLURRY     rejected (unreadable)
+ *   FAKE-REVIEW     review (left for staff)
+ *   FAKE-DOWN       throws, like a verifier outage
+ *
+ * Otherwise documents past their expiry date are rejected (expired) and all
+ * others are approved.
+ */
+
+const MARKERS = {
+  'FAKE-FORGED': { status: 'rejected', reason: 'tampered' },
+  'FAKE-BLURRY': { status: 'rejected', reason: 'unreadable' },
+  'FAKE-REVIEW': { status: 'review', reason: null }
+};
+
+async function verify({ type, documentNumber = null, expiresAt = null, fileUrl = '' }) {
+  const haystack = `${documentNumber || ''} ${fileUrl || ''}`.toUpperCase();
+  if (haystack.includes('FAKE-DOWN')) throw new Error('Fake verifier is unavailable');
+
+  const reference = `ver_fake_${crypto.createHash('sha256').update(`${type}|${haystack}|${Date.now()}`).digest('hex').slice(0, 16)}`;
+  const checks = ['format', 'tamper', 'expiry'];
+
+  const marker = Object.keys(MARKERS).find(m => haystack.includes(m));
+  if (marker) return { ...MARKERS[marker], reference, checks };
+
+  if (expiresAt && new Date(expiresAt) < new Date()) {
+    return { status: 'rejected', reason: 'expired', reference, checks };
+  }
+  return { status: 'approved', reason: null, reference, checks };
+}
+
+module.exports = {
+  name: 'fake',
+  verify
+};
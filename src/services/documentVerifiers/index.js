@@ -0,0 +1,35 @@
+/**
+ * Document verifier registry
+ *
+ * Automated identity document checks go through this interface only:
+ *  - verify({ type, documentNumber, issuingCountry, expiresAt, fileUrl, user }) ->
+ *      { status: 'approved' | 'rejected' | 'review', reference, reason, checks }
+ * `review` means the verifier could not decide; the document stays in the admin
+ * review queue. `reason` is a short code for rejections (expired, unreadable, ...).
+ * Verifier outages are thrown as errors and also leave the document for review.
+ *
+ * DOCUMENT_VERIFIER selects the verifier: `manual` (default, every document is
+ * reviewed by staff) or `fake` (offline, deterministic; for development and tests).
+ */
+
+const verifiers = {
+  manual: require('./manualVerifier'),
+  fake: require('./fakeVerifier')
+};
+
+function defaultVerifierName() {
+  return process.env.DOCUMENT_VERIFIER || 'manual';
+}
+
+/**
+ * Get a verifier by name, or the configured one
+ */
+function getVerifier(name = defaultVerifierName()) {
+  const verifier = verifiers[name];
+  if (!verifier) throw new Error(`Unknown document verifier '${name}'`);
+  return verifier;
+}
+
+module.exports = {
+  getVerifier
+};
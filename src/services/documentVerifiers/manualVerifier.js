@@ -0,0 +1,11 @@
+/**
+ * No automated checks: every document goes to the admin review queue
+ */
+async function verify() {
+  return { status: 'review', reference: null, reason: null, checks: [] };
+}
+
+module.exports = {
+  name: 'manual',
+  verify
+};
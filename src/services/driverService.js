@@ -0,0 +1,83 @@
+const { ageOn } = require('./locationPolicyService');
+
+/**
+ * Additional drivers
+ *
+ * Besides the renter (the booking's user) a booking can name additional drivers.
+ * They are stored on the booking (and on quotes) as snapshots
+ * { name, dateOfBirth, licenseNumber, licenseCountry, licenseExpiresAt }. Each one
+ * is held to the pickup location's minimum age and must have a license valid until
+ * the end of the rental (see locationPolicyService), is charged a daily fee
+ * (Location.additionalDriverFeePerDay) plus the young-driver fee when under the
+ * threshold, and has their license checked at the pickup counter.
+ */
+
+const DEFAULT_FEE_PER_DAY = 10;
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Canonical driver snapshots: trimmed names, upper-case license numbers, ISO dates
+ */
+function normalizeDrivers(drivers = []) {
+  return (drivers || []).map(d => ({
+    name: String(d.name).trim(),
+    dateOfBirth: isoDate(d.dateOfBirth),
+    licenseNumber: String(d.licenseNumber).trim().toUpperCase(),
+    licenseCountry: d.licenseCountry ? String(d.licenseCountry).toUpperCase() : null,
+    licenseExpiresAt: isoDate(d.licenseExpiresAt)
+  }));
+}
+
+/**
+ * Whether two driver lists name the same drivers, in any order
+ */
+function sameDrivers(a = [], b = []) {
+  const key = (drivers) => JSON.stringify(normalizeDrivers(drivers).sort((x, y) => x.licenseNumber.localeCompare(y.licenseNumber)));
+  return key(a) === key(b);
+}
+
+function feePerDay(location) {
+  return location && location.additionalDriverFeePerDay != null ? location.additionalDriverFeePerDay : DEFAULT_FEE_PER_DAY;
+}
+
+/**
+ * Breakdown lines for the additional drivers over a rental
+ * @param {Array} drivers - driver snapshots
+ * @param {object} options - { location, startDate, days, youngThreshold, youngDriverPerDay }; ages are taken on the start date
+ */
+function driverLines(drivers, { location, startDate, days, youngThreshold, youngDriverPerDay }) {
+  return normalizeDrivers(drivers).map(driver => {
+    const age = ageOn(driver.dateOfBirth, startDate);
+    const youngDriverFee = age !== null && age < youngThreshold ? youngDriverPerDay : 0;
+    const dailyPrice = feePerDay(location) + youngDriverFee;
+    return {
+      name: driver.name,
+      licenseNumber: driver.licenseNumber,
+      age,
+      dailyPrice,
+      youngDriverFee,
+      days,
+      total: Math.round(dailyPrice * days * 100) / 100
+    };
+  });
+}
+
+/**
+ * Drivers as shown to staff and customers: the renter first, then the additional drivers
+ */
+function bookingDrivers(booking, user = booking.user) {
+  return [
+    { role: 'renter', name: user ? user.name : null, userId: booking.userId },
+    ...normalizeDrivers(booking.additionalDrivers || []).map(driver => ({ role: 'additional', ...driver }))
+  ];
+}
+
+module.exports = {
+  DEFAULT_FEE_PER_DAY,
+  normalizeDrivers,
+  sameDrivers,
+  feePerDay,
+  driverLines,
+  bookingDrivers
+};
@@ -0,0 +1,18 @@
+/**
+ * Base class of the errors services throw for controllers to report.
+ * `statusCode` is the HTTP status to answer with; errors that carry more than a
+ * message override details() with the extra fields of the response body.
+ */
+class ServiceError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+  }
+
+  details() {
+    return {};
+  }
+}
+
+module.exports = { ServiceError };
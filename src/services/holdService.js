@@ -0,0 +1,141 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const availabilityService = require('./availabilityService');
+const pricingService = require('./pricingService');
+const quoteService = require('./quoteService');
+const promoService = require('./promoService');
+const addonService = require('./addonService');
+const locationPolicyService = require('./locationPolicyService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const driverService = require('./driverService');
+const organizationService = require('./organizationService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Booking holds
+ *
+ * A hold is a `pending_hold` booking that reserves a vehicle (or a slot in a
+ * category) until `holdExpiresAt`, when the hold expiry job cancels it unless it
+ * was confirmed. Holds redeem their quote and promo code and reserve add-on
+ * stock like bookings do; everything is released again if creating the hold
+ * fails. Used by POST /api/bookings/hold and for waitlist offers. Corporate holds
+ * outside the organization's travel policy are kept until a travel manager decides
+ * (at least ORGANIZATION_APPROVAL_HOLD_HOURS).
+ */
+
+class HoldError extends ServiceError {
+  constructor(message, statusCode = 409) {
+    super(message, statusCode);
+    this.name = 'HoldError';
+  }
+}
+
+/**
+ * Create a hold for a user
+ * @param {object} user - renter ({ id, dateOfBirth, emailVerifiedAt, ... }), checked against the pickup location's rules
+ * @param {object} request - validated bookingSchema body (vehicleId or vehicleCategory, locations, dates, addons, additionalDrivers, promoCode, insuranceId, quoteId, paymentMethod, organizationId)
+ * @param {object} options - { holdMinutes (default HOLD_MINUTES), reason for the price history, actorId }
+ * @returns {Promise<{ booking, price }>}
+ */
+async function createHold(user, request, { holdMinutes = parseInt(process.env.HOLD_MINUTES || '15'), reason = 'hold_created', actorId = user.id } = {}) {
+  const { vehicleId = null, vehicleCategory = null, locationPickupId, locationDropoffId, startDate, endDate, addons = [], additionalDrivers = [], promoCode, insuranceId, quoteId, paymentMethod, organizationId = null } = request;
+
+  const [vehicle, pickupLocation] = await Promise.all([
+    vehicleId ? prisma.vehicle.findUnique({ where: { id: vehicleId }, select: { id: true, category: true, locationId: true } }) : null,
+    prisma.location.findUnique({ where: { id: locationPickupId } })
+  ]);
+  if (vehicleId && !vehicle) throw new HoldError('Vehicle not found', 404);
+  if (!pickupLocation) throw new HoldError('Pickup location not found', 404);
+
+  locationPolicyService.assertPolicy({ location: pickupLocation, user, startDate, endDate, paymentMethod, drivers: additionalDrivers });
+
+  // Check availability: the vehicle, or a vehicle of the category at the pickup location
+  const available = vehicle
+    ? await availabilityService.isVehicleAvailable(vehicleId, startDate, endDate) && await availabilityService.hasCategoryCapacity(vehicle, startDate, endDate)
+    : (await availabilityService.categoryAvailability({ category: vehicleCategory, locationId: locationPickupId, startDate, endDate })).available > 0;
+  if (!available) {
+    throw new HoldError(vehicle ? 'Vehicle not available for selected dates' : `No ${vehicleCategory} vehicles available for selected dates`);
+  }
+
+  let quote = null;
+  let redemption = null;
+  let addonReservations = [];
+  try {
+    // Calculate price: a valid quote locks the price shown at search time
+    let price;
+    if (quoteId) {
+      quote = await quoteService.redeemQuote(quoteId, { userId: user.id, vehicleId, vehicleCategory, locationPickupId, locationDropoffId, startDate, endDate, addons, additionalDrivers, promoCode, insuranceId, organizationId });
+      price = quote.breakdown;
+    } else {
+      price = await pricingService.calculatePriceForBooking({ vehicleId, vehicleCategory, startDate, endDate, addons, additionalDrivers, promoCode, insuranceId, userId: user.id, pickupLocationId: locationPickupId, dropoffLocationId: locationDropoffId, organizationId });
+    }
+
+    // Corporate holds outside the travel policy wait for a travel manager
+    const approval = await organizationService.corporateBookingData(user, organizationId, { vehicleCategory: vehicle ? vehicle.category : vehicleCategory, breakdown: price });
+    if (approval.approvalStatus === 'pending') {
+      holdMinutes = Math.max(holdMinutes, organizationService.approvalHoldMinutes());
+    }
+
+    // Holds take a redemption too; it is released if the hold expires or is cancelled
+    if (promoCode) {
+      redemption = await promoService.redeemPromo(promoCode, { userId: user.id, discount: price.promoDiscount || 0 });
+    }
+
+    const holdExpiresAt = new Date(Date.now() + holdMinutes * 60 * 1000);
+
+    // Add-on stock is held for as long as the hold
+    addonReservations = await addonService.reserveAddOns(addons, { locationId: locationPickupId, startDate, endDate, holdExpiresAt });
+
+    const cancellationPolicy = (quote && quote.cancellationPolicy)
+      || await cancellationPolicyService.resolvePolicy({ locationId: locationPickupId, category: vehicle ? vehicle.category : vehicleCategory, promoCode });
+
+    const booking = await prisma.booking.create({
+      data: {
+        userId: user.id,
+        vehicleId: vehicleId || null,
+        vehicleCategory: vehicleCategory || null,
+        locationPickupId,
+        locationDropoffId,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        ...pricingService.priceVersionData(null, price, { reason: quote ? 'quoted' : reason, actorId }),
+        addons: price.addons,
+        additionalDrivers: driverService.normalizeDrivers(additionalDrivers),
+        promoCode: promoCode || null,
+        quoteId: quote ? quote.id : null,
+        cancellationPolicy,
+        paymentMethod: paymentMethod || null,
+        status: 'pending_hold',
+        paymentStatus: 'pending',
+        holdExpiresAt,
+        ...approval
+      }
+    });
+
+    if (quote) {
+      await quoteService.attachBooking(quote.id, booking.id);
+    }
+    if (redemption) {
+      await promoService.attachBooking(redemption.id, booking.id);
+    }
+    await addonService.attachBooking(addonReservations, booking.id);
+
+    await logEvent('booking', booking.id, 'hold_created', { userId: user.id, holdExpiresAt, price, reason });
+    if (booking.approvalStatus === 'pending') {
+      await organizationService.requestApproval(booking);
+    }
+
+    return { booking, price };
+  } catch (error) {
+    if (quote) await quoteService.releaseQuote(quote.id).catch(() => {});
+    if (redemption) await promoService.releaseRedemption(redemption, 'booking_failed').catch(() => {});
+    await addonService.discardReservations(addonReservations).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  HoldError,
+  createHold
+};
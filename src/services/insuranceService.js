@@ -0,0 +1,93 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ServiceError } = require('./errors');
+
+/**
+ * Insurance / protection products
+ *
+ * A booking can carry one product. Its daily price is part of the price breakdown
+ * and a snapshot of the product is stored in `Booking.insuranceSelected`, so later
+ * catalog edits do not change existing bookings. Products that cover vehicle damage
+ * (CDW) cap the damage charged at return to their deductible.
+ */
+
+const PRODUCT_TYPES = ['cdw', 'liability', 'personal_effects'];
+const DAMAGE_COVER_TYPES = ['cdw'];
+const DOCUMENT_TYPES = ['drivers_license', 'id_card', 'passport', 'credit_card', 'proof_of_address', 'proof_of_insurance'];
+
+class InsuranceError extends ServiceError {
+  constructor(message, statusCode = 400) {
+    super(message, statusCode);
+    this.name = 'InsuranceError';
+  }
+}
+
+/**
+ * Load a product for a vehicle, checking it is active and offered for the vehicle's category
+ */
+async function resolveProduct(insuranceId, vehicle) {
+  const product = /^[a-f0-9]{24}$/.test(String(insuranceId))
+    ? await prisma.insuranceProduct.findUnique({ where: { id: insuranceId } })
+    : null;
+
+  if (!product || !product.isActive) throw new InsuranceError('Insurance product not found', 404);
+  if (product.eligibleCategories.length > 0 && !product.eligibleCategories.includes(vehicle.category)) {
+    throw new InsuranceError(`${product.name} is not available for ${vehicle.category} vehicles`);
+  }
+  return product;
+}
+
+/**
+ * Breakdown line for a product over a rental
+ */
+function insuranceLine(product, days) {
+  return {
+    productId: product.id,
+    code: product.code,
+    name: product.name,
+    type: product.type,
+    dailyPrice: product.dailyPrice,
+    days,
+    total: Math.round(product.dailyPrice * days * 100) / 100,
+    deductible: product.deductible,
+    requiredDocuments: product.requiredDocuments || []
+  };
+}
+
+/**
+ * Split an assessed damage cost into what the customer pays and what the cover waives
+ * @param {number} damageCost - assessed cost
+ * @param {object|null} insuranceSelected - Booking.insuranceSelected snapshot
+ */
+function capDamage(damageCost, insuranceSelected) {
+  const covered = insuranceSelected && DAMAGE_COVER_TYPES.includes(insuranceSelected.type);
+  if (!covered) return { charged: damageCost, waived: 0, deductible: null };
+
+  const charged = Math.min(damageCost, insuranceSelected.deductible || 0);
+  return {
+    charged,
+    waived: Math.round((damageCost - charged) * 100) / 100,
+    deductible: insuranceSelected.deductible || 0
+  };
+}
+
+/**
+ * Documents the selected product requires that were not checked at pickup.
+ * `documentsChecked` is either true (all checked) or a list of document types.
+ */
+function missingDocuments(insuranceSelected, documentsChecked) {
+  const required = (insuranceSelected && insuranceSelected.requiredDocuments) || [];
+  if (documentsChecked === true) return [];
+  const checked = Array.isArray(documentsChecked) ? documentsChecked : [];
+  return required.filter(doc => !checked.includes(doc));
+}
+
+module.exports = {
+  PRODUCT_TYPES,
+  DOCUMENT_TYPES,
+  InsuranceError,
+  resolveProduct,
+  insuranceLine,
+  capDamage,
+  missingDocuments
+};
@@ -3,6 +3,8 @@
  * Central abstraction layer for third-party API integrations
  */
 
+const paymentProviders = require('./paymentProviders');
+
 // Twilio SMS Integration
 let twilioClient = null;
 if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
@@ -171,20 +173,28 @@ class IntegrationService {
   }
 
   /**
-   * Process payment via Stripe (refactored placeholder)
-   * Note: Actual Stripe integration should be implemented in payment controller
+   * Charge a payment through the configured payment provider
+   * @param {number} amount - amount in major units
+   * @param {string} method - PaymentMethod (credit_card, debit_card, ...)
+   * @param {object} metadata - { source, currency, reference, ... } passed to the provider
    */
   static async processPayment(amount, method, metadata = {}) {
-    // This is a placeholder - actual Stripe integration exists in payment flow
-    console.log('Payment processing:', { amount, method, metadata });
-    
-    // In production, call Stripe API here
-    return {
-      success: true,
-      transactionId: `txn_${Date.now()}`,
-      amount,
-      method
-    };
+    const { source = null, currency = 'USD', reference = null, ...rest } = metadata;
+
+    try {
+      const result = await paymentProviders.charge({ amount, currency, paymentMethod: method, source, reference, metadata: rest });
+      return {
+        success: true,
+        transactionId: result.authorizationId,
+        provider: result.provider,
+        amount: result.amount,
+        method
+      };
+    } catch (error) {
+      if (!(error instanceof paymentProviders.PaymentProviderError)) throw error;
+      console.error('Payment processing error:', error.message);
+      return { success: false, error: error.message, code: error.code };
+    }
   }
 
   /**
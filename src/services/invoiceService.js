@@ -0,0 +1,498 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const notificationService = require('./notificationService');
+const ledgerService = require('./ledgerService');
+const { createPdf } = require('../utils/pdf');
+
+/**
+ * Invoices and credit notes
+ *
+ * Documents are numbered per type and year (INV-2026-000001, CN-2026-000001) and
+ * never changed once issued; corrections are made with a credit note against the
+ * invoice. A booking gets:
+ *   - a rental invoice when it is confirmed, itemized from its price breakdown
+ *     (rental days, add-ons, insurance, fees, promo discount, taxes)
+ *   - on modification: a credit note for the rental invoice and a new invoice
+ *   - on cancellation / no-show: a credit note for the refunded amount
+ *   - at return: an invoice for the return charges (late fee, mileage, fuel, damage)
+ *
+ * The booking's balance is invoiced minus credited. Each document is posted to the
+ * booking ledger (ledgerService) as a charge or an adjustment.
+ *
+ * Bookings made under an organization are not paid by card: once a month their
+ * documents are listed on a consolidated invoice (CI-2026-000001) to the
+ * organization, and paying it settles each booking's ledger.
+ */
+
+const RENTAL_REASONS = ['confirmed', 'modified'];
+const ISSUER = process.env.INVOICE_ISSUER || 'CarHive';
+
+const round = (n) => Math.round(n * 100) / 100;
+const sum = (lines) => round(lines.reduce((total, line) => total + line.amount, 0));
+
+async function nextNumber(prefix, date = new Date()) {
+  const name = `${prefix}-${date.getUTCFullYear()}`;
+  const bump = () => prisma.invoiceCounter.upsert({
+    where: { name },
+    update: { value: { increment: 1 } },
+    create: { name, value: 1 }
+  });
+
+  let counter;
+  try {
+    counter = await bump();
+  } catch (error) {
+    // Two first-of-the-year upserts raced on the unique name; the row exists now
+    if (error.code !== 'P2002') throw error;
+    counter = await bump();
+  }
+  return `${name}-${String(counter.value).padStart(6, '0')}`;
+}
+
+async function loadBooking(bookingOrId) {
+  const id = typeof bookingOrId === 'string' ? bookingOrId : bookingOrId.id;
+  return prisma.booking.findUnique({
+    where: { id },
+    include: { user: true, pickupLocation: true }
+  });
+}
+
+/**
+ * Invoice lines for a booking's price breakdown
+ * @returns {{ lines: object[], taxes: number }}
+ */
+function rentalLines(booking) {
+  const b = booking.priceBreakdown;
+  if (!b) {
+    // Bookings priced before breakdowns were stored
+    const lines = [{ description: 'Vehicle rental', quantity: 1, unitPrice: booking.subtotal, amount: booking.subtotal }];
+    if (booking.fees > 0) lines.push({ description: 'Fees', quantity: 1, unitPrice: booking.fees, amount: booking.fees });
+    return { lines, taxes: booking.taxes || 0 };
+  }
+
+  const days = b.days || 1;
+  const rate = b.corporateRate ? `, ${b.corporateRate.name} rate` : '';
+  const lines = [{
+    description: `Vehicle rental (${days} day${days === 1 ? '' : 's'}${rate})`,
+    quantity: days,
+    unitPrice: round(b.subtotal / days),
+    amount: b.subtotal
+  }];
+
+  (Array.isArray(b.addons) ? b.addons : []).forEach(addon => {
+    const quantity = addon.perDay ? addon.qty * days : addon.qty;
+    lines.push({ description: addon.name || 'Add-on', quantity, unitPrice: addon.unitPrice, amount: round(addon.linePrice) });
+  });
+
+  if (b.insurance) {
+    lines.push({ description: b.insurance.name, quantity: b.insurance.days, unitPrice: b.insurance.dailyPrice, amount: b.insurance.total });
+  }
+  if (b.fees > 0) {
+    lines.push({ description: 'Location fees', quantity: 1, unitPrice: b.fees, amount: b.fees });
+  }
+  if (b.youngDriverFee > 0) {
+    lines.push({ description: 'Young driver fee', quantity: days, unitPrice: round(b.youngDriverFee / days), amount: b.youngDriverFee });
+  }
+  (Array.isArray(b.additionalDrivers) ? b.additionalDrivers : []).forEach(driver => {
+    lines.push({ description: `Additional driver: ${driver.name}`, quantity: driver.days, unitPrice: driver.dailyPrice, amount: driver.total });
+  });
+  if (b.promoDiscount > 0) {
+    // The total never goes below zero, so neither does the discount line
+    const discount = Math.min(b.promoDiscount, round(sum(lines) + b.taxes));
+    const code = (b.promo && b.promo.code) || booking.promoCode;
+    lines.push({ description: `Promo ${code || 'discount'}`, quantity: 1, unitPrice: -discount, amount: -discount });
+  }
+
+  return { lines, taxes: b.taxes || 0 };
+}
+
+async function issue(booking, { type = 'invoice', reason, lines, taxes = 0, invoiceId = null, actorId = null }) {
+  const subtotal = sum(lines);
+  const number = await nextNumber(type === 'credit_note' ? 'CN' : 'INV');
+
+  const document = await prisma.invoice.create({
+    data: {
+      number,
+      type,
+      bookingId: booking.id,
+      userId: booking.userId,
+      invoiceId,
+      reason,
+      currency: (booking.pickupLocation && booking.pickupLocation.currency) || 'USD',
+      customer: {
+        name: booking.user.name,
+        email: booking.user.email
+      },
+      lines,
+      subtotal,
+      taxes: round(taxes),
+      total: round(subtotal + taxes),
+      actorId
+    },
+    include: { invoice: { select: { number: true } } }
+  });
+  await ledgerService.post({
+    bookingId: booking.id,
+    type: type === 'credit_note' ? 'adjustment' : 'charge',
+    amount: document.total,
+    sourceType: 'invoice',
+    sourceId: document.id,
+    userId: booking.userId,
+    currency: document.currency,
+    description: number,
+    actorId
+  });
+  await logEvent('booking', booking.id, type === 'credit_note' ? 'credit_note_issued' : 'invoice_issued', {
+    number,
+    total: document.total,
+    reason,
+    invoiceId
+  });
+  return document;
+}
+
+// Credited so far against an invoice
+async function credited(invoice) {
+  const notes = await prisma.invoice.aggregate({
+    where: { invoiceId: invoice.id, type: 'credit_note' },
+    _sum: { total: true }
+  });
+  return notes._sum.total || 0;
+}
+
+/**
+ * The booking's rental invoice that is not fully credited, with its `open` amount
+ */
+async function currentInvoice(bookingId) {
+  const invoices = await prisma.invoice.findMany({
+    where: { bookingId, type: 'invoice', reason: { in: RENTAL_REASONS } },
+    orderBy: { issuedAt: 'desc' }
+  });
+  for (const invoice of invoices) {
+    const open = round(invoice.total - await credited(invoice));
+    if (open > 0) return { ...invoice, open };
+  }
+  return null;
+}
+
+async function credit(booking, invoice, amount, { reason, description, actorId = null }) {
+  // A full credit repeats the invoice lines; a partial one splits the amount into net and tax
+  if (amount >= invoice.total && invoice.open === invoice.total) {
+    return issue(booking, { type: 'credit_note', reason, lines: invoice.lines, taxes: invoice.taxes, invoiceId: invoice.id, actorId });
+  }
+  const taxes = invoice.total > 0 ? round(amount * invoice.taxes / invoice.total) : 0;
+  const net = round(amount - taxes);
+  return issue(booking, {
+    type: 'credit_note',
+    reason,
+    lines: [{ description, quantity: 1, unitPrice: net, amount: net }],
+    taxes,
+    invoiceId: invoice.id,
+    actorId
+  });
+}
+
+/**
+ * Issue the rental invoice for a confirmed booking (returns the existing one if already
+ * issued, null if it has been credited in full)
+ */
+async function issueBookingInvoice(bookingOrId, { actorId = null } = {}) {
+  const booking = await loadBooking(bookingOrId);
+  if (!booking) return null;
+
+  const existing = await currentInvoice(booking.id);
+  if (existing) return existing;
+  const issued = await prisma.invoice.count({ where: { bookingId: booking.id, type: 'invoice', reason: { in: RENTAL_REASONS } } });
+  if (issued > 0) return null;
+
+  const { lines, taxes } = rentalLines(booking);
+  return issue(booking, { reason: 'confirmed', lines, taxes, actorId });
+}
+
+/**
+ * After a price change: credit the rental invoice and invoice the new breakdown.
+ * Returns null when the booking has not been invoiced yet.
+ */
+async function reissueForModification(bookingOrId, { actorId = null } = {}) {
+  const booking = await loadBooking(bookingOrId);
+  const invoice = booking && await currentInvoice(booking.id);
+  if (!invoice) return null;
+
+  const creditNote = await credit(booking, invoice, invoice.open, {
+    reason: 'modified',
+    description: `Credit for ${invoice.number} (booking modified)`,
+    actorId
+  });
+  const { lines, taxes } = rentalLines(booking);
+  const replacement = await issue(booking, { reason: 'modified', lines, taxes, actorId });
+
+  return { creditNote, invoice: replacement };
+}
+
+/**
+ * Credit note for the amount refunded on cancellation or no-show, capped at what is
+ * still open on the rental invoice (pass Infinity to credit it in full). Returns
+ * null when there is no invoice or nothing to credit.
+ */
+async function creditForCancellation(bookingOrId, amount, { reason = 'cancelled', actorId = null } = {}) {
+  const booking = await loadBooking(bookingOrId);
+  const invoice = booking && await currentInvoice(booking.id);
+  if (!invoice) return null;
+
+  const creditAmount = round(Math.min(amount, invoice.open));
+  if (creditAmount <= 0) return null;
+
+  return credit(booking, invoice, creditAmount, {
+    reason,
+    description: reason === 'no_show' ? `Refund for ${invoice.number} (no-show)` : `Refund for ${invoice.number} (cancellation)`,
+    actorId
+  });
+}
+
+/**
+ * Invoice the charges assessed at return. Returns null when there are none.
+ * @param {object} charges - { lateFee, extraMileageCost, fuelCost, damageCharged }
+ */
+async function issueReturnInvoice(bookingOrId, charges, { actorId = null } = {}) {
+  const lines = [
+    ['Late return fee', charges.lateFee],
+    ['Extra mileage', charges.extraMileageCost],
+    ['Fuel top-up', charges.fuelCost],
+    ['Damage', charges.damageCharged]
+  ]
+    .filter(([, amount]) => amount > 0)
+    .map(([description, amount]) => ({ description, quantity: 1, unitPrice: round(amount), amount: round(amount) }));
+  if (lines.length === 0) return null;
+
+  const booking = await loadBooking(bookingOrId);
+  return issue(booking, { reason: 'returned', lines, actorId });
+}
+
+/**
+ * A booking's documents in issue order, with totals
+ */
+async function listForBooking(bookingId) {
+  const documents = await prisma.invoice.findMany({
+    where: { bookingId },
+    orderBy: { issuedAt: 'asc' },
+    include: { invoice: { select: { number: true } } }
+  });
+
+  const invoiced = round(documents.filter(d => d.type === 'invoice').reduce((total, d) => total + d.total, 0));
+  const creditedTotal = round(documents.filter(d => d.type === 'credit_note').reduce((total, d) => total + d.total, 0));
+  return { documents, summary: { invoiced, credited: creditedTotal, balance: round(invoiced - creditedTotal) } };
+}
+
+/**
+ * Consolidated invoice for an organization: every invoice and credit note of its
+ * bookings issued before `periodEnd` that no consolidated invoice has billed yet,
+ * credit notes as negative lines. Returns null when there is nothing to bill.
+ * @param {object} organization - Organization record
+ * @param {object} period - { periodStart, periodEnd (exclusive), actorId }
+ */
+async function issueConsolidatedInvoice(organization, { periodStart, periodEnd, actorId = null }) {
+  const documents = await prisma.invoice.findMany({
+    where: { consolidatedInvoiceId: null, issuedAt: { lt: periodEnd }, booking: { organizationId: organization.id } },
+    orderBy: { issuedAt: 'asc' }
+  });
+  if (documents.length === 0) return null;
+
+  const lines = documents.map(document => ({
+    documentId: document.id,
+    number: document.number,
+    type: document.type,
+    bookingId: document.bookingId,
+    employee: document.customer.name,
+    issuedAt: document.issuedAt,
+    amount: document.type === 'credit_note' ? -document.total : document.total
+  }));
+
+  const number = await nextNumber('CI');
+  const invoice = await prisma.consolidatedInvoice.create({
+    data: {
+      number,
+      organizationId: organization.id,
+      periodStart,
+      periodEnd,
+      currency: organization.currency,
+      customer: {
+        name: organization.name,
+        email: organization.billingEmail,
+        address: organization.billingAddress || null
+      },
+      lines,
+      total: sum(lines),
+      dueAt: new Date(Date.now() + organization.paymentTermsDays * 24 * 60 * 60 * 1000),
+      actorId
+    }
+  });
+  await prisma.invoice.updateMany({
+    where: { id: { in: documents.map(d => d.id) }, consolidatedInvoiceId: null },
+    data: { consolidatedInvoiceId: invoice.id }
+  });
+  await logEvent('organization', organization.id, 'consolidated_invoice_issued', { number, total: invoice.total, documents: documents.length });
+
+  return invoice;
+}
+
+/**
+ * Record payment of a consolidated invoice: each booking's net amount on it is
+ * posted to that booking's ledger as a payment (or, for net credits, a refund)
+ */
+async function settleConsolidatedInvoice(invoice, { reference = null, actorId = null } = {}) {
+  const byBooking = {};
+  invoice.lines.forEach(line => { byBooking[line.bookingId] = round((byBooking[line.bookingId] || 0) + line.amount); });
+
+  for (const [bookingId, amount] of Object.entries(byBooking)) {
+    await ledgerService.post({
+      bookingId,
+      type: amount < 0 ? 'refund' : 'payment',
+      amount: Math.abs(amount),
+      sourceType: 'consolidated_invoice',
+      sourceId: `${invoice.id}:${bookingId}`,
+      currency: invoice.currency,
+      description: invoice.number,
+      actorId
+    });
+  }
+
+  const paid = await prisma.consolidatedInvoice.update({
+    where: { id: invoice.id },
+    data: { status: 'paid', paidAt: new Date(), paymentReference: reference }
+  });
+  await logEvent('organization', invoice.organizationId, 'consolidated_invoice_paid', { number: invoice.number, total: invoice.total, reference, actorId });
+  return paid;
+}
+
+const money = (amount, currency) => `${currency} ${amount.toFixed(2)}`;
+
+/**
+ * Render documents as a PDF, one page each
+ * @returns {Buffer}
+ */
+function renderPdf(documents) {
+  const doc = createPdf();
+  const row = (description, quantity, unitPrice, amount) =>
+    `${String(description).slice(0, 44).padEnd(44)} ${String(quantity).padStart(5)} ${String(unitPrice).padStart(14)} ${String(amount).padStart(14)}`;
+
+  documents.forEach(document => {
+    doc.addPage();
+    const currency = document.currency;
+    let y = 790;
+
+    doc.text(50, y, ISSUER, { size: 20, font: 'bold' });
+    doc.text(380, y, document.type === 'credit_note' ? 'CREDIT NOTE' : 'INVOICE', { size: 16, font: 'bold' });
+
+    y -= 30;
+    doc.text(380, y, `Number: ${document.number}`);
+    doc.text(380, y - 14, `Issued: ${new Date(document.issuedAt).toISOString().slice(0, 10)}`);
+    doc.text(380, y - 28, `Booking: ${document.bookingId}`);
+    if (document.invoiceId) {
+      doc.text(380, y - 42, `Credits: ${document.invoice ? document.invoice.number : document.invoiceId}`);
+    }
+
+    doc.text(50, y, 'Bill to', { font: 'bold' });
+    doc.text(50, y - 14, document.customer.name || '');
+    doc.text(50, y - 28, document.customer.email || '');
+
+    y -= 80;
+    doc.text(50, y, row('Description', 'Qty', 'Unit price', 'Amount'), { size: 9, font: 'mono' });
+    doc.line(50, y - 4, 545, y - 4);
+    y -= 18;
+
+    document.lines.forEach(line => {
+      if (y < 120) {
+        doc.addPage();
+        y = 790;
+      }
+      doc.text(50, y, row(line.description, line.quantity, line.unitPrice.toFixed(2), line.amount.toFixed(2)), { size: 9, font: 'mono' });
+      y -= 14;
+    });
+
+    doc.line(50, y + 6, 545, y + 6);
+    y -= 10;
+    doc.text(50, y, row('Subtotal', '', '', money(document.subtotal, currency)), { size: 9, font: 'mono' });
+    doc.text(50, y - 14, row('Taxes', '', '', money(document.taxes, currency)), { size: 9, font: 'mono' });
+    doc.text(50, y - 32, row(document.type === 'credit_note' ? 'Total credited' : 'Total', '', '', money(document.total, currency)), { size: 10, font: 'mono' });
+
+    doc.text(50, 60, `Reason: ${document.reason}`, { size: 8 });
+  });
+
+  return doc.toBuffer();
+}
+
+/**
+ * Render a consolidated invoice as a PDF, one line per booking document
+ * @returns {Buffer}
+ */
+function renderConsolidatedPdf(invoice) {
+  const doc = createPdf();
+  const row = (date, number, bookingId, employee, amount) =>
+    `${String(date).padEnd(11)} ${String(number).padEnd(15)} ${String(bookingId).slice(-8).padEnd(9)} ${String(employee).slice(0, 20).padEnd(20)} ${String(amount).padStart(12)}`;
+  const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+  doc.addPage();
+  let y = 790;
+  doc.text(50, y, ISSUER, { size: 20, font: 'bold' });
+  doc.text(380, y, 'INVOICE', { size: 16, font: 'bold' });
+
+  y -= 30;
+  doc.text(380, y, `Number: ${invoice.number}`);
+  doc.text(380, y - 14, `Issued: ${day(invoice.issuedAt)}`);
+  doc.text(380, y - 28, `Period: ${day(invoice.periodStart)} - ${day(new Date(invoice.periodEnd).getTime() - 1)}`);
+  doc.text(380, y - 42, `Due: ${day(invoice.dueAt)}`);
+
+  doc.text(50, y, 'Bill to', { font: 'bold' });
+  doc.text(50, y - 14, invoice.customer.name || '');
+  doc.text(50, y - 28, invoice.customer.email || '');
+  if (invoice.customer.address) doc.text(50, y - 42, invoice.customer.address);
+
+  y -= 80;
+  doc.text(50, y, row('Date', 'Document', 'Booking', 'Employee', 'Amount'), { size: 9, font: 'mono' });
+  doc.line(50, y - 4, 545, y - 4);
+  y -= 18;
+
+  invoice.lines.forEach(line => {
+    if (y < 120) {
+      doc.addPage();
+      y = 790;
+    }
+    doc.text(50, y, row(day(line.issuedAt), line.number, line.bookingId, line.employee || '', line.amount.toFixed(2)), { size: 9, font: 'mono' });
+    y -= 14;
+  });
+
+  doc.line(50, y + 6, 545, y + 6);
+  doc.text(50, y - 10, row('Total due', '', '', '', money(invoice.total, invoice.currency)), { size: 10, font: 'mono' });
+  doc.text(50, 60, 'Amounts include taxes; see the listed invoices and credit notes for details.', { size: 8 });
+
+  return doc.toBuffer();
+}
+
+/**
+ * Email documents to the customer with the PDF attached (failures are logged, not thrown)
+ */
+async function sendDocuments(documents) {
+  for (const document of documents.filter(Boolean)) {
+    try {
+      await notificationService.sendInvoiceDocument(document.customer.email, document, renderPdf([document]));
+    } catch (e) {
+      console.warn(`Failed to send ${document.number}`, e);
+    }
+  }
+}
+
+module.exports = {
+  rentalLines,
+  currentInvoice,
+  issueBookingInvoice,
+  reissueForModification,
+  creditForCancellation,
+  issueReturnInvoice,
+  listForBooking,
+  issueConsolidatedInvoice,
+  settleConsolidatedInvoice,
+  renderPdf,
+  renderConsolidatedPdf,
+  sendDocuments
+};
@@ -0,0 +1,256 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/**
+ * Booking ledger (double entry)
+ *
+ * Every money movement on a booking is a LedgerEntry that debits one account and
+ * credits another:
+ *
+ *   charge      invoice issued           debit customer_receivable  credit rental_revenue
+ *   adjustment  credit note / write-off  debit rental_revenue       credit customer_receivable
+ *   payment     charge / deposit capture debit cash                 credit customer_receivable
+ *               / balance payment
+ *               / consolidated invoice
+ *   refund      refund succeeded         debit customer_receivable  credit cash
+ *
+ * The customer's outstanding amount is the customer_receivable balance: positive
+ * means they owe money, negative that they paid too much. Entries are unique per
+ * source record (invoice, payment transaction, deposit transaction), so posting
+ * the same source twice is a no-op and `syncBooking` can backfill safely.
+ */
+
+const ACCOUNTS = {
+  receivable: 'customer_receivable',
+  revenue: 'rental_revenue',
+  cash: 'cash'
+};
+
+const ENTRY_TYPES = {
+  charge: { debit: ACCOUNTS.receivable, credit: ACCOUNTS.revenue },
+  adjustment: { debit: ACCOUNTS.revenue, credit: ACCOUNTS.receivable },
+  payment: { debit: ACCOUNTS.cash, credit: ACCOUNTS.receivable },
+  refund: { debit: ACCOUNTS.receivable, credit: ACCOUNTS.cash }
+};
+
+const SETTLED_PAYMENT_STATUSES = ['captured', 'completed', 'partially_refunded', 'refunded', 'disputed'];
+const INVOICED_BOOKING_STATUSES = ['confirmed', 'reserved', 'ready_for_pickup', 'active', 'completed'];
+const CLOSED_BOOKING_STATUSES = ['completed', 'cancelled', 'no_show'];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Post an entry for a source record. Returns the existing entry when the source
+ * was already posted, null for zero amounts.
+ * @param {object} entry - { bookingId, type, amount, sourceType, sourceId, userId?, currency?, description?, actorId? }
+ */
+async function post({ bookingId, type, amount, sourceType, sourceId, userId = null, currency = null, description = null, actorId = null }) {
+  amount = round(amount);
+  if (!(amount > 0)) return null;
+
+  if (!userId || !currency) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: { userId: true, pickupLocation: { select: { currency: true } } }
+    });
+    userId = userId || booking.userId;
+    currency = currency || (booking.pickupLocation && booking.pickupLocation.currency) || 'USD';
+  }
+
+  const { debit, credit } = ENTRY_TYPES[type];
+  try {
+    return await prisma.ledgerEntry.create({
+      data: {
+        bookingId,
+        userId,
+        type,
+        debitAccount: debit,
+        creditAccount: credit,
+        amount,
+        currency,
+        sourceType,
+        sourceId: String(sourceId),
+        description,
+        actorId
+      }
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    return prisma.ledgerEntry.findUnique({ where: { sourceType_sourceId: { sourceType, sourceId: String(sourceId) } } });
+  }
+}
+
+// Effect of an entry on what the customer owes
+const receivableChange = (entry) =>
+  (entry.debitAccount === ACCOUNTS.receivable ? entry.amount : 0) - (entry.creditAccount === ACCOUNTS.receivable ? entry.amount : 0);
+
+function totalsFor(entries) {
+  const totals = { charged: 0, adjusted: 0, paid: 0, refunded: 0 };
+  const keys = { charge: 'charged', adjustment: 'adjusted', payment: 'paid', refund: 'refunded' };
+  entries.forEach(entry => { totals[keys[entry.type]] = round(totals[keys[entry.type]] + entry.amount); });
+  totals.outstanding = round(entries.reduce((balance, entry) => balance + receivableChange(entry), 0));
+  return totals;
+}
+
+/**
+ * A booking's entries in order with the running balance, and its totals
+ * (charged, adjusted, paid, refunded, outstanding)
+ */
+async function getBookingLedger(bookingId) {
+  const entries = await prisma.ledgerEntry.findMany({
+    where: { bookingId },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  let balance = 0;
+  const withBalance = entries.map(entry => {
+    balance = round(balance + receivableChange(entry));
+    return { ...entry, balance };
+  });
+
+  return { entries: withBalance, totals: totalsFor(entries) };
+}
+
+/**
+ * Post entries for a booking's invoices, payments, refunds and deposit captures
+ * that are not in the ledger yet (e.g. recorded before the ledger existed)
+ * @returns {Promise<number>} entries added
+ */
+async function syncBooking(bookingId) {
+  const [invoices, transactions, payment, deposit, existing] = await Promise.all([
+    prisma.invoice.findMany({ where: { bookingId } }),
+    prisma.paymentTransaction.findMany({ where: { bookingId, status: 'succeeded' } }),
+    prisma.payment.findUnique({ where: { bookingId } }),
+    prisma.securityDeposit.findUnique({ where: { bookingId }, include: { transactions: { where: { type: 'capture' } } } }),
+    prisma.ledgerEntry.count({ where: { bookingId } })
+  ]);
+
+  for (const invoice of invoices) {
+    await post({
+      bookingId,
+      type: invoice.type === 'credit_note' ? 'adjustment' : 'charge',
+      amount: invoice.total,
+      sourceType: 'invoice',
+      sourceId: invoice.id,
+      userId: invoice.userId,
+      currency: invoice.currency,
+      description: invoice.number
+    });
+  }
+  for (const transaction of transactions) {
+    await post({
+      bookingId,
+      type: transaction.type === 'refund' ? 'refund' : 'payment',
+      amount: transaction.amount,
+      sourceType: 'payment_transaction',
+      sourceId: transaction.id,
+      description: transaction.reason || transaction.type
+    });
+  }
+  // Payments taken before charges were recorded as transactions
+  if (payment && SETTLED_PAYMENT_STATUSES.includes(payment.status) && !transactions.some(t => t.type === 'charge')) {
+    await post({ bookingId, type: 'payment', amount: payment.amount, sourceType: 'payment', sourceId: payment.id, description: 'payment' });
+  }
+  for (const capture of (deposit ? deposit.transactions : [])) {
+    await post({ bookingId, type: 'payment', amount: capture.amount, sourceType: 'deposit_transaction', sourceId: capture.id, description: capture.reason || 'deposit capture' });
+  }
+
+  return (await prisma.ledgerEntry.count({ where: { bookingId } })) - existing;
+}
+
+// Mismatches between a booking's ledger, its Payment row and its price
+function findIssues(booking, totals, entries) {
+  const issues = [];
+  const payment = booking.payment;
+  const settled = payment && SETTLED_PAYMENT_STATUSES.includes(payment.status);
+  const paidByPayment = round(entries
+    .filter(e => e.type === 'payment' && ['payment_transaction', 'payment'].includes(e.sourceType))
+    .reduce((total, e) => total + e.amount, 0));
+
+  if (settled && paidByPayment === 0) {
+    issues.push({ code: 'PAYMENT_NOT_IN_LEDGER', message: `Payment of ${payment.amount} has no ledger entry` });
+  } else if (settled && paidByPayment !== round(payment.amount)) {
+    issues.push({ code: 'PAYMENT_AMOUNT_MISMATCH', message: `Ledger payments ${paidByPayment} differ from Payment.amount ${payment.amount}` });
+  } else if (!settled && paidByPayment > 0) {
+    issues.push({ code: 'PAYMENT_RECORD_MISSING', message: `Ledger has payments of ${paidByPayment} but no settled Payment` });
+  }
+
+  if (payment && totals.refunded !== round(payment.refundedAmount || 0)) {
+    issues.push({ code: 'REFUND_AMOUNT_MISMATCH', message: `Ledger refunds ${totals.refunded} differ from Payment.refundedAmount ${payment.refundedAmount || 0}` });
+  }
+
+  if (INVOICED_BOOKING_STATUSES.includes(booking.status)) {
+    // Written-off balances reduce what is owed, not the price
+    const writtenOff = entries.filter(e => e.sourceType === 'balance_writeoff').reduce((total, e) => total + e.amount, 0);
+    const invoiced = round(totals.charged - totals.adjusted + writtenOff);
+    if (totals.charged === 0) {
+      issues.push({ code: 'NOT_INVOICED', message: 'Booking has no invoice' });
+    } else if (Math.abs(invoiced - booking.totalPrice) > 0.01) {
+      issues.push({ code: 'TOTAL_PRICE_MISMATCH', message: `Invoiced ${invoiced} differs from Booking.totalPrice ${booking.totalPrice}` });
+    }
+  }
+
+  if (CLOSED_BOOKING_STATUSES.includes(booking.status) && totals.outstanding !== 0) {
+    issues.push(totals.outstanding > 0
+      ? { code: 'BALANCE_OWED', message: `Customer still owes ${totals.outstanding}` }
+      : { code: 'OVERPAID', message: `Customer paid ${-totals.outstanding} too much` });
+  }
+
+  return issues;
+}
+
+/**
+ * Compare the ledger with Payment records and booking totals for bookings created
+ * in a period. Returns only bookings with issues unless `all` is set.
+ */
+async function reconcile({ from = null, to = null, skip = 0, take = 100, all = false } = {}) {
+  const where = { status: { notIn: ['pending', 'pending_hold'] } };
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = new Date(from);
+    if (to) where.createdAt.lte = new Date(to);
+  }
+
+  const bookings = await prisma.booking.findMany({
+    where,
+    include: { payment: true },
+    orderBy: { createdAt: 'desc' },
+    skip,
+    take
+  });
+  const entries = await prisma.ledgerEntry.findMany({ where: { bookingId: { in: bookings.map(b => b.id) } } });
+
+  const byIssue = {};
+  const rows = bookings.map(booking => {
+    const own = entries.filter(e => e.bookingId === booking.id);
+    const totals = totalsFor(own);
+    const issues = findIssues(booking, totals, own);
+    issues.forEach(issue => { byIssue[issue.code] = (byIssue[issue.code] || 0) + 1; });
+
+    return {
+      bookingId: booking.id,
+      status: booking.status,
+      totalPrice: booking.totalPrice,
+      payment: booking.payment
+        ? { id: booking.payment.id, status: booking.payment.status, amount: booking.payment.amount, refundedAmount: booking.payment.refundedAmount }
+        : null,
+      ledger: totals,
+      issues
+    };
+  });
+
+  const mismatched = rows.filter(row => row.issues.length > 0);
+  return {
+    summary: { bookings: rows.length, mismatched: mismatched.length, byIssue },
+    rows: all ? rows : mismatched
+  };
+}
+
+module.exports = {
+  ACCOUNTS,
+  ENTRY_TYPES,
+  post,
+  getBookingLedger,
+  syncBooking,
+  reconcile
+};
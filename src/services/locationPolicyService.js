@@ -0,0 +1,152 @@
+/**
+ * Location rental rules
+ *
+ * A pickup location can set a minimum driver age, refuse debit cards, require a
+ * verified email and ask for a security deposit. `evaluatePolicy` checks a renter
+ * and the booking's additional drivers against those rules and returns every
+ * broken rule, so clients can show them all at once. The deposit is returned as its own line; it is not part of the rental total.
+ */
+
+const { ServiceError } = require('./errors');
+
+const DEBIT_METHODS = ['debit_card'];
+
+class LocationPolicyError extends ServiceError {
+  constructor(violations, statusCode = 403) {
+    super(violations.length === 1 ? violations[0].message : 'Booking does not meet the rental rules of this location', statusCode);
+    this.name = 'LocationPolicyError';
+    this.violations = violations;
+  }
+
+  details() {
+    return { code: this.violations[0].code, violations: this.violations };
+  }
+}
+
+/**
+ * Age in whole years on a given date (UTC calendar), or null without a date of birth
+ */
+function ageOn(dateOfBirth, date = new Date()) {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  const at = new Date(date);
+  let age = at.getUTCFullYear() - dob.getUTCFullYear();
+  const birthdayPassed = at.getUTCMonth() > dob.getUTCMonth() ||
+    (at.getUTCMonth() === dob.getUTCMonth() && at.getUTCDate() >= dob.getUTCDate());
+  if (!birthdayPassed) age -= 1;
+  return age;
+}
+
+/**
+ * Deposit line for a location, or null when it does not take one
+ */
+function depositLine(location) {
+  if (!location || !location.depositAmount || location.depositAmount <= 0) return null;
+  return { amount: location.depositAmount, currency: location.currency || 'USD', locationId: location.id };
+}
+
+/**
+ * Additional drivers must meet the minimum age and hold a license that is valid
+ * until the end of the rental (the start date when the end is not known)
+ */
+function driverViolations({ location, drivers, startDate, endDate }) {
+  const violations = [];
+  const validUntil = new Date(endDate || startDate);
+
+  drivers.forEach((driver, index) => {
+    if (location.minAge) {
+      const age = ageOn(driver.dateOfBirth, startDate);
+      if (age === null || age < location.minAge) {
+        violations.push({
+          rule: 'min_age',
+          code: 'DRIVER_UNDER_MIN_AGE',
+          message: `Additional driver ${driver.name} must be at least ${location.minAge} years old at this location`,
+          minAge: location.minAge,
+          age,
+          driver: index
+        });
+      }
+    }
+
+    if (!driver.licenseExpiresAt || new Date(driver.licenseExpiresAt) < validUntil) {
+      violations.push({
+        rule: 'driver_license',
+        code: 'DRIVER_LICENSE_EXPIRED',
+        message: `The license of additional driver ${driver.name} expires before the end of the rental`,
+        driver: index
+      });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Check a renter against the pickup location's rules.
+ * The driver's age is taken on the rental start date. `paymentMethod` is only
+ * checked when known (holds and bookings may be created before payment is chosen).
+ * Additional `drivers` are checked with driverViolations.
+ * @returns {{ violations: Array<{ rule, code, message }>, deposit: object|null }}
+ */
+function evaluatePolicy({ location, user, startDate, endDate = null, paymentMethod = null, drivers = [] }) {
+  const violations = [];
+  if (!location) return { violations, deposit: null };
+
+  if (location.requireVerifiedEmail && !user.emailVerifiedAt) {
+    violations.push({
+      rule: 'verified_email',
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address before booking at this location'
+    });
+  }
+
+  if (location.minAge) {
+    const age = ageOn(user.dateOfBirth, startDate);
+    if (age === null) {
+      violations.push({
+        rule: 'min_age',
+        code: 'DATE_OF_BIRTH_REQUIRED',
+        message: 'Add your date of birth to your profile to book at this location',
+        minAge: location.minAge
+      });
+    } else if (age < location.minAge) {
+      violations.push({
+        rule: 'min_age',
+        code: 'UNDER_MIN_AGE',
+        message: `Drivers must be at least ${location.minAge} years old at this location`,
+        minAge: location.minAge,
+        age
+      });
+    }
+  }
+
+  if (paymentMethod && DEBIT_METHODS.includes(paymentMethod) && !location.debitAllowed) {
+    violations.push({
+      rule: 'debit_allowed',
+      code: 'DEBIT_NOT_ALLOWED',
+      message: 'Debit cards are not accepted at this location',
+      paymentMethod
+    });
+  }
+
+  violations.push(...driverViolations({ location, drivers: drivers || [], startDate, endDate }));
+
+  return { violations, deposit: depositLine(location) };
+}
+
+/**
+ * Like evaluatePolicy, but throws a LocationPolicyError listing all violations
+ */
+function assertPolicy(params) {
+  const result = evaluatePolicy(params);
+  if (result.violations.length > 0) throw new LocationPolicyError(result.violations);
+  return result;
+}
+
+module.exports = {
+  LocationPolicyError,
+  ageOn,
+  depositLine,
+  evaluatePolicy,
+  assertPolicy
+};
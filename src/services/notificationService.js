@@ -13,7 +13,7 @@ class NotificationService {
     });
   }
 
-  async sendEmail(to, subject, html) {
+  async sendEmail(to, subject, html, attachments = []) {
     if (!process.env.SMTP_USER) {
       console.log('SMTP not configured, skipping email:', subject);
       return;
@@ -24,7 +24,8 @@ class NotificationService {
         from: process.env.SMTP_FROM || process.env.SMTP_USER,
         to,
         subject,
-        html
+        html,
+        ...(attachments.length > 0 && { attachments })
       });
       console.log('Email sent to', to);
     } catch (error) {
@@ -32,12 +33,46 @@ class NotificationService {
     }
   }
 
+  async sendPasswordResetEmail(userEmail, user, token) {
+    const subject = 'Reset Your Password - CarHive';
+    const html = `
+      <h1>Password reset requested</h1>
+      <p>Hi ${user.name},</p>
+      <p>Use the link below to choose a new password. The link expires in 1 hour and can only be used once.</p>
+      <p><a href="${process.env.FRONTEND_URL}/reset-password?token=${token}">Reset Password</a></p>
+      <p>If you did not request this, you can ignore this email.</p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
+  async sendPasswordChangedNotice(userEmail, user) {
+    const subject = 'Your Password Was Changed - CarHive';
+    const html = `
+      <h1>Password changed</h1>
+      <p>Hi ${user.name},</p>
+      <p>The password for your CarHive account was changed on ${new Date().toLocaleString()}. All other devices have been signed out.</p>
+      <p>If this wasn't you, reset your password immediately and contact support.</p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
+  async sendEmailVerification(userEmail, user, token) {
+    const subject = 'Verify Your Email - CarHive';
+    const html = `
+      <h1>Welcome to CarHive!</h1>
+      <p>Hi ${user.name},</p>
+      <p>Please confirm your email address: <a href="${process.env.FRONTEND_URL}/verify-email?token=${token}">Verify Email</a></p>
+      <p>Some locations require a verified email before you can book.</p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
   async sendBookingConfirmation(userEmail, booking) {
     const subject = 'Booking Confirmation - CarHive';
     const html = `
       <h1>Your booking is confirmed!</h1>
       <p>Booking ID: ${booking.id}</p>
-      <p>Vehicle: ${booking.vehicle?.make} ${booking.vehicle?.model}</p>
+      <p>Vehicle: ${booking.vehicle ? `${booking.vehicle.make} ${booking.vehicle.model}` : `${booking.vehicleCategory} (vehicle assigned before pickup)`}</p>
       <p>Dates: ${booking.startDate} to ${booking.endDate}</p>
       <p>Total: $${booking.totalPrice}</p>
       <p>Thank you for choosing CarHive!</p>
@@ -70,24 +105,165 @@ class NotificationService {
     await this.sendEmail(userEmail, subject, html);
   }
 
-  async sendReturnReceipt(userEmail, booking, adjustments) {
+  async sendReturnReceipt(userEmail, booking, adjustments, invoice = null, pdf = null) {
     const subject = 'Return Receipt - CarHive';
     const html = `
       <h1>Vehicle Return Processed</h1>
       <p>Booking ID: ${booking.id}</p>
       <p>Vehicle: ${booking.vehicle?.make} ${booking.vehicle?.model}</p>
       <p>Return Date: ${new Date().toLocaleDateString()}</p>
-      <p>Base Amount: $${(booking.totalPrice - adjustments.totalAdjustments).toFixed(2)}</p>
+      <p>Base Amount: $${adjustments.baseAmount.toFixed(2)}</p>
       ${adjustments.lateFee ? `<p>Late Fee: $${adjustments.lateFee.toFixed(2)}</p>` : ''}
       ${adjustments.extraMileageCost ? `<p>Extra Mileage: $${adjustments.extraMileageCost.toFixed(2)}</p>` : ''}
       ${adjustments.fuelCost ? `<p>Fuel Top-up: $${adjustments.fuelCost.toFixed(2)}</p>` : ''}
-      ${adjustments.damageCost ? `<p>Damage Cost: $${adjustments.damageCost.toFixed(2)}</p>` : ''}
+      ${adjustments.damageCharged ? `<p>Damage: $${adjustments.damageCharged.toFixed(2)}</p>` : ''}
       <p><strong>Total Amount: $${booking.totalPrice.toFixed(2)}</strong></p>
+      ${invoice ? `<p>Invoice ${invoice.number} for the return charges is attached.</p>` : ''}
       <p>Thank you for choosing CarHive!</p>
     `;
+    await this.sendEmail(userEmail, subject, html, invoice && pdf
+      ? [{ filename: `${invoice.number}.pdf`, content: pdf, contentType: 'application/pdf' }]
+      : []);
+  }
+
+  async sendInvoiceDocument(userEmail, document, pdf) {
+    const creditNote = document.type === 'credit_note';
+    const subject = `${creditNote ? 'Credit Note' : 'Invoice'} ${document.number} - CarHive`;
+    const html = `
+      <h1>${creditNote ? 'Credit Note' : 'Invoice'} ${document.number}</h1>
+      <p>Booking ID: ${document.bookingId}</p>
+      <p>${creditNote ? 'Amount Credited' : 'Amount'}: ${document.currency} ${document.total.toFixed(2)}</p>
+      <p>The ${creditNote ? 'credit note' : 'invoice'} is attached as a PDF.</p>
+    `;
+    await this.sendEmail(userEmail, subject, html, [
+      { filename: `${document.number}.pdf`, content: pdf, contentType: 'application/pdf' }
+    ]);
+  }
+
+  async sendPaymentReceipt(userEmail, booking, payment) {
+    const subject = 'Payment Receipt - CarHive';
+    const html = `
+      <h1>Payment Received</h1>
+      <p>Booking ID: ${booking.id}</p>
+      <p>Vehicle: ${booking.vehicle?.make} ${booking.vehicle?.model}</p>
+      <p>Amount Paid: $${payment.amount.toFixed(2)}</p>
+      <p>Payment Reference: ${payment.providerId || payment.id}</p>
+      <p>Thank you for choosing CarHive!</p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
+  async sendBalanceDueNotice(userEmail, booking, balance, { reminder = false, maxReminders = null } = {}) {
+    const subject = reminder
+      ? `Reminder: Payment Due for Booking ${booking.id} - CarHive`
+      : 'Payment Due for Your Rental - CarHive';
+    const remaining = maxReminders !== null ? Math.max(0, maxReminders - balance.reminderCount) : null;
+    const html = `
+      <h1>${reminder ? 'Your balance is still unpaid' : 'You have a balance to pay'}</h1>
+      <p>Booking ID: ${booking.id}</p>
+      <p>Vehicle: ${booking.vehicle?.make} ${booking.vehicle?.model}</p>
+      <p>The return charges were more than your security deposit covered.</p>
+      <p><strong>Amount Due: ${balance.currency} ${balance.amount.toFixed(2)}</strong></p>
+      <p><a href="${process.env.FRONTEND_URL}/bookings/${booking.id}/balance">Pay Now</a></p>
+      ${reminder && remaining === 0 ? '<p>This is the final reminder. If the balance stays unpaid your account will be blocked from new bookings.</p>' : ''}
+      <p>You cannot make new bookings until the balance is paid.</p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
+  async sendAccountBlockedNotice(userEmail, balance) {
+    const subject = 'Your Account Has Been Blocked - CarHive';
+    const html = `
+      <h1>Your account has been blocked</h1>
+      <p>Booking ID: ${balance.bookingId}</p>
+      <p>Amount Due: ${balance.currency} ${balance.amount.toFixed(2)}</p>
+      <p>We sent ${balance.reminderCount} reminders but the balance is still unpaid.</p>
+      <p>Your account will be unblocked as soon as it is paid: <a href="${process.env.FRONTEND_URL}/bookings/${balance.bookingId}/balance">Pay Now</a></p>
+      <p>If you believe this is a mistake, please contact our support team.</p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
+  async sendWaitlistOffer(userEmail, entry, booking) {
+    const subject = `A ${entry.vehicleCategory} Vehicle Is Available - CarHive`;
+    const html = `
+      <h1>Good news, a vehicle is available!</h1>
+      <p>A ${entry.vehicleCategory} vehicle you were waiting for has become available and we are holding it for you.</p>
+      <p>Booking ID: ${booking.id}</p>
+      <p>Pickup Date: ${new Date(booking.startDate).toLocaleDateString()}</p>
+      <p>Return Date: ${new Date(booking.endDate).toLocaleDateString()}</p>
+      <p>Total: $${booking.totalPrice}</p>
+      <p><strong>Confirm before ${new Date(booking.holdExpiresAt).toLocaleString()}</strong>, after that the vehicle is offered to the next customer on the waitlist.</p>
+      <p><a href="${process.env.FRONTEND_URL}/bookings/${booking.id}">Confirm Booking</a></p>
+    `;
     await this.sendEmail(userEmail, subject, html);
   }
 
+  async sendDocumentReviewed(userEmail, document) {
+    const label = { driver_license: 'driver license', identity: 'identity document', proof_of_address: 'proof of address' }[document.type] || document.type;
+    const approved = document.status === 'approved';
+    const subject = approved
+      ? 'Your Document Has Been Approved - CarHive'
+      : 'We Could Not Accept Your Document - CarHive';
+    const html = approved ? `
+      <h1>Your ${label} has been approved</h1>
+      <p>Once all required documents are approved you can pick up your vehicles without further checks.</p>
+    ` : `
+      <h1>Your ${label} was not accepted</h1>
+      <p>Reason: ${document.rejectionReason || 'not specified'}</p>
+      <p>Please upload a new document: <a href="${process.env.FRONTEND_URL}/account/documents">Upload Document</a></p>
+      <p>Vehicles cannot be picked up until your documents are approved.</p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
+  async sendApprovalRequest(managerEmail, booking, employee) {
+    const subject = `Booking Approval Needed for ${employee.name} - CarHive`;
+    const violations = ((booking.approval && booking.approval.violations) || []).map(v => `<li>${v.message}</li>`).join('');
+    const html = `
+      <h1>A booking needs your approval</h1>
+      <p>${employee.name} (${employee.email}) made a booking outside your company's travel policy:</p>
+      <ul>${violations}</ul>
+      <p>Booking ID: ${booking.id}</p>
+      <p>Dates: ${new Date(booking.startDate).toLocaleDateString()} to ${new Date(booking.endDate).toLocaleDateString()}</p>
+      <p>Total: $${booking.totalPrice}</p>
+      ${booking.holdExpiresAt ? `<p>The vehicle is held until ${new Date(booking.holdExpiresAt).toLocaleString()}.</p>` : ''}
+      <p><a href="${process.env.FRONTEND_URL}/organizations/${booking.organizationId}/approvals">Review Booking</a></p>
+    `;
+    await this.sendEmail(managerEmail, subject, html);
+  }
+
+  async sendApprovalDecision(userEmail, booking) {
+    const approved = booking.approvalStatus === 'approved';
+    const subject = approved ? 'Your Booking Was Approved - CarHive' : 'Your Booking Was Not Approved - CarHive';
+    const html = approved ? `
+      <h1>Your booking was approved</h1>
+      <p>Booking ID: ${booking.id}</p>
+      <p>Your travel manager approved the booking and it is now confirmed. It will be billed to your company.</p>
+    ` : `
+      <h1>Your booking was not approved</h1>
+      <p>Booking ID: ${booking.id}</p>
+      <p>Reason: ${(booking.approval && booking.approval.reason) || 'not specified'}</p>
+      <p>The booking has been cancelled. Please book a vehicle within your company's travel policy.</p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
+  async sendConsolidatedInvoice(billingEmail, invoice, pdf) {
+    const subject = `Invoice ${invoice.number} - CarHive`;
+    const html = `
+      <h1>Monthly Invoice ${invoice.number}</h1>
+      <p>Period: ${new Date(invoice.periodStart).toISOString().slice(0, 10)} to ${new Date(invoice.periodEnd.getTime() - 1).toISOString().slice(0, 10)}</p>
+      <p>Bookings: ${new Set(invoice.lines.map(line => line.bookingId)).size}</p>
+      <p>Amount Due: ${invoice.currency} ${invoice.total.toFixed(2)}</p>
+      <p>Due Date: ${new Date(invoice.dueAt).toLocaleDateString()}</p>
+      <p>The invoice with all rental invoices and credit notes of the period is attached as a PDF.</p>
+    `;
+    await this.sendEmail(billingEmail, subject, html, [
+      { filename: `${invoice.number}.pdf`, content: pdf, contentType: 'application/pdf' }
+    ]);
+  }
+
   async sendReviewRequest(userEmail, booking) {
     const subject = 'How was your rental experience? - CarHive';
     const html = `
@@ -129,8 +305,11 @@ class NotificationService {
     await this.sendEmail(adminEmail, subject, html);
   }
 
-  async sendDigitalAgreement(userEmail, booking, qrCode) {
+  async sendDigitalAgreement(userEmail, booking, qrCode, drivers = []) {
     const subject = 'Digital Rental Agreement & QR Code - CarHive';
+    const driverList = drivers.map(d => d.role === 'renter'
+      ? `<li>${d.name} (renter)</li>`
+      : `<li>${d.name}, license ${d.licenseNumber}${d.licenseCountry ? ` (${d.licenseCountry})` : ''}</li>`).join('');
     const html = `
       <h1>Your Digital Rental Agreement</h1>
       <p>Booking ID: ${booking.id}</p>
@@ -138,6 +317,7 @@ class NotificationService {
       <p>Pickup: ${booking.startDate} at ${booking.pickupLocation?.name}</p>
       <p>Drop-off: ${booking.endDate} at ${booking.dropoffLocation?.name}</p>
       <p>Total: $${booking.totalPrice}</p>
+      ${driverList ? `<p>Authorized drivers:</p><ul>${driverList}</ul><p>Only the drivers listed may drive the vehicle. Additional drivers must show their license at pickup.</p>` : ''}
       <p>QR Code for Pickup: ${qrCode}</p>
       <p>Please bring this QR code to the pickup location.</p>
       <p>Terms & Conditions: [Link to full agreement]</p>
@@ -159,6 +339,19 @@ class NotificationService {
     await this.sendEmail(adminEmail, subject, html);
   }
 
+  async sendHoldExpiredNotice(userEmail, booking) {
+    const subject = 'Your Reservation Hold Has Expired - CarHive';
+    const html = `
+      <h1>Your hold has expired</h1>
+      <p>Booking ID: ${booking.id}</p>
+      <p>Vehicle: ${booking.vehicle?.make} ${booking.vehicle?.model}</p>
+      <p>Dates: ${booking.startDate} to ${booking.endDate}</p>
+      <p>The vehicle was held for you but the booking was not confirmed in time, so the hold has been released.</p>
+      <p>You can search again and place a new hold: <a href="${process.env.FRONTEND_URL}/vehicles">Find a vehicle</a></p>
+    `;
+    await this.sendEmail(userEmail, subject, html);
+  }
+
   async sendCheckinReminder(userEmail, booking) {
     const subject = 'Online Check-in Reminder - CarHive';
     const html = `
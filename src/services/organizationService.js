@@ -0,0 +1,431 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const invoiceService = require('./invoiceService');
+const notificationService = require('./notificationService');
+const { hasPermission } = require('./permissionService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Corporate accounts
+ *
+ * An Organization's members book under its account by passing `organizationId`
+ * with a quote, hold or booking. Their price gets the organization's negotiated
+ * rate (Organization.rateMultiplier, per-category overrides in
+ * categoryMultipliers) applied to the daily rates, see pricingService.
+ *
+ * Travel policy: bookings outside Organization.allowedCategories or above
+ * maxDailyRate (average daily rate after the negotiated rate) made by an
+ * `employee` need a travel manager's approval before they can be confirmed;
+ * holds waiting for approval are kept for ORGANIZATION_APPROVAL_HOLD_HOURS.
+ * Approving confirms the booking, rejecting cancels it. Travel managers' own
+ * bookings are approved on creation.
+ *
+ * Corporate bookings are not charged by card. Their invoices and credit notes
+ * are billed once a month on a consolidated invoice to the organization's billing
+ * email (see invoiceService.issueConsolidatedInvoice), payable within
+ * paymentTermsDays; balances left after return are billed the same way.
+ */
+
+const ROLES = ['employee', 'travel_manager'];
+
+const approvalHoldMinutes = () => parseFloat(process.env.ORGANIZATION_APPROVAL_HOLD_HOURS || '24') * 60;
+
+class OrganizationError extends ServiceError {
+  constructor(message, statusCode = 409, { code = null } = {}) {
+    super(message, statusCode);
+    this.name = 'OrganizationError';
+    this.code = code;
+  }
+
+  details() {
+    return { code: this.code };
+  }
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+const isObjectId = (id) => /^[a-f0-9]{24}$/.test(String(id));
+
+/**
+ * Negotiated rate multiplier for a vehicle category (1 without an organization)
+ */
+function rateMultiplier(organization, category) {
+  if (!organization) return 1;
+  const overrides = organization.categoryMultipliers || {};
+  return overrides[category] != null ? overrides[category] : organization.rateMultiplier;
+}
+
+/**
+ * Travel policy violations of a priced request
+ * @param {object} organization - Organization record
+ * @param {object} request - { vehicleCategory, breakdown } with the pricingService breakdown
+ * @returns {Array<{ code, message }>}
+ */
+function policyViolations(organization, { vehicleCategory, breakdown }) {
+  const violations = [];
+
+  const allowed = organization.allowedCategories || [];
+  if (allowed.length > 0 && !allowed.includes(vehicleCategory)) {
+    violations.push({
+      code: 'CATEGORY_NOT_ALLOWED',
+      message: `${vehicleCategory} vehicles are outside the travel policy (allowed: ${allowed.join(', ')})`
+    });
+  }
+
+  if (organization.maxDailyRate != null) {
+    const dailyRate = round(breakdown.subtotal / (breakdown.days || 1));
+    if (dailyRate > organization.maxDailyRate) {
+      violations.push({
+        code: 'DAILY_RATE_ABOVE_LIMIT',
+        message: `Daily rate ${dailyRate} is above the travel policy limit of ${organization.maxDailyRate}`
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * A user's membership of an organization they book under
+ * Throws OrganizationError (403) unless they are a member of an active organization.
+ * @returns {Promise<{ organization, membership }>}
+ */
+async function membershipFor(user, organizationId) {
+  const membership = isObjectId(organizationId)
+    ? await prisma.organizationMember.findUnique({
+      where: { organizationId_userId: { organizationId, userId: user.id } },
+      include: { organization: true }
+    })
+    : null;
+  if (!membership) throw new OrganizationError('You are not a member of this organization', 403);
+  if (!membership.organization.isActive) throw new OrganizationError('This organization account is suspended', 403);
+
+  const { organization, ...member } = membership;
+  return { organization, membership: member };
+}
+
+/**
+ * Booking fields for a corporate booking with the given policy violations: none
+ * for bookings within the policy, otherwise a pending approval (or, for travel
+ * managers, an approval by themselves)
+ */
+function bookingData(organization, membership, violations) {
+  if (violations.length === 0) {
+    return { organizationId: organization.id, approvalStatus: null, approval: null };
+  }
+
+  const now = new Date();
+  if (membership.role === 'travel_manager') {
+    return {
+      organizationId: organization.id,
+      approvalStatus: 'approved',
+      approval: { violations, requestedAt: now, decidedBy: membership.userId, decidedAt: now, reason: null }
+    };
+  }
+  return {
+    organizationId: organization.id,
+    approvalStatus: 'pending',
+    approval: { violations, requestedAt: now }
+  };
+}
+
+/**
+ * Organization fields of a booking made under `organizationId` ({} without one):
+ * checks the user's membership and the priced request against the travel policy
+ * @param {object} request - { vehicleCategory, breakdown } with the pricingService breakdown
+ */
+async function corporateBookingData(user, organizationId, { vehicleCategory, breakdown }) {
+  if (!organizationId) return {};
+  const { organization, membership } = await membershipFor(user, organizationId);
+  return bookingData(organization, membership, policyViolations(organization, { vehicleCategory, breakdown }));
+}
+
+/**
+ * Email the organization's travel managers about a booking waiting for approval
+ */
+async function requestApproval(booking) {
+  await logEvent('booking', booking.id, 'approval_requested', {
+    organizationId: booking.organizationId,
+    violations: booking.approval.violations
+  });
+
+  try {
+    const [employee, managers] = await Promise.all([
+      prisma.user.findUnique({ where: { id: booking.userId }, select: { name: true, email: true } }),
+      prisma.organizationMember.findMany({ where: { organizationId: booking.organizationId, role: 'travel_manager' } })
+    ]);
+    const users = await prisma.user.findMany({ where: { id: { in: managers.map(m => m.userId) } }, select: { email: true } });
+    for (const manager of users) {
+      await notificationService.sendApprovalRequest(manager.email, booking, employee);
+    }
+  } catch (e) {
+    console.warn('Failed to send approval request', e);
+  }
+}
+
+/**
+ * Refuse to confirm a corporate booking until it is approved
+ * Throws OrganizationError (409, code APPROVAL_PENDING / APPROVAL_REJECTED)
+ */
+function assertApproved(booking) {
+  if (booking.approvalStatus === 'pending') {
+    throw new OrganizationError('This booking is outside the travel policy and waits for approval by a travel manager', 409, { code: 'APPROVAL_PENDING' });
+  }
+  if (booking.approvalStatus === 'rejected') {
+    throw new OrganizationError('This booking was not approved by a travel manager', 409, { code: 'APPROVAL_REJECTED' });
+  }
+}
+
+/**
+ * Refuse a change (new dates, locations, drivers...) that takes an employee's
+ * corporate booking outside the travel policy beyond what was already approved
+ * or is waiting for approval
+ * Throws OrganizationError (409, code OUTSIDE_TRAVEL_POLICY)
+ */
+async function assertPolicyForChange(booking, breakdown) {
+  const [organization, membership] = await Promise.all([
+    prisma.organization.findUnique({ where: { id: booking.organizationId } }),
+    prisma.organizationMember.findUnique({ where: { organizationId_userId: { organizationId: booking.organizationId, userId: booking.userId } } })
+  ]);
+  if (!organization || (membership && membership.role === 'travel_manager')) return;
+
+  const accepted = booking.approval ? booking.approval.violations.map(v => v.code) : [];
+  const vehicleCategory = booking.vehicle ? booking.vehicle.category : booking.vehicleCategory;
+  const violations = policyViolations(organization, { vehicleCategory, breakdown }).filter(v => !accepted.includes(v.code));
+  if (violations.length > 0) {
+    throw new OrganizationError(`This change is outside the travel policy: ${violations.map(v => v.message).join('; ')}`, 409, { code: 'OUTSIDE_TRAVEL_POLICY' });
+  }
+}
+
+/**
+ * Approve or reject a booking waiting for approval. Rejections need a reason,
+ * which is emailed to the employee. The caller confirms or cancels the booking.
+ * @returns {Promise<object>} the booking with its decision
+ */
+async function decideApproval(booking, { decision, reason = null, actorId }) {
+  if (!['approve', 'reject'].includes(decision)) throw new OrganizationError(`Unknown decision '${decision}'`, 400);
+  if (decision === 'reject' && !reason) throw new OrganizationError('A reason is required to reject a booking', 400);
+  if (booking.approvalStatus !== 'pending') throw new OrganizationError('Booking is not waiting for approval');
+  if (!['pending', 'pending_hold'].includes(booking.status)) throw new OrganizationError(`Booking is already ${booking.status}`);
+
+  const approvalStatus = decision === 'approve' ? 'approved' : 'rejected';
+  const result = await prisma.booking.updateMany({
+    where: { id: booking.id, approvalStatus: 'pending' },
+    data: {
+      approvalStatus,
+      approval: { ...booking.approval, decidedBy: actorId, decidedAt: new Date(), reason }
+    }
+  });
+  if (result.count === 0) throw new OrganizationError('Booking approval changed concurrently');
+
+  await logEvent('booking', booking.id, approvalStatus === 'approved' ? 'approval_granted' : 'approval_rejected', {
+    organizationId: booking.organizationId,
+    actorId,
+    reason
+  });
+
+  return prisma.booking.findUnique({ where: { id: booking.id } });
+}
+
+/**
+ * Tell the employee about the decision on their booking
+ */
+async function notifyDecision(booking) {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: booking.userId }, select: { email: true } });
+    await notificationService.sendApprovalDecision(user.email, booking);
+  } catch (e) {
+    console.warn('Failed to send approval decision', e);
+  }
+}
+
+/**
+ * Refuse access to an organization's members, approvals and invoices unless the
+ * user is one of its travel managers or staff with `permission`
+ * (organizations:manage by default; finance:read for invoices)
+ * @returns {Promise<object>} the organization
+ */
+async function assertManager(user, organizationId, { permission = 'organizations:manage' } = {}) {
+  const organization = isObjectId(organizationId)
+    ? await prisma.organization.findUnique({ where: { id: organizationId } })
+    : null;
+  if (!organization) throw new OrganizationError('Organization not found', 404);
+  if (hasPermission(user, permission)) return organization;
+
+  const membership = await prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId: user.id } }
+  });
+  if (!membership || membership.role !== 'travel_manager') {
+    throw new OrganizationError('Only travel managers of this organization can do this', 403);
+  }
+  return organization;
+}
+
+/**
+ * Add a registered user to an organization, or change their role
+ */
+async function addMember(organization, { email, role = 'employee' }, { actorId = null } = {}) {
+  if (!ROLES.includes(role)) throw new OrganizationError(`Unknown role '${role}'`, 400);
+
+  const user = await prisma.user.findUnique({ where: { email }, select: { id: true, name: true, email: true } });
+  if (!user) throw new OrganizationError('No user is registered with this email', 404);
+
+  const member = await prisma.organizationMember.upsert({
+    where: { organizationId_userId: { organizationId: organization.id, userId: user.id } },
+    update: { role },
+    create: { organizationId: organization.id, userId: user.id, role }
+  });
+  await logEvent('organization', organization.id, 'member_saved', { userId: user.id, role, actorId });
+
+  return { ...member, user };
+}
+
+/**
+ * Remove a member. Their existing bookings stay billed to the organization.
+ */
+async function removeMember(organization, userId, { actorId = null } = {}) {
+  const result = await prisma.organizationMember.deleteMany({ where: { organizationId: organization.id, userId } });
+  if (result.count === 0) throw new OrganizationError('User is not a member of this organization', 404);
+
+  await logEvent('organization', organization.id, 'member_removed', { userId, actorId });
+}
+
+/**
+ * Members with their user details
+ */
+async function listMembers(organizationId) {
+  const members = await prisma.organizationMember.findMany({ where: { organizationId }, orderBy: { createdAt: 'asc' } });
+  const users = await prisma.user.findMany({
+    where: { id: { in: members.map(m => m.userId) } },
+    select: { id: true, name: true, email: true }
+  });
+  return members.map(member => ({ ...member, user: users.find(u => u.id === member.userId) || null }));
+}
+
+/**
+ * Organizations a user belongs to, with their role
+ */
+async function listForUser(userId) {
+  const memberships = await prisma.organizationMember.findMany({
+    where: { userId },
+    include: { organization: true }
+  });
+  return memberships.map(({ organization, role }) => ({ ...organization, role }));
+}
+
+/**
+ * An organization's bookings by approval status, oldest request first
+ */
+async function listApprovals(organizationId, { status = 'pending', skip = 0, take = 50 } = {}) {
+  return prisma.booking.findMany({
+    where: { organizationId, approvalStatus: status || { not: null } },
+    orderBy: { createdAt: 'asc' },
+    skip,
+    take,
+    include: {
+      user: { select: { id: true, name: true, email: true } },
+      vehicle: { select: { id: true, make: true, model: true, category: true } },
+      pickupLocation: { select: { id: true, name: true, city: true } }
+    }
+  });
+}
+
+// The calendar month (UTC) before `now`: [periodStart, periodEnd)
+function previousMonth(now) {
+  return {
+    periodStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)),
+    periodEnd: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+  };
+}
+
+/**
+ * Issue an organization's consolidated invoice for the month before `now` and
+ * email it. Returns null when it was already issued or there is nothing to bill.
+ */
+async function invoiceOrganization(organization, { now = new Date(), actorId = null } = {}) {
+  const { periodStart, periodEnd } = previousMonth(now);
+
+  const existing = await prisma.consolidatedInvoice.findUnique({
+    where: { organizationId_periodStart: { organizationId: organization.id, periodStart } }
+  });
+  if (existing) return null;
+
+  const invoice = await invoiceService.issueConsolidatedInvoice(organization, { periodStart, periodEnd, actorId });
+  if (!invoice) return null;
+
+  try {
+    await notificationService.sendConsolidatedInvoice(organization.billingEmail, invoice, invoiceService.renderConsolidatedPdf(invoice));
+  } catch (e) {
+    console.warn(`Failed to send ${invoice.number}`, e);
+  }
+  return invoice;
+}
+
+/**
+ * Monthly invoicing job: bill last month's documents of every organization that
+ * has not been invoiced for it yet (suspended organizations are billed too)
+ * @returns {Promise<{ organizations, issued }>}
+ */
+async function issueMonthlyInvoices({ now = new Date() } = {}) {
+  const organizations = await prisma.organization.findMany();
+
+  let issued = 0;
+  for (const organization of organizations) {
+    try {
+      if (await invoiceOrganization(organization, { now })) issued += 1;
+    } catch (e) {
+      console.error(`Failed to invoice organization ${organization.id}:`, e);
+    }
+  }
+
+  return { organizations: organizations.length, issued };
+}
+
+async function listInvoices(organizationId, { status, skip = 0, take = 50 } = {}) {
+  const where = { organizationId };
+  if (status) where.status = status;
+  return prisma.consolidatedInvoice.findMany({ where, orderBy: { periodStart: 'desc' }, skip, take });
+}
+
+async function getInvoice(id) {
+  return isObjectId(id) ? prisma.consolidatedInvoice.findUnique({ where: { id } }) : null;
+}
+
+/**
+ * Record that the organization paid a consolidated invoice (Admin)
+ */
+async function markInvoicePaid(invoice, { reference = null, actorId = null } = {}) {
+  if (invoice.status === 'paid') throw new OrganizationError(`Invoice ${invoice.number} is already paid`);
+  return invoiceService.settleConsolidatedInvoice(invoice, { reference, actorId });
+}
+
+async function getOrganization(id) {
+  return isObjectId(id) ? prisma.organization.findUnique({ where: { id } }) : null;
+}
+
+module.exports = {
+  ROLES,
+  OrganizationError,
+  approvalHoldMinutes,
+  rateMultiplier,
+  policyViolations,
+  membershipFor,
+  corporateBookingData,
+  requestApproval,
+  assertApproved,
+  assertPolicyForChange,
+  decideApproval,
+  notifyDecision,
+  assertManager,
+  addMember,
+  removeMember,
+  listMembers,
+  listForUser,
+  listApprovals,
+  invoiceOrganization,
+  issueMonthlyInvoices,
+  listInvoices,
+  getInvoice,
+  markInvoicePaid,
+  getOrganization
+};
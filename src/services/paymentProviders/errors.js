@@ -0,0 +1,19 @@
+const { ServiceError } = require('../errors');
+
+/**
+ * Thrown by payment providers when a gateway declines or fails a request.
+ * `code` is a provider-neutral reason (card_declined, insufficient_funds, ...).
+ */
+class PaymentProviderError extends ServiceError {
+  constructor(message, { code = 'provider_error', statusCode = 402 } = {}) {
+    super(message, statusCode);
+    this.name = 'PaymentProviderError';
+    this.code = code;
+  }
+
+  details() {
+    return { code: this.code };
+  }
+}
+
+module.exports = { PaymentProviderError };
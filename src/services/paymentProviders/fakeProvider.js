@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { PaymentProviderError } = require('./errors');
+
+/**
+ * Offline payment provider
+ *
+ * A deterministic in-memory gateway so payment paths can run in development and
+ * tests without network access. References are derived from the request and a
+ * per-process sequence, and cards behave like the Stripe test cards:
+ *
+ *   4242424242424242 / tok_visa                               approved
+ *   4000000000000002 / tok_chargeDeclined                     card_declined
+ *   4000000000009995 / tok_chargeDeclinedInsufficientFunds    insufficient_funds
+ *   4000000000000069 / tok_chargeDeclinedExpiredCard          expired_card
+ *   4000000000000119 / tok_chargeDeclinedProcessingError      processing_error
+ *
+ * Requests without a `source` are approved. Webhooks are JSON bodies signed with
+ * an HMAC-SHA256 of the raw body (`x-fake-signature`, secret FAKE_WEBHOOK_SECRET,
+ * which has no default: without it every webhook is refused); use `signWebhook`
+ * to build them in tests.
+ */
+
+const DECLINES = {
+  '4000000000000002': 'card_declined',
+  tok_chargeDeclined: 'card_declined',
+  '4000000000009995': 'insufficient_funds',
+  tok_chargeDeclinedInsufficientFunds: 'insufficient_funds',
+  '4000000000000069': 'expired_card',
+  tok_chargeDeclinedExpiredCard: 'expired_card',
+  '4000000000000119': 'processing_error',
+  tok_chargeDeclinedProcessingError: 'processing_error'
+};
+
+const DECLINE_MESSAGES = {
+  card_declined: 'Your card was declined',
+  insufficient_funds: 'Your card has insufficient funds',
+  expired_card: 'Your card has expired',
+  processing_error: 'An error occurred while processing your card'
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// authorizationId -> { amount, captured, refunded, voided, currency }
+const authorizations = new Map();
+let sequence = 0;
+
+function reference(prefix, ...parts) {
+  sequence += 1;
+  const hash = crypto.createHash('sha256').update([...parts, sequence].join('|')).digest('hex');
+  return `${prefix}_fake_${hash.slice(0, 16)}`;
+}
+
+function webhookSecret() {
+  if (!process.env.FAKE_WEBHOOK_SECRET) {
+    throw new PaymentProviderError('Fake webhook secret not configured on server', { code: 'not_configured', statusCode: 501 });
+  }
+  return process.env.FAKE_WEBHOOK_SECRET;
+}
+
+// References issued before a restart are unknown; they get no amount limits
+function lookup(authorizationId) {
+  if (!authorizations.has(authorizationId)) {
+    authorizations.set(authorizationId, { amount: Infinity, captured: 0, refunded: 0, voided: false, currency: 'USD' });
+  }
+  return authorizations.get(authorizationId);
+}
+
+const fakeProvider = {
+  name: 'fake',
+
+  async authorize({ amount, currency = 'USD', source = null, reference: ref = '' }) {
+    const declined = source && DECLINES[String(source).replace(/\s/g, '')];
+    if (declined) {
+      throw new PaymentProviderError(DECLINE_MESSAGES[declined], { code: declined });
+    }
+
+    const id = reference('auth', ref, amount, currency);
+    authorizations.set(id, { amount: round(amount), captured: 0, refunded: 0, voided: false, currency });
+    return { id, status: 'authorized', amount, currency };
+  },
+
+  async capture(authorizationId, { amount }) {
+    const auth = lookup(authorizationId);
+    if (auth.voided) {
+      throw new PaymentProviderError('Authorization was voided', { code: 'authorization_voided', statusCode: 409 });
+    }
+    if (round(auth.captured + amount) > auth.amount) {
+      throw new PaymentProviderError('Capture exceeds the authorized amount', { code: 'amount_too_large', statusCode: 400 });
+    }
+    auth.captured = round(auth.captured + amount);
+    return { id: reference('cap', authorizationId, amount), authorizationId, status: 'captured', amount, remainderReleased: false };
+  },
+
+  async refund(authorizationId, { amount }) {
+    if (!authorizations.has(authorizationId)) lookup(authorizationId).captured = Infinity;
+    const auth = authorizations.get(authorizationId);
+    if (round(auth.refunded + amount) > auth.captured) {
+      throw new PaymentProviderError('Refund exceeds the captured amount', { code: 'amount_too_large', statusCode: 400 });
+    }
+    auth.refunded = round(auth.refunded + amount);
+    return { id: reference('re', authorizationId, amount), authorizationId, status: 'refunded', amount };
+  },
+
+  async void(authorizationId) {
+    const auth = lookup(authorizationId);
+    auth.voided = true;
+    return { id: authorizationId, status: 'voided' };
+  },
+
+  async createCheckout({ amount, currency = 'USD', bookingId, successUrl }) {
+    const id = reference('cs', bookingId, amount, currency);
+    return { id, url: successUrl.replace('{CHECKOUT_SESSION_ID}', id) };
+  },
+
+  /**
+   * Verify and normalize a webhook.
+   * Body: { id, type, data: { bookingId, paymentId, amount } }, where `type` is already
+   * provider-neutral and `amount` for refund.succeeded is the total refunded so far.
+   */
+  parseWebhook(rawBody, headers = {}) {
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    const expected = crypto.createHmac('sha256', webhookSecret()).update(body).digest('hex');
+    const given = String(headers['x-fake-signature'] || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+      throw new PaymentProviderError('Invalid webhook signature', { code: 'invalid_signature', statusCode: 400 });
+    }
+
+    const event = JSON.parse(body);
+    return { id: event.id, type: event.type, ...event.data, raw: event };
+  },
+
+  /**
+   * Signed webhook for tests: returns { body, headers }
+   */
+  signWebhook(event) {
+    const body = JSON.stringify(event);
+    const signature = crypto.createHmac('sha256', webhookSecret()).update(body).digest('hex');
+    return { body, headers: { 'x-fake-signature': signature } };
+  }
+};
+
+module.exports = fakeProvider;
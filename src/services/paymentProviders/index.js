@@ -0,0 +1,65 @@
+/**
+ * Payment provider registry
+ *
+ * Services talk to a provider through this interface only, never to a gateway SDK:
+ *  - authorize({ amount, currency, paymentMethod, source, reference, metadata }) -> { id, status, amount, currency }
+ *  - capture(authorizationId, { amount, currency }) -> { id, authorizationId, status, amount, remainderReleased }
+ *  - refund(authorizationId, { amount, currency }) -> { id, authorizationId, status, amount }
+ *  - void(authorizationId) -> { id, status }
+ *  - createCheckout({ amount, currency, bookingId, successUrl, cancelUrl }) -> { id, url }
+ *  - parseWebhook(rawBody, headers) -> { id, type, bookingId, paymentId, amount, raw }
+ * `remainderReleased` is true when the provider gives back the uncaptured rest of the
+ * authorization on capture (Stripe), so it cannot be captured again.
+ * Amounts are in major units (e.g. 12.5 USD). `source` is the provider's card or
+ * payment method token. Declines and gateway failures are thrown as PaymentProviderError.
+ * Normalized webhook types: checkout.completed, payment.authorized, payment.captured,
+ * payment.failed, payment.voided, refund.succeeded.
+ *
+ * PAYMENT_PROVIDER selects the provider: `stripe` (default; answers 501 until
+ * STRIPE_SECRET_KEY is set) or `fake` (offline, approves cards without a source;
+ * for development and tests only, refused when NODE_ENV=production).
+ */
+
+const { PaymentProviderError } = require('./errors');
+
+const providers = {
+  fake: require('./fakeProvider'),
+  stripe: require('./stripeProvider')
+};
+
+function defaultProviderName() {
+  return process.env.PAYMENT_PROVIDER || 'stripe';
+}
+
+/**
+ * Get a provider by name, or the configured one
+ */
+function getProvider(name = defaultProviderName()) {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider '${name}'`);
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new PaymentProviderError('The fake payment provider cannot be used in production', { code: 'not_configured', statusCode: 501 });
+  }
+  return provider;
+}
+
+/**
+ * Authorize and immediately capture a payment; the authorization is voided if the capture fails.
+ * @returns {Promise<{ provider, authorizationId, captureId, amount }>}
+ */
+async function charge({ amount, currency = 'USD', paymentMethod, source = null, reference = null, metadata = {} }, provider = getProvider()) {
+  const authorization = await provider.authorize({ amount, currency, paymentMethod, source, reference, metadata });
+  try {
+    const capture = await provider.capture(authorization.id, { amount, currency });
+    return { provider: provider.name, authorizationId: authorization.id, captureId: capture.id, amount: capture.amount };
+  } catch (error) {
+    await provider.void(authorization.id).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  PaymentProviderError,
+  getProvider,
+  charge
+};
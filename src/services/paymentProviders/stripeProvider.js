@@ -0,0 +1,143 @@
+const { PaymentProviderError } = require('./errors');
+
+/**
+ * Stripe adapter
+ *
+ * Authorizations are PaymentIntents created with `capture_method: manual` and
+ * confirmed straight away with the given payment method (`source`, e.g. pm_...).
+ * Capturing part of an intent releases the rest, so voiding an already captured
+ * intent is a no-op. Requires STRIPE_SECRET_KEY; webhooks use STRIPE_WEBHOOK_SECRET.
+ */
+
+let client = null;
+function stripe() {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new PaymentProviderError('Stripe not configured on server', { code: 'not_configured', statusCode: 501 });
+  }
+  if (!client) {
+    const Stripe = require('stripe');
+    client = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2022-11-15' });
+  }
+  return client;
+}
+
+const toMinor = (amount) => Math.round((amount || 0) * 100);
+const toMajor = (amount) => Math.round(amount) / 100;
+
+// Card errors are declines (402); anything else means Stripe could not be reached or rejected the call
+function translate(error) {
+  if (error instanceof PaymentProviderError) return error;
+  if (error.type === 'StripeCardError') {
+    return new PaymentProviderError(error.message, { code: error.decline_code || error.code || 'card_declined' });
+  }
+  return new PaymentProviderError(error.message, { code: error.code || 'provider_unavailable', statusCode: 502 });
+}
+
+async function call(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw translate(error);
+  }
+}
+
+// Stripe event type -> provider-neutral type
+const EVENT_TYPES = {
+  'checkout.session.completed': 'checkout.completed',
+  'payment_intent.amount_capturable_updated': 'payment.authorized',
+  'payment_intent.succeeded': 'payment.captured',
+  'payment_intent.payment_failed': 'payment.failed',
+  'payment_intent.canceled': 'payment.voided',
+  'charge.refunded': 'refund.succeeded',
+  'charge.dispute.created': 'dispute.created'
+};
+
+const stripeProvider = {
+  name: 'stripe',
+
+  async authorize({ amount, currency = 'USD', source = null, reference = null, metadata = {} }) {
+    const intent = await call(() => stripe().paymentIntents.create({
+      amount: toMinor(amount),
+      currency: currency.toLowerCase(),
+      capture_method: 'manual',
+      ...(source && { payment_method: source, confirm: true }),
+      description: reference || undefined,
+      metadata
+    }));
+    if (source && intent.status !== 'requires_capture') {
+      throw new PaymentProviderError('Payment could not be authorized', { code: intent.status });
+    }
+    return { id: intent.id, status: 'authorized', amount, currency };
+  },
+
+  async capture(authorizationId, { amount }) {
+    const intent = await call(() => stripe().paymentIntents.capture(authorizationId, { amount_to_capture: toMinor(amount) }));
+    return { id: intent.latest_charge || intent.id, authorizationId, status: 'captured', amount: toMajor(intent.amount_received), remainderReleased: true };
+  },
+
+  async refund(authorizationId, { amount }) {
+    const refund = await call(() => stripe().refunds.create({ payment_intent: authorizationId, amount: toMinor(amount) }));
+    if (refund.status === 'failed' || refund.status === 'canceled') {
+      throw new PaymentProviderError('Refund failed', { code: refund.failure_reason || refund.status });
+    }
+    return { id: refund.id, authorizationId, status: 'refunded', amount: toMajor(refund.amount) };
+  },
+
+  async void(authorizationId) {
+    const intent = await call(() => stripe().paymentIntents.retrieve(authorizationId));
+    if (intent.status === 'succeeded' || intent.status === 'canceled') {
+      return { id: intent.id, status: 'voided' };
+    }
+    await call(() => stripe().paymentIntents.cancel(authorizationId));
+    return { id: intent.id, status: 'voided' };
+  },
+
+  async createCheckout({ amount, currency = 'USD', bookingId, successUrl, cancelUrl }) {
+    const session = await call(() => stripe().checkout.sessions.create({
+      payment_method_types: ['card'],
+      mode: 'payment',
+      line_items: [
+        {
+          price_data: {
+            currency: currency.toLowerCase(),
+            product_data: { name: `Booking ${bookingId}` },
+            unit_amount: toMinor(amount)
+          },
+          quantity: 1
+        }
+      ],
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      metadata: { bookingId },
+      // Payment intent and charge events only carry the intent's own metadata
+      payment_intent_data: { metadata: { bookingId } }
+    }));
+    return { id: session.id, url: session.url };
+  },
+
+  /**
+   * Verify the Stripe signature and normalize the event:
+   * { id, type, bookingId, paymentId, amount, raw }
+   */
+  parseWebhook(rawBody, headers = {}) {
+    let event;
+    try {
+      event = stripe().webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      throw new PaymentProviderError(error.message, { code: 'invalid_signature', statusCode: 400 });
+    }
+
+    const object = event.data.object;
+    const metadata = object.metadata || {};
+    return {
+      id: event.id,
+      type: EVENT_TYPES[event.type] || event.type,
+      bookingId: metadata.bookingId || null,
+      paymentId: object.payment_intent || (object.object === 'payment_intent' ? object.id : null),
+      amount: toMajor(object.amount_total || object.amount_received || object.amount_refunded || object.amount || 0),
+      raw: event
+    };
+  }
+};
+
+module.exports = stripeProvider;
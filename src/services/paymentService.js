@@ -0,0 +1,260 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const { getProvider, PaymentProviderError } = require('./paymentProviders');
+const ledgerService = require('./ledgerService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Payment transactions and refunds
+ *
+ * A Payment is the booking's captured amount. Every money movement on it is a
+ * PaymentTransaction: the charge, and each refund (partial refunds are separate
+ * rows). Refunds go through the provider the payment was taken with; a declined
+ * or failed refund stays `failed` and can be retried by an admin.
+ *
+ * Payment.status becomes `partially_refunded` / `refunded` as refunds succeed,
+ * and Booking.paymentStatus follows (`refund_failed` while a refund is outstanding).
+ */
+
+const REFUNDABLE_STATUSES = ['captured', 'completed', 'partially_refunded'];
+
+class PaymentError extends ServiceError {
+  constructor(message, statusCode = 409) {
+    super(message, statusCode);
+    this.name = 'PaymentError';
+  }
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Amount of a payment that can still be refunded
+ */
+function refundable(payment) {
+  return round(payment.amount - (payment.refundedAmount || 0));
+}
+
+// Refundable amount not already claimed by pending or failed refunds
+async function unclaimed(payment) {
+  const claimed = await prisma.paymentTransaction.aggregate({
+    where: { paymentId: payment.id, type: 'refund', status: { in: ['pending', 'failed'] } },
+    _sum: { amount: true }
+  });
+  return round(refundable(payment) - (claimed._sum.amount || 0));
+}
+
+/**
+ * Record the charge that created a payment
+ */
+async function recordCharge(payment, { actorId = null, providerRef = null } = {}) {
+  const transaction = await prisma.paymentTransaction.create({
+    data: {
+      paymentId: payment.id,
+      bookingId: payment.bookingId,
+      type: 'charge',
+      amount: payment.amount,
+      status: 'succeeded',
+      provider: payment.provider,
+      providerRef: providerRef || payment.providerId,
+      attempts: 1,
+      actorId
+    }
+  });
+  await postToLedger(transaction);
+  return transaction;
+}
+
+// Succeeded charges and refunds are mirrored in the booking ledger
+function postToLedger(transaction) {
+  return ledgerService.post({
+    bookingId: transaction.bookingId,
+    type: transaction.type === 'refund' ? 'refund' : 'payment',
+    amount: transaction.amount,
+    sourceType: 'payment_transaction',
+    sourceId: transaction.id,
+    description: transaction.reason || transaction.type,
+    actorId: transaction.actorId
+  });
+}
+
+// Call the provider for a pending/failed refund transaction and apply the result
+async function executeRefund(payment, transaction) {
+  const provider = getProvider(payment.provider || undefined);
+  let refund;
+  try {
+    refund = await provider.refund(payment.providerId, { amount: transaction.amount });
+  } catch (error) {
+    if (!(error instanceof PaymentProviderError)) throw error;
+    const failed = await prisma.paymentTransaction.update({
+      where: { id: transaction.id },
+      data: { status: 'failed', error: `${error.code}: ${error.message}`, attempts: { increment: 1 } }
+    });
+    await prisma.booking.update({ where: { id: payment.bookingId }, data: { paymentStatus: 'refund_failed' } });
+    await logEvent('booking', payment.bookingId, 'refund_failed', { transactionId: transaction.id, amount: transaction.amount, code: error.code });
+    return failed;
+  }
+
+  const succeeded = await prisma.paymentTransaction.update({
+    where: { id: transaction.id },
+    data: { status: 'succeeded', providerRef: refund.id, error: null, attempts: { increment: 1 } }
+  });
+
+  await applyRefund(payment, transaction.amount);
+  await postToLedger(succeeded);
+  await logEvent('booking', payment.bookingId, 'refunded', { transactionId: transaction.id, amount: transaction.amount, providerRef: refund.id });
+
+  return succeeded;
+}
+
+// Add a succeeded refund to the payment's totals and update payment and booking status
+async function applyRefund(payment, amount) {
+  const updated = await prisma.payment.update({
+    where: { id: payment.id },
+    data: { refundedAmount: { increment: amount } }
+  });
+  const status = round(updated.refundedAmount) >= payment.amount ? 'refunded' : 'partially_refunded';
+  await prisma.payment.update({ where: { id: payment.id }, data: { status } });
+
+  // Other refunds on this payment may still be failed
+  const stillFailed = await prisma.paymentTransaction.count({
+    where: { paymentId: payment.id, type: 'refund', status: 'failed' }
+  });
+  await prisma.booking.update({
+    where: { id: payment.bookingId },
+    data: { paymentStatus: stillFailed > 0 ? 'refund_failed' : status }
+  });
+}
+
+/**
+ * Refund part or all of a payment. The refund is recorded first and then sent to
+ * the provider; the returned transaction is `succeeded` or `failed`.
+ */
+async function refundPayment(payment, amount, { reason = null, actorId = null } = {}) {
+  amount = round(amount);
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new PaymentError(`Payment is ${payment.status} and cannot be refunded`);
+  }
+
+  // Failed refunds still claim their amount until they are retried
+  const available = await unclaimed(payment);
+  if (amount <= 0 || amount > available) {
+    throw new PaymentError(`Refund amount must be between 0 and ${available}`, 400);
+  }
+
+  const transaction = await prisma.paymentTransaction.create({
+    data: {
+      paymentId: payment.id,
+      bookingId: payment.bookingId,
+      type: 'refund',
+      amount,
+      status: 'pending',
+      provider: payment.provider,
+      reason,
+      actorId
+    }
+  });
+
+  return executeRefund(payment, transaction);
+}
+
+/**
+ * Retry a failed refund
+ */
+async function retryRefund(transactionId, { actorId = null } = {}) {
+  const transaction = /^[a-f0-9]{24}$/.test(transactionId)
+    ? await prisma.paymentTransaction.findUnique({ where: { id: transactionId }, include: { payment: true } })
+    : null;
+  if (!transaction || transaction.type !== 'refund') throw new PaymentError('Refund not found', 404);
+  if (transaction.status !== 'failed') throw new PaymentError(`Refund is ${transaction.status}, only failed refunds can be retried`);
+
+  // Claim the refund so two retries cannot both reach the provider
+  const claimed = await prisma.paymentTransaction.updateMany({
+    where: { id: transaction.id, status: 'failed' },
+    data: { status: 'pending' }
+  });
+  if (claimed.count === 0) throw new PaymentError('Refund changed concurrently, please retry');
+
+  const { payment, ...refund } = transaction;
+  await logEvent('booking', payment.bookingId, 'refund_retried', { transactionId, actorId, attempts: refund.attempts });
+  try {
+    return await executeRefund(payment, { ...refund, status: 'pending' });
+  } catch (error) {
+    // Leave the refund retryable when something other than the provider failed
+    await prisma.paymentTransaction.updateMany({ where: { id: transaction.id, status: 'pending' }, data: { status: 'failed' } }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Refund a cancelled booking's payment, capped at what is still refundable
+ * (pass Infinity for a full refund). Returns null when nothing was paid or
+ * there is nothing left to refund.
+ */
+async function refundForCancellation(bookingId, refundAmount, { actorId = null, reason = 'booking_cancelled' } = {}) {
+  const payment = await prisma.payment.findUnique({ where: { bookingId } });
+  if (!payment || !REFUNDABLE_STATUSES.includes(payment.status)) return null;
+
+  const amount = round(Math.min(refundAmount, await unclaimed(payment)));
+  if (amount <= 0) return null;
+
+  return refundPayment(payment, amount, { reason, actorId });
+}
+
+/**
+ * Record a refund made at the provider outside this API (e.g. from the provider's
+ * dashboard), reported by webhook as the payment's total refunded amount. Refunds
+ * still in flight here are not counted twice. Returns the new transaction, or
+ * null when the refund is already recorded.
+ */
+async function recordProviderRefund(payment, refundedTotal, { providerRef = null, reason = 'provider_refund' } = {}) {
+  const inFlight = await prisma.paymentTransaction.aggregate({
+    where: { paymentId: payment.id, type: 'refund', status: 'pending' },
+    _sum: { amount: true }
+  });
+  const amount = round(Math.min(refundedTotal, payment.amount) - (payment.refundedAmount || 0) - (inFlight._sum.amount || 0));
+  if (amount <= 0) return null;
+
+  const transaction = await prisma.paymentTransaction.create({
+    data: {
+      paymentId: payment.id,
+      bookingId: payment.bookingId,
+      type: 'refund',
+      amount,
+      status: 'succeeded',
+      provider: payment.provider,
+      providerRef,
+      reason,
+      attempts: 1
+    }
+  });
+
+  await applyRefund(payment, amount);
+  await postToLedger(transaction);
+  await logEvent('booking', payment.bookingId, 'refunded', { transactionId: transaction.id, amount, providerRef, source: 'provider' });
+
+  return transaction;
+}
+
+/**
+ * Failed refunds, oldest first
+ */
+async function listFailedRefunds({ skip = 0, take = 50 } = {}) {
+  return prisma.paymentTransaction.findMany({
+    where: { type: 'refund', status: 'failed' },
+    orderBy: { createdAt: 'asc' },
+    skip,
+    take
+  });
+}
+
+module.exports = {
+  PaymentError,
+  refundable,
+  recordCharge,
+  refundPayment,
+  retryRefund,
+  refundForCancellation,
+  recordProviderRefund,
+  listFailedRefunds
+};
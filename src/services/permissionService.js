@@ -0,0 +1,136 @@
+/**
+ * Staff roles and location-scoped permissions
+ *
+ * Every role other than `customer` is a staff role. A role grants a fixed set of
+ * permissions (ROLE_PERMISSIONS); `admin` grants all of them. Routes check a
+ * permission with requirePermission (middlewares/auth), handlers check it again
+ * against the record they act on.
+ *
+ * Staff other than admins are scoped to the locations in User.locationIds: they
+ * only see and act on bookings picked up or dropped off at those locations,
+ * vehicles based there and the maintenance tasks of those vehicles. Staff without
+ * locations see none. Customers keep access to their own bookings whatever their
+ * permissions. Reports, finance views and the document queue are not scoped.
+ *
+ *   permission          granted to
+ *   bookings:read       counter_agent, fleet_manager, finance, support
+ *   bookings:manage     counter_agent
+ *   deposits:manage     counter_agent, finance
+ *   documents:review    counter_agent, support
+ *   waitlist:read       counter_agent, support
+ *   vehicles:manage     fleet_manager
+ *   vehicles:status     fleet_manager, mechanic
+ *   maintenance:read    fleet_manager, mechanic
+ *   maintenance:manage  fleet_manager, mechanic
+ *   finance:read        finance
+ *   finance:manage      finance
+ *   reports:read        finance
+ *   users:read          support
+ *   reviews:manage      support
+ *   catalog:manage, users:manage, organizations:manage, jobs:manage   admin only
+ */
+
+const ROLES = ['customer', 'admin', 'counter_agent', 'fleet_manager', 'mechanic', 'finance', 'support'];
+
+const STAFF_ROLES = ROLES.filter(r => r !== 'customer');
+
+const ROLE_PERMISSIONS = {
+  customer: [],
+  admin: ['*'],
+  counter_agent: ['bookings:read', 'bookings:manage', 'deposits:manage', 'documents:review', 'waitlist:read'],
+  fleet_manager: ['bookings:read', 'vehicles:manage', 'vehicles:status', 'maintenance:read', 'maintenance:manage'],
+  mechanic: ['vehicles:status', 'maintenance:read', 'maintenance:manage'],
+  finance: ['bookings:read', 'deposits:manage', 'finance:read', 'finance:manage', 'reports:read'],
+  support: ['bookings:read', 'documents:review', 'waitlist:read', 'users:read', 'reviews:manage']
+};
+
+const isStaff = (user) => Boolean(user) && STAFF_ROLES.includes(user.role);
+
+/**
+ * Permissions of a user's role, `['*']` for admins
+ */
+const permissionsFor = (user) => (user && ROLE_PERMISSIONS[user.role]) || [];
+
+const hasPermission = (user, permission) => {
+  const granted = permissionsFor(user);
+  return granted.includes('*') || granted.includes(permission);
+};
+
+/**
+ * Locations a user may act on: null when unrestricted (admins), otherwise the
+ * user's locationIds (empty for customers and unassigned staff)
+ */
+const locationScope = (user) => {
+  if (!user) return [];
+  if (user.role === 'admin') return null;
+  return user.role === 'customer' ? [] : (user.locationIds || []);
+};
+
+/**
+ * True when at least one of `locationIds` is in the user's scope
+ */
+const inScope = (user, ...locationIds) => {
+  const scope = locationScope(user);
+  if (scope === null) return true;
+  return locationIds.some(id => id && scope.includes(id));
+};
+
+/**
+ * Permission check against a record's locations; without locations only the role is checked
+ */
+const can = (user, permission, ...locationIds) => hasPermission(user, permission)
+  && (locationIds.length === 0 || inScope(user, ...locationIds));
+
+const bookingLocations = (booking) => [booking.locationPickupId, booking.locationDropoffId];
+
+/**
+ * Owners may always access their booking, staff need `permission` at its pickup or dropoff location
+ */
+const canAccessBooking = (user, booking, permission = 'bookings:read') => booking.userId === user.id
+  || can(user, permission, ...bookingLocations(booking));
+
+const canAccessVehicle = (user, vehicle, permission) => can(user, permission, vehicle.locationId);
+
+const restrict = (where, scope) => (scope ? { AND: [where, scope] } : where);
+
+/**
+ * Narrow a booking `where` to the user's locations
+ */
+const scopeBookings = (user, where = {}) => {
+  const scope = locationScope(user);
+  return restrict(where, scope && { OR: [{ locationPickupId: { in: scope } }, { locationDropoffId: { in: scope } }] });
+};
+
+/**
+ * Narrow a vehicle `where` to the user's locations
+ */
+const scopeVehicles = (user, where = {}) => {
+  const scope = locationScope(user);
+  return restrict(where, scope && { locationId: { in: scope } });
+};
+
+/**
+ * Narrow a maintenance task `where` to vehicles at the user's locations
+ */
+const scopeMaintenance = (user, where = {}) => {
+  const scope = locationScope(user);
+  return restrict(where, scope && { vehicle: { locationId: { in: scope } } });
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  isStaff,
+  permissionsFor,
+  hasPermission,
+  locationScope,
+  inScope,
+  can,
+  bookingLocations,
+  canAccessBooking,
+  canAccessVehicle,
+  scopeBookings,
+  scopeVehicles,
+  scopeMaintenance
+};
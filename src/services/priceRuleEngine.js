@@ -0,0 +1,148 @@
+/**
+ * Price rule engine (pure, no DB access)
+ *
+ * Evaluates PriceRule records day by day for a rental:
+ *  - scope: a rule only applies if its vehicleCategory / locationId / vehicleId (when set) match
+ *  - day match: the day must fall inside the rule's startDate..endDate window (when set);
+ *    weekday rules also need the day's UTC weekday in `weekdays`;
+ *    length_of_rental rules need the rental length within minDays..maxDays
+ *  - order: higher `priority` first, ties broken by creation date (older first)
+ *  - stacking: non-exclusive rules stack (rate * multiplier + flatAmount, in order).
+ *    An exclusive rule applies only if no other rule has applied that day yet,
+ *    and once applied no further rules are evaluated for that day.
+ */
+
+const RULE_TYPES = ['seasonal', 'weekday', 'length_of_rental'];
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+// Calendar day (UTC) used for window comparisons, so a window ending on the 31st includes all of the 31st
+const dayKey = (d) => new Date(d).toISOString().slice(0, 10);
+
+function sortRules(rules) {
+  return [...rules].sort((a, b) => {
+    const byPriority = (b.priority || 0) - (a.priority || 0);
+    if (byPriority !== 0) return byPriority;
+    return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+  });
+}
+
+/**
+ * Returns null when the rule is in scope, otherwise the reason it is not
+ */
+function scopeMismatch(rule, { vehicle = {}, location = {} }) {
+  if (rule.isActive === false) return 'inactive';
+  if (!RULE_TYPES.includes(rule.type)) return 'unsupported_type';
+  if (rule.vehicleCategory && rule.vehicleCategory !== vehicle.category) return 'category_mismatch';
+  if (rule.vehicleId && rule.vehicleId !== vehicle.id) return 'vehicle_mismatch';
+  if (rule.locationId && (!location || rule.locationId !== location.id)) return 'location_mismatch';
+  return null;
+}
+
+function appliesOnDay(rule, day, totalDays) {
+  const key = dayKey(day);
+  if (rule.startDate && key < dayKey(rule.startDate)) return false;
+  if (rule.endDate && key > dayKey(rule.endDate)) return false;
+
+  switch (rule.type) {
+    case 'seasonal':
+      return !!(rule.startDate || rule.endDate);
+    case 'weekday':
+      return Array.isArray(rule.weekdays) && rule.weekdays.includes(day.getUTCDay());
+    case 'length_of_rental':
+      if (rule.minDays && totalDays < rule.minDays) return false;
+      if (rule.maxDays && totalDays > rule.maxDays) return false;
+      return !!(rule.minDays || rule.maxDays);
+    default:
+      return false;
+  }
+}
+
+function applyRule(rate, rule) {
+  let next = rate;
+  if (typeof rule.multiplier === 'number') next = next * rule.multiplier;
+  if (typeof rule.flatAmount === 'number') next = next + rule.flatAmount;
+  return next;
+}
+
+/**
+ * Evaluate rules for a rental.
+ *
+ * @param {object} params
+ * @param {number} params.baseDaily - base daily rate before rules
+ * @param {Date} params.start - rental start
+ * @param {number} params.days - rental length in days
+ * @param {Array} params.rules - PriceRule records
+ * @param {object} params.vehicle - { id, category }
+ * @param {object} params.location - pickup location { id }
+ * @returns {{ dailyRates: number[], appliedRules: Array, trace: Array, skippedRules: Array }}
+ */
+function evaluateRules({ baseDaily, start, days, rules = [], vehicle = {}, location = {} }) {
+  const startDate = new Date(start);
+  const inScope = [];
+  const skippedRules = [];
+
+  sortRules(rules).forEach(rule => {
+    const reason = scopeMismatch(rule, { vehicle, location });
+    if (reason) skippedRules.push({ ruleId: rule.id, name: rule.name, reason });
+    else inScope.push(rule);
+  });
+
+  const applied = new Map();
+  const dailyRates = [];
+  const trace = [];
+
+  for (let i = 0; i < days; i++) {
+    const day = new Date(startDate.getTime() + i * MS_PER_DAY);
+    let rate = baseDaily;
+    let appliedToday = 0;
+    const dayRules = [];
+
+    for (const rule of inScope) {
+      if (!appliesOnDay(rule, day, days)) continue;
+      if (rule.exclusive && appliedToday > 0) {
+        dayRules.push({ ruleId: rule.id, name: rule.name, skipped: 'exclusive_conflict' });
+        continue;
+      }
+
+      const before = rate;
+      rate = applyRule(rate, rule);
+      dayRules.push({ ruleId: rule.id, name: rule.name, from: round2(before), to: round2(rate) });
+      appliedToday += 1;
+
+      const summary = applied.get(rule.id) || {
+        ruleId: rule.id,
+        name: rule.name,
+        type: rule.type,
+        priority: rule.priority || 0,
+        exclusive: !!rule.exclusive,
+        days: 0,
+        amount: 0
+      };
+      summary.days += 1;
+      summary.amount = round2(summary.amount + (rate - before));
+      applied.set(rule.id, summary);
+
+      if (rule.exclusive) break;
+    }
+
+    dailyRates.push(rate);
+    trace.push({ date: dayKey(day), baseRate: baseDaily, rate: round2(rate), rules: dayRules });
+  }
+
+  inScope.forEach(rule => {
+    if (!applied.has(rule.id)) skippedRules.push({ ruleId: rule.id, name: rule.name, reason: 'no_matching_days' });
+  });
+
+  return {
+    dailyRates,
+    appliedRules: Array.from(applied.values()),
+    trace,
+    skippedRules
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  evaluateRules
+};
@@ -1,68 +1,46 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { evaluateRules, RULE_TYPES } = require('./priceRuleEngine');
+const promoService = require('./promoService');
+const insuranceService = require('./insuranceService');
+const driverService = require('./driverService');
+const organizationService = require('./organizationService');
+const { ageOn, depositLine } = require('./locationPolicyService');
 
 /**
  * Pure price calculation helper - returns line-item breakdown.
  * This function is intentionally pure-ish: accepts objects and arrays so it can be unit-tested.
  *
  * Inputs:
- *  - vehicle: { dailyRate, baseDailyRate }
+ *  - vehicle: { id, category, dailyRate, baseDailyRate }
  *  - startDate, endDate
  *  - addons: [{ addonId, qty }]
- *  - location: { depositAmount, currency }
- *  - priceRules: array of rules to apply (seasonal, weekday...)
+ *  - location: { id, depositAmount, currency }
+ *  - priceRules: rules to evaluate (seasonal, weekday, length_of_rental), see priceRuleEngine
  *  - promoRule: optional promo PriceRule
- *  - user: { age }
+ *  - insurance: optional InsuranceProduct (daily price)
+ *  - drivers: additional drivers [{ name, dateOfBirth, licenseNumber, ... }] (daily fee each, see driverService)
+ *  - user: { dateOfBirth } (or { age }); age is taken on the start date
+ *  - organization: optional Organization booked under; its negotiated rate applies to the daily rates
+ *  - explain: include the per-day rule trace (`ruleTrace`) and `skippedRules`
  */
-function calculatePriceBreakdown({ vehicle, startDate, endDate, addons = [], location = {}, priceRules = [], promoRule = null, user = {} }) {
+function calculatePriceBreakdown({ vehicle, startDate, endDate, addons = [], location = {}, priceRules = [], promoRule = null, insurance = null, drivers = [], user = {}, organization = null, explain = false }) {
   const start = new Date(startDate);
   const end = new Date(endDate);
   const msPerDay = 1000 * 60 * 60 * 24;
   const days = Math.max(1, Math.ceil((end - start) / msPerDay));
 
   const baseDaily = typeof vehicle.dailyRate === 'number' ? vehicle.dailyRate : (vehicle.baseDailyRate || 0);
-  let subtotal = baseDaily * days;
-  const dayRates = new Array(days).fill(baseDaily);
-
-  // Apply priceRules (simple implementation): for seasonal rules that match date range apply multiplier or flatAmount
-  if (Array.isArray(priceRules)) {
-    priceRules.forEach(rule => {
-      try {
-        if (rule.type === 'seasonal' && rule.startDate && rule.endDate) {
-          const rStart = new Date(rule.startDate);
-          const rEnd = new Date(rule.endDate);
-          // if any overlap, apply multiplier to all days (simple)
-          if (!(end < rStart || start > rEnd)) {
-            if (rule.multiplier) {
-              for (let i = 0; i < dayRates.length; i++) dayRates[i] = dayRates[i] * rule.multiplier;
-            }
-            if (rule.flatAmount) {
-              for (let i = 0; i < dayRates.length; i++) dayRates[i] = dayRates[i] + rule.flatAmount;
-            }
-          }
-        } else if (rule.type === 'weekday' && rule.multiplier) {
-          // rule.weekdays: assume rule.weekdays is array of 0-6 ints
-          const weekdays = rule.weekdays || [];
-          for (let i = 0; i < days; i++) {
-            const d = new Date(start);
-            d.setDate(start.getDate() + i);
-            if (weekdays.includes(d.getDay())) {
-              dayRates[i] = dayRates[i] * rule.multiplier;
-            }
-          }
-        } else if (rule.type === 'length_of_rental' && rule.multiplier) {
-          if (rule.minDays && days >= rule.minDays) {
-            for (let i = 0; i < dayRates.length; i++) dayRates[i] = dayRates[i] * rule.multiplier;
-          }
-        }
-      } catch (e) {
-        // swallow rule errors so pricing still returns
-        console.warn('PriceRule application error', e);
-      }
-    });
-  }
 
-  subtotal = dayRates.reduce((s, r) => s + r, 0);
+  // Per-day rule evaluation (priority, exclusivity, category/location/vehicle scope)
+  const ruleResult = evaluateRules({ baseDaily, start, days, rules: priceRules, vehicle, location });
+
+  // Negotiated corporate rate, on top of the price rules
+  const rateMultiplier = organizationService.rateMultiplier(organization, vehicle.category);
+  const dayRates = ruleResult.dailyRates.map(r => r * rateMultiplier);
+  const corporateDiscount = ruleResult.dailyRates.reduce((s, r) => s + r, 0) - dayRates.reduce((s, r) => s + r, 0);
+
+  const subtotal = dayRates.reduce((s, r) => s + r, 0);
 
   // Add-ons
   let addonsTotal = 0;
@@ -78,6 +56,10 @@ function calculatePriceBreakdown({ vehicle, startDate, endDate, addons = [], loc
     });
   }
 
+  // Insurance / protection product
+  const insuranceLine = insurance ? insuranceService.insuranceLine(insurance, days) : null;
+  const insuranceTotal = insuranceLine ? insuranceLine.total : 0;
+
   // Location-specific fees (one-way)
   let oneWayFee = 0;
   if (location && location.oneWayFee && location.oneWayFee > 0) {
@@ -86,20 +68,24 @@ function calculatePriceBreakdown({ vehicle, startDate, endDate, addons = [], loc
 
   // Young-driver fee
   let youngDriverFee = 0;
-  const userAge = user.age || 0;
+  const userAge = (user && user.dateOfBirth ? ageOn(user.dateOfBirth, start) : user && user.age) || 0;
   const youngThreshold = (location && location.minAgeThreshold) || 25;
   const youngDriverPerDay = (location && location.youngDriverFeePerDay) || 15;
   if (userAge > 0 && userAge < youngThreshold) {
     youngDriverFee = youngDriverPerDay * days;
   }
 
+  // Additional drivers (young ones also pay the young-driver fee)
+  const driversLine = driverService.driverLines(drivers, { location, startDate: start, days, youngThreshold, youngDriverPerDay });
+  const additionalDriversTotal = driversLine.reduce((s, d) => s + d.total, 0);
+
   // Taxes & fees (simple defaults)
   const fees = oneWayFee;
-  const taxableBase = subtotal + addonsTotal + fees + youngDriverFee;
+  const taxableBase = subtotal + addonsTotal + insuranceTotal + fees + youngDriverFee + additionalDriversTotal;
   const taxRate = (location && location.taxRate) || 0.1; // default 10%
   const taxes = Math.round((taxableBase * taxRate) * 100) / 100;
 
-  let totalBeforePromo = Math.round((subtotal + addonsTotal + fees + youngDriverFee + taxes) * 100) / 100;
+  let totalBeforePromo = Math.round((taxableBase + taxes) * 100) / 100;
 
   // Apply promoRule (simple): flatAmount or multiplier
   let promoDiscount = 0;
@@ -113,46 +99,93 @@ function calculatePriceBreakdown({ vehicle, startDate, endDate, addons = [], loc
 
   const totalPrice = Math.max(0, Math.round((totalBeforePromo - promoDiscount) * 100) / 100);
 
-  return {
+  const breakdown = {
     days,
-    dailyRates: dayRates,
+    dailyRates: dayRates.map(r => Math.round(r * 100) / 100),
+    appliedRules: ruleResult.appliedRules,
     subtotal: Math.round(subtotal * 100) / 100,
     addons: addonsLine,
     addonsTotal: Math.round(addonsTotal * 100) / 100,
+    insurance: insuranceLine,
+    insuranceTotal,
     fees: Math.round(fees * 100) / 100,
     youngDriverFee: Math.round(youngDriverFee * 100) / 100,
+    additionalDrivers: driversLine,
+    additionalDriversTotal: Math.round(additionalDriversTotal * 100) / 100,
     taxes: Math.round(taxes * 100) / 100,
     promoDiscount: Math.round(promoDiscount * 100) / 100,
-    total: totalPrice
+    total: totalPrice,
+    // Refundable security deposit, collected separately and not part of the total
+    deposit: depositLine(location)
+  };
+
+  if (organization) {
+    breakdown.corporateRate = {
+      organizationId: organization.id,
+      name: organization.name,
+      multiplier: rateMultiplier,
+      discount: Math.round(corporateDiscount * 100) / 100
+    };
+  }
+
+  if (explain) {
+    breakdown.ruleTrace = ruleResult.trace;
+    breakdown.skippedRules = ruleResult.skippedRules;
+  }
+
+  return breakdown;
+}
+
+/**
+ * Stand-in vehicle for pricing a category reservation: the category's lowest rate
+ * at the pickup location. It has no id, so vehicle-specific price rules never apply.
+ */
+async function categoryVehicle(category, locationId) {
+  const cheapest = await prisma.vehicle.findFirst({
+    where: { category, ...(locationId && { locationId }), status: { notIn: ['maintenance', 'retired'] } },
+    orderBy: { dailyRate: 'asc' }
+  });
+  if (!cheapest) return null;
+
+  return {
+    id: null,
+    category,
+    locationId: cheapest.locationId,
+    dailyRate: cheapest.dailyRate,
+    baseDailyRate: cheapest.baseDailyRate
   };
 }
 
 /**
  * Convenience function that fetches necessary DB records and returns breakdown.
+ * Throws promoService.PromoError when `promoCode` is not valid for the rental.
+ * Throws insuranceService.InsuranceError when `insuranceId` is unknown or not offered for the vehicle.
+ * Pass `bookingId` when repricing an existing booking so its own promo redemption is honoured,
+ * and `insuranceSelected` (the booking's snapshot) to keep its insurance at the booked price.
+ * Category reservations pass `vehicleCategory` instead of `vehicleId` (see categoryVehicle).
+ * Pass `organizationId` to price at an organization's negotiated rate.
  */
-async function calculatePriceForBooking({ vehicleId, startDate, endDate, addons = [], promoCode = null, userId = null, pickupLocationId = null, dropoffLocationId = null }) {
-  const vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
-  if (!vehicle) throw new Error('Vehicle not found');
+async function calculatePriceForBooking({ vehicleId = null, vehicleCategory = null, startDate, endDate, addons = [], additionalDrivers = [], promoCode = null, insuranceId = null, insuranceSelected = null, userId = null, pickupLocationId = null, dropoffLocationId = null, bookingId = null, organizationId = null, explain = false }) {
+  const vehicle = vehicleId
+    ? await prisma.vehicle.findUnique({ where: { id: vehicleId } })
+    : await categoryVehicle(vehicleCategory, pickupLocationId);
+  if (!vehicle) throw new Error(vehicleId ? 'Vehicle not found' : 'No vehicles in this category at the pickup location');
+
+  let insurance = null;
+  if (insuranceId) {
+    insurance = await insuranceService.resolveProduct(insuranceId, vehicle);
+  } else if (insuranceSelected) {
+    insurance = { ...insuranceSelected, id: insuranceSelected.productId };
+  }
 
   const pickupLocation = pickupLocationId ? await prisma.location.findUnique({ where: { id: pickupLocationId } }) : (vehicle.locationId ? await prisma.location.findUnique({ where: { id: vehicle.locationId } }) : {});
   const dropoffLocation = dropoffLocationId ? await prisma.location.findUnique({ where: { id: dropoffLocationId } }) : pickupLocation;
 
-  // load price rules overlapping period and vehicle category
+  // Scope and date matching happen in the rule engine; inactive rules are kept so dry runs can report them
   const rules = await prisma.priceRule.findMany({
-    where: {
-      OR: [
-        { type: 'seasonal' },
-        { type: 'weekday' },
-        { type: 'length_of_rental' }
-      ]
-    }
+    where: { type: { in: RULE_TYPES } }
   });
 
-  let promoRule = null;
-  if (promoCode) {
-    promoRule = await prisma.priceRule.findFirst({ where: { code: promoCode, type: 'promo' } });
-  }
-
   // Expand addons with price/ perDay
   const resolvedAddons = [];
   for (const a of addons) {
@@ -161,11 +194,28 @@ async function calculatePriceForBooking({ vehicleId, startDate, endDate, addons
   }
 
   const user = userId ? await prisma.user.findUnique({ where: { id: userId } }) : {};
+  const organization = organizationId ? await prisma.organization.findUnique({ where: { id: organizationId } }) : null;
 
   // Calculate cross-location fee
   const crossLocationFee = (pickupLocationId && dropoffLocationId && pickupLocationId !== dropoffLocationId) ? 50 : 0; // Fixed fee for different locations
 
-  const breakdown = calculatePriceBreakdown({ vehicle, startDate, endDate, addons: resolvedAddons, location: pickupLocation, priceRules: rules, promoRule, user });
+  const priceInputs = { vehicle, startDate, endDate, addons: resolvedAddons, location: pickupLocation, priceRules: rules, insurance, drivers: additionalDrivers || [], user, organization, explain };
+  let breakdown = calculatePriceBreakdown(priceInputs);
+
+  // Promo eligibility (minimum spend) is judged on the price before the discount
+  if (promoCode) {
+    const promoRule = await promoService.findPromo(promoCode);
+    await promoService.assertEligible(promoRule, {
+      userId,
+      bookingId,
+      vehicle,
+      pickupLocationId: pickupLocation ? pickupLocation.id : null,
+      days: breakdown.days,
+      amount: breakdown.total + crossLocationFee
+    });
+    breakdown = calculatePriceBreakdown({ ...priceInputs, promoRule });
+    breakdown.promo = { code: promoRule.code, ruleId: promoRule.id, name: promoRule.name };
+  }
 
   // Add cross-location fee to fees
   breakdown.fees += crossLocationFee;
@@ -174,7 +224,101 @@ async function calculatePriceForBooking({ vehicleId, startDate, endDate, addons
   return breakdown;
 }
 
+/**
+ * Reprice an existing booking, applying any changed dates/locations/add-ons/insurance/drivers.
+ * Unchanged inputs are taken from the booking (add-ons from its stored breakdown,
+ * insurance from its snapshot). `changes.insuranceId: null` removes the insurance.
+ */
+async function repriceBooking(booking, changes = {}) {
+  const previousAddons = (booking.priceBreakdown && booking.priceBreakdown.addons) || (Array.isArray(booking.addons) ? booking.addons : []);
+  const insuranceChanged = changes.insuranceId !== undefined;
+
+  // Category reservations keep the category price, also after a (free) upgrade is assigned
+  const vehicleCategory = changes.vehicleId ? null : booking.vehicleCategory;
+
+  return calculatePriceForBooking({
+    vehicleId: vehicleCategory ? null : (changes.vehicleId || booking.vehicleId),
+    vehicleCategory,
+    startDate: changes.startDate || booking.startDate,
+    endDate: changes.endDate || booking.endDate,
+    addons: changes.addons || previousAddons.map(a => ({ addonId: a.addonId, qty: a.qty })),
+    additionalDrivers: changes.additionalDrivers || booking.additionalDrivers || [],
+    promoCode: changes.promoCode !== undefined ? changes.promoCode : booking.promoCode,
+    insuranceId: insuranceChanged ? changes.insuranceId : null,
+    insuranceSelected: insuranceChanged ? null : booking.insuranceSelected,
+    userId: booking.userId,
+    pickupLocationId: changes.locationPickupId || booking.locationPickupId,
+    dropoffLocationId: changes.locationDropoffId || booking.locationDropoffId,
+    bookingId: booking.id,
+    organizationId: booking.organizationId || null
+  });
+}
+
+const DIFF_FIELDS = ['days', 'subtotal', 'addonsTotal', 'insuranceTotal', 'fees', 'youngDriverFee', 'additionalDriversTotal', 'taxes', 'promoDiscount', 'total'];
+
+/**
+ * Field-level diff between two breakdowns: { field: { from, to, delta } } for changed values
+ */
+function diffBreakdowns(previous, next) {
+  const diff = {};
+  DIFF_FIELDS.forEach(field => {
+    const from = previous ? (previous[field] || 0) : 0;
+    const to = next[field] || 0;
+    if (from !== to) {
+      diff[field] = { from, to, delta: Math.round((to - from) * 100) / 100 };
+    }
+  });
+
+  const addonKey = a => `${a.addonId}:${a.qty}`;
+  const before = ((previous && previous.addons) || []).map(addonKey).sort().join(',');
+  const after = (next.addons || []).map(addonKey).sort().join(',');
+  if (before !== after) {
+    diff.addons = { from: (previous && previous.addons) || [], to: next.addons || [] };
+  }
+
+  return diff;
+}
+
+/**
+ * Booking fields for a new price version: flat price columns, the insurance
+ * snapshot, the breakdown itself and an appended history entry with the diff
+ * against the previous version.
+ * @param {object|null} booking - existing booking (null when creating)
+ * @param {object} breakdown - new breakdown from calculatePriceForBooking
+ * @param {object} meta - { reason, actorId }
+ */
+function priceVersionData(booking, breakdown, { reason, actorId = null } = {}) {
+  const previous = booking ? booking.priceBreakdown : null;
+  const version = ((booking && booking.priceVersion) || 0) + 1;
+  const history = (booking && Array.isArray(booking.priceHistory)) ? booking.priceHistory : [];
+
+  return {
+    subtotal: breakdown.subtotal || 0,
+    taxes: breakdown.taxes || 0,
+    fees: (breakdown.fees || 0) + (breakdown.youngDriverFee || 0) + (breakdown.additionalDriversTotal || 0),
+    totalPrice: breakdown.total || 0,
+    insuranceSelected: breakdown.insurance || null,
+    priceBreakdown: breakdown,
+    priceVersion: version,
+    priceHistory: [
+      ...history,
+      {
+        version,
+        reason,
+        at: new Date(),
+        actorId,
+        total: breakdown.total || 0,
+        diff: diffBreakdowns(previous, breakdown)
+      }
+    ]
+  };
+}
+
 module.exports = {
   calculatePriceBreakdown,
-  calculatePriceForBooking
+  categoryVehicle,
+  calculatePriceForBooking,
+  repriceBooking,
+  diffBreakdowns,
+  priceVersionData
 };
@@ -0,0 +1,202 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Promo codes
+ *
+ * Promo codes are PriceRule rows with type "promo". Eligibility has two parts:
+ *  - redeemable: the code is active, inside its startDate..endDate window, under its
+ *    total cap (maxRedemptions) and the user's cap, and first-booking-only codes are
+ *    only used on a user's first booking
+ *  - rental: minimum rental length (minDays), minimum spend and the allowed
+ *    vehicle categories / pickup locations
+ * Every use is recorded as a PromoRedemption linked to the booking. Cancelling the
+ * booking releases the redemption, which gives the use back to the caps.
+ */
+
+const REDEMPTION_ACTIVE = 'active';
+const REDEMPTION_RELEASED = 'released';
+
+class PromoError extends ServiceError {
+  constructor(message, reason, statusCode = 400) {
+    super(message, statusCode);
+    this.name = 'PromoError';
+    this.reason = reason;
+  }
+
+  details() {
+    return { reason: this.reason };
+  }
+}
+
+function findPromo(code) {
+  if (!code || typeof code !== 'string') return null;
+  return prisma.priceRule.findFirst({ where: { code: code.trim(), type: 'promo' } });
+}
+
+async function activeRedemptionFor(promoId, bookingId) {
+  if (!bookingId) return null;
+  return prisma.promoRedemption.findFirst({ where: { promoId, bookingId, status: REDEMPTION_ACTIVE } });
+}
+
+/**
+ * Check that a code can be used now by this user.
+ * When `bookingId` already holds a redemption of the code (repricing), the code stays valid
+ * for that booking even if it has since expired or run out.
+ */
+async function assertRedeemable(promo, { userId = null, bookingId = null, now = new Date() } = {}) {
+  if (!promo) throw new PromoError('Promo code not found', 'not_found', 404);
+  if (promo.isActive === false) throw new PromoError('Promo code is no longer active', 'inactive');
+
+  if (await activeRedemptionFor(promo.id, bookingId)) return;
+
+  if (promo.startDate && now < new Date(promo.startDate)) {
+    throw new PromoError('Promo code is not valid yet', 'not_started');
+  }
+  if (promo.endDate && now > new Date(promo.endDate)) {
+    throw new PromoError('Promo code has expired', 'expired');
+  }
+  if (promo.maxRedemptions != null && promo.redemptionCount >= promo.maxRedemptions) {
+    throw new PromoError('Promo code has reached its redemption limit', 'exhausted');
+  }
+
+  // User-level checks need a signed-in user; anonymous checkouts are checked again at booking time
+  if (!userId) return;
+
+  if (promo.maxRedemptionsPerUser != null) {
+    const used = await prisma.promoRedemption.count({
+      where: { promoId: promo.id, userId, status: REDEMPTION_ACTIVE }
+    });
+    if (used >= promo.maxRedemptionsPerUser) {
+      throw new PromoError('You have already used this promo code the maximum number of times', 'user_limit');
+    }
+  }
+
+  if (promo.firstBookingOnly) {
+    const previousBookings = await prisma.booking.count({
+      where: {
+        userId,
+        status: { not: 'cancelled' },
+        ...(bookingId && { id: { not: bookingId } })
+      }
+    });
+    if (previousBookings > 0) {
+      throw new PromoError('Promo code is only valid on your first booking', 'first_booking_only');
+    }
+  }
+}
+
+/**
+ * Check a code against the rental it is applied to
+ * @param {object} rental - { vehicle: { category }, pickupLocationId, days, amount } where amount is the total before the discount
+ */
+function assertRentalEligible(promo, { vehicle = {}, pickupLocationId = null, days = 0, amount = 0 }) {
+  if (promo.minDays && days < promo.minDays) {
+    throw new PromoError(`Promo code requires a rental of at least ${promo.minDays} days`, 'min_days');
+  }
+  if (promo.minSpend && amount < promo.minSpend) {
+    throw new PromoError(`Promo code requires a minimum spend of ${promo.minSpend}`, 'min_spend');
+  }
+  if (promo.allowedCategories && promo.allowedCategories.length > 0 && !promo.allowedCategories.includes(vehicle.category)) {
+    throw new PromoError('Promo code is not valid for this vehicle category', 'category_not_allowed');
+  }
+  if (promo.allowedLocationIds && promo.allowedLocationIds.length > 0 && !promo.allowedLocationIds.includes(pickupLocationId)) {
+    throw new PromoError('Promo code is not valid at this pickup location', 'location_not_allowed');
+  }
+}
+
+/**
+ * Full eligibility check used while pricing
+ */
+async function assertEligible(promo, { userId = null, bookingId = null, ...rental }) {
+  await assertRedeemable(promo, { userId, bookingId });
+  assertRentalEligible(promo, rental);
+}
+
+/**
+ * Record a use of a code. The total cap is enforced atomically, so two checkouts
+ * cannot both take the last redemption.
+ * @returns {Promise<object>} the PromoRedemption
+ */
+async function redeemPromo(code, { userId, bookingId = null, discount = 0 }) {
+  const promo = await findPromo(code);
+  await assertRedeemable(promo, { userId, bookingId });
+
+  const result = await prisma.priceRule.updateMany({
+    where: {
+      id: promo.id,
+      ...(promo.maxRedemptions != null && { redemptionCount: { lt: promo.maxRedemptions } })
+    },
+    data: { redemptionCount: { increment: 1 } }
+  });
+  if (result.count === 0) {
+    throw new PromoError('Promo code has reached its redemption limit', 'exhausted', 409);
+  }
+
+  const redemption = await prisma.promoRedemption.create({
+    data: { promoId: promo.id, code: promo.code, userId, bookingId, discount }
+  });
+  await logEvent('promo', promo.id, 'redeemed', { redemptionId: redemption.id, userId, bookingId, discount });
+
+  return redemption;
+}
+
+/**
+ * Link a redemption to the booking it was used for
+ */
+async function attachBooking(redemptionId, bookingId) {
+  await prisma.promoRedemption.update({ where: { id: redemptionId }, data: { bookingId } });
+}
+
+/**
+ * Give a redemption back (booking cancelled or creation failed)
+ */
+async function releaseRedemption(redemption, reason) {
+  const result = await prisma.promoRedemption.updateMany({
+    where: { id: redemption.id, status: REDEMPTION_ACTIVE },
+    data: { status: REDEMPTION_RELEASED, releasedAt: new Date(), releaseReason: reason }
+  });
+  if (result.count === 0) return false;
+
+  await prisma.priceRule.updateMany({
+    where: { id: redemption.promoId, redemptionCount: { gt: 0 } },
+    data: { redemptionCount: { decrement: 1 } }
+  });
+  await logEvent('promo', redemption.promoId, 'redemption_released', {
+    redemptionId: redemption.id,
+    bookingId: redemption.bookingId,
+    reason
+  });
+  return true;
+}
+
+/**
+ * Release the active redemptions of a booking
+ * @param {object} options - { keepCode } keeps the redemption of that code (promo code swapped on a booking)
+ * @returns {Promise<number>} number of redemptions released
+ */
+async function releaseForBooking(bookingId, reason = 'booking_cancelled', { keepCode = null } = {}) {
+  const redemptions = await prisma.promoRedemption.findMany({
+    where: { bookingId, status: REDEMPTION_ACTIVE, ...(keepCode && { code: { not: keepCode } }) }
+  });
+
+  let released = 0;
+  for (const redemption of redemptions) {
+    if (await releaseRedemption(redemption, reason)) released += 1;
+  }
+  return released;
+}
+
+module.exports = {
+  PromoError,
+  findPromo,
+  assertRedeemable,
+  assertRentalEligible,
+  assertEligible,
+  redeemPromo,
+  attachBooking,
+  releaseRedemption,
+  releaseForBooking
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const pricingService = require('./pricingService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const driverService = require('./driverService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Quote service
+ *
+ * A quote freezes the pricingService breakdown for a booking request for a
+ * limited time (QUOTE_TTL_MINUTES). Each quote is HMAC-signed over its contents,
+ * so a stored quote that was altered after issue is rejected. createBooking and
+ * holdBooking redeem a quote once and charge its locked total, under the
+ * cancellation policy shown in the quote. A quote is for a specific vehicle or,
+ * for category reservations, a `vehicleCategory`. Quotes with an `organizationId`
+ * carry the organization's negotiated rate and only book under that organization.
+ */
+
+const QUOTE_TTL_MINUTES = parseInt(process.env.QUOTE_TTL_MINUTES || '30');
+
+class QuoteError extends ServiceError {
+  constructor(message, statusCode = 409) {
+    super(message, statusCode);
+    this.name = 'QuoteError';
+  }
+}
+
+function signingSecret() {
+  return process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+}
+
+// Canonical form of requested add-ons so [{a,1},{b,2}] and [{b,2},{a,1}] compare equal
+function normalizeAddons(addons = []) {
+  return (addons || [])
+    .map(a => ({ addonId: String(a.addonId || a.id), qty: a.qty || 1 }))
+    .sort((x, y) => x.addonId.localeCompare(y.addonId));
+}
+
+function signaturePayload(quote) {
+  return JSON.stringify({
+    id: quote.id,
+    userId: quote.userId || null,
+    vehicleId: quote.vehicleId,
+    ...(quote.vehicleCategory && { vehicleCategory: quote.vehicleCategory }),
+    locationPickupId: quote.locationPickupId,
+    locationDropoffId: quote.locationDropoffId,
+    startDate: new Date(quote.startDate).toISOString(),
+    endDate: new Date(quote.endDate).toISOString(),
+    addons: normalizeAddons(quote.addons),
+    promoCode: quote.promoCode || null,
+    // only present when set, so quotes signed before insurance existed still verify
+    ...(quote.insuranceId && { insuranceId: quote.insuranceId }),
+    ...(quote.additionalDrivers && quote.additionalDrivers.length > 0 && { additionalDrivers: quote.additionalDrivers }),
+    ...(quote.organizationId && { organizationId: quote.organizationId }),
+    ...(quote.cancellationPolicy && { cancellationPolicy: quote.cancellationPolicy }),
+    breakdown: quote.breakdown,
+    total: quote.total,
+    expiresAt: new Date(quote.expiresAt).toISOString()
+  });
+}
+
+function sign(quote) {
+  return crypto.createHmac('sha256', signingSecret()).update(signaturePayload(quote)).digest('hex');
+}
+
+function verifySignature(quote) {
+  const expected = Buffer.from(sign(quote), 'hex');
+  const actual = Buffer.from(quote.signature || '', 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Price a booking request and store a signed quote
+ */
+async function createQuote({ vehicleId = null, vehicleCategory = null, locationPickupId, locationDropoffId, startDate, endDate, addons = [], additionalDrivers = [], promoCode = null, insuranceId = null, organizationId = null }, userId = null) {
+  const breakdown = await pricingService.calculatePriceForBooking({
+    vehicleId,
+    vehicleCategory,
+    startDate,
+    endDate,
+    addons,
+    additionalDrivers,
+    promoCode,
+    insuranceId,
+    userId,
+    pickupLocationId: locationPickupId,
+    dropoffLocationId: locationDropoffId,
+    organizationId
+  });
+
+  const vehicle = vehicleId ? await prisma.vehicle.findUnique({ where: { id: vehicleId }, select: { category: true } }) : null;
+  const cancellationPolicy = await cancellationPolicyService.resolvePolicy({
+    locationId: locationPickupId,
+    category: vehicle ? vehicle.category : vehicleCategory,
+    promoCode
+  });
+
+  const quote = await prisma.quote.create({
+    data: {
+      userId,
+      vehicleId,
+      vehicleCategory,
+      locationPickupId,
+      locationDropoffId,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      addons: normalizeAddons(addons),
+      additionalDrivers: driverService.normalizeDrivers(additionalDrivers),
+      organizationId: organizationId || null,
+      promoCode: promoCode || null,
+      insuranceId: insuranceId || null,
+      breakdown,
+      cancellationPolicy,
+      total: breakdown.total,
+      signature: '',
+      expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  // The signature covers the id, so it can only be computed once the record exists
+  return prisma.quote.update({
+    where: { id: quote.id },
+    data: { signature: sign(quote) }
+  });
+}
+
+/**
+ * Check a quote against a booking request and mark it used.
+ * Throws QuoteError when the quote is unknown, expired, used, tampered with or for different details.
+ * @returns {Promise<object>} the quote, including its locked `breakdown`
+ */
+async function redeemQuote(quoteId, { userId, vehicleId = null, vehicleCategory = null, locationPickupId, locationDropoffId, startDate, endDate, addons = [], additionalDrivers = [], promoCode = null, insuranceId = null, organizationId = null }) {
+  const quote = /^[a-f0-9]{24}$/.test(String(quoteId))
+    ? await prisma.quote.findUnique({ where: { id: quoteId } })
+    : null;
+
+  if (!quote) throw new QuoteError('Quote not found', 404);
+  if (!verifySignature(quote)) throw new QuoteError('Quote signature is invalid', 400);
+  if (quote.userId && quote.userId !== userId) throw new QuoteError('Quote belongs to another user', 403);
+  if (quote.usedAt) throw new QuoteError('Quote has already been used');
+  if (new Date(quote.expiresAt) < new Date()) throw new QuoteError('Quote has expired, please request a new one', 410);
+
+  const matches = (quote.vehicleId || null) === (vehicleId || null)
+    && (quote.vehicleCategory || null) === (vehicleCategory || null)
+    && quote.locationPickupId === locationPickupId
+    && quote.locationDropoffId === locationDropoffId
+    && new Date(quote.startDate).getTime() === new Date(startDate).getTime()
+    && new Date(quote.endDate).getTime() === new Date(endDate).getTime()
+    && JSON.stringify(normalizeAddons(quote.addons)) === JSON.stringify(normalizeAddons(addons))
+    && driverService.sameDrivers(quote.additionalDrivers || [], additionalDrivers)
+    && (quote.promoCode || null) === (promoCode || null)
+    && (quote.insuranceId || null) === (insuranceId || null)
+    && (quote.organizationId || null) === (organizationId || null);
+  if (!matches) throw new QuoteError('Booking details do not match the quote');
+
+  const result = await prisma.quote.updateMany({
+    where: { id: quote.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  if (result.count === 0) throw new QuoteError('Quote has already been used');
+
+  return quote;
+}
+
+/**
+ * Link a redeemed quote to the booking it produced
+ */
+async function attachBooking(quoteId, bookingId) {
+  await prisma.quote.update({ where: { id: quoteId }, data: { bookingId } });
+}
+
+/**
+ * Make a redeemed quote usable again (booking creation failed after redemption)
+ */
+async function releaseQuote(quoteId) {
+  await prisma.quote.updateMany({ where: { id: quoteId, bookingId: null }, data: { usedAt: null } });
+}
+
+/**
+ * Public view of a quote
+ */
+function toResponse(quote) {
+  return {
+    quoteId: quote.id,
+    signature: quote.signature,
+    expiresAt: quote.expiresAt,
+    vehicleId: quote.vehicleId,
+    vehicleCategory: quote.vehicleCategory,
+    locationPickupId: quote.locationPickupId,
+    locationDropoffId: quote.locationDropoffId,
+    startDate: quote.startDate,
+    endDate: quote.endDate,
+    addons: quote.addons,
+    additionalDrivers: quote.additionalDrivers || [],
+    organizationId: quote.organizationId || null,
+    promoCode: quote.promoCode,
+    insuranceId: quote.insuranceId,
+    breakdown: quote.breakdown,
+    total: quote.total,
+    cancellationPolicy: quote.cancellationPolicy
+  };
+}
+
+module.exports = {
+  QuoteError,
+  createQuote,
+  redeemQuote,
+  attachBooking,
+  releaseQuote,
+  toResponse
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { generateToken, generateSecret, hashToken } = require('../utils/auth');
+const { logEvent } = require('./auditService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Session service
+ *
+ * Each sign-in creates a Session (one per device). Clients get a short-lived JWT
+ * access token carrying the session id (`sid`) and an opaque refresh token of the
+ * form `<sessionId>.<secret>`. Refresh tokens rotate on every use; presenting an
+ * already-rotated token revokes the whole session, since it means the token leaked.
+ */
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30');
+
+class SessionError extends ServiceError {
+  constructor(message) {
+    super(message, 401);
+    this.name = 'SessionError';
+  }
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function hashesMatch(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function isSessionActive(session) {
+  return !!session && !session.revokedAt && new Date(session.expiresAt) > new Date();
+}
+
+/**
+ * Create a session for a user and issue its first token pair
+ * @param {object} user - { id, role }
+ * @param {object} meta - { userAgent, ipAddress }
+ */
+async function createSession(user, { userAgent = null, ipAddress = null } = {}) {
+  const secret = generateSecret();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(secret),
+      userAgent,
+      ipAddress,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  return {
+    session,
+    token: generateToken(user.id, user.role, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ */
+async function rotateRefreshToken(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new SessionError('Invalid refresh token');
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+    include: { user: { select: { id: true, role: true } } }
+  });
+  if (!isSessionActive(session)) throw new SessionError('Session expired or revoked');
+
+  if (!hashesMatch(hashToken(parsed.secret), session.refreshTokenHash)) {
+    // A previously rotated token was replayed: treat the session as compromised
+    await revokeSession(session.id, 'refresh_token_reuse');
+    await logEvent('user', session.userId, 'refresh_token_reuse', { sessionId: session.id, ipAddress });
+    throw new SessionError('Refresh token has already been used');
+  }
+
+  const secret = generateSecret();
+  const result = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(secret),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      ...(userAgent && { userAgent }),
+      ...(ipAddress && { ipAddress })
+    }
+  });
+  if (result.count === 0) throw new SessionError('Refresh token has already been used');
+
+  return {
+    token: generateToken(session.user.id, session.user.role, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+}
+
+/**
+ * Check that the session referenced by an access token is still valid
+ */
+async function assertSessionActive(sessionId) {
+  if (!sessionId) throw new SessionError('Session required');
+  const session = await prisma.session.findUnique({ where: { id: sessionId } });
+  if (!isSessionActive(session)) throw new SessionError('Session revoked');
+  return session;
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+}
+
+/**
+ * Revoke every active session of a user (password change, role change, ...)
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeAllSessions(userId, { reason = 'logout_all', exceptSessionId = null } = {}) {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) where.id = { not: exceptSessionId };
+  const result = await prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  if (result.count > 0) {
+    await logEvent('user', userId, 'sessions_revoked', { reason, count: result.count });
+  }
+  return result.count;
+}
+
+async function listSessions(userId) {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true
+    },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+}
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  assertSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
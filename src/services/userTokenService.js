@@ -0,0 +1,76 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { generateSecret, hashToken } = require('../utils/auth');
+const { ServiceError } = require('./errors');
+
+/**
+ * Single-use, expiring tokens delivered by email.
+ * Only the SHA-256 hash is stored; the plain token exists only in the email link.
+ */
+
+const TOKEN_TYPES = {
+  password_reset: { ttlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60') },
+  email_verification: { ttlMinutes: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || String(48 * 60)) }
+};
+
+class UserTokenError extends ServiceError {
+  constructor(message) {
+    super(message, 400);
+    this.name = 'UserTokenError';
+  }
+}
+
+/**
+ * Issue a new token, invalidating any unused token of the same type for the user
+ * @returns {Promise<string>} plain token to embed in the email link
+ */
+async function issueToken(userId, type) {
+  const config = TOKEN_TYPES[type];
+  if (!config) throw new Error(`Unknown token type '${type}'`);
+
+  const now = new Date();
+  await prisma.userToken.updateMany({
+    where: { userId, type, usedAt: null },
+    data: { usedAt: now }
+  });
+
+  const token = generateSecret();
+  await prisma.userToken.create({
+    data: {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + config.ttlMinutes * 60 * 1000)
+    }
+  });
+
+  return token;
+}
+
+/**
+ * Validate and burn a token. Marking it used is conditional, so a token can only be consumed once.
+ * @returns {Promise<object>} the token record (with userId)
+ */
+async function consumeToken(token, type) {
+  if (!token || typeof token !== 'string') throw new UserTokenError('Invalid or expired token');
+
+  const record = await prisma.userToken.findUnique({ where: { tokenHash: hashToken(token) } });
+  if (!record || record.type !== type || record.usedAt || new Date(record.expiresAt) < new Date()) {
+    throw new UserTokenError('Invalid or expired token');
+  }
+
+  const result = await prisma.userToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  if (result.count === 0) throw new UserTokenError('Invalid or expired token');
+
+  return record;
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  UserTokenError,
+  issueToken,
+  consumeToken
+};
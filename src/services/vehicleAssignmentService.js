@@ -0,0 +1,166 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const availabilityService = require('./availabilityService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Vehicle assignment for category reservations
+ *
+ * Customers can reserve a category ("a midsize") at a pickup location instead of
+ * a specific vehicle; the booking keeps `vehicleId` empty and `vehicleCategory`
+ * set until a vehicle is assigned when it is prepared for pickup.
+ *
+ * The assigner picks an available vehicle of the booked category at the pickup
+ * location with the lowest odometer, so mileage is spread across the fleet. When
+ * the category has no free vehicle it upgrades, at no charge, to the nearest
+ * higher category that still has a vehicle left after its own reservations.
+ * Vans are not part of the upgrade ladder. Every assignment is audit-logged as
+ * `vehicle_assigned`.
+ */
+
+const UPGRADE_LADDER = ['economy', 'compact', 'midsize', 'suv', 'luxury'];
+
+class VehicleAssignmentError extends ServiceError {
+  constructor(message, statusCode = 409) {
+    super(message, statusCode);
+    this.name = 'VehicleAssignmentError';
+  }
+}
+
+/**
+ * Categories a reservation may be upgraded to, nearest first
+ */
+function upgradeCategories(category) {
+  const rank = UPGRADE_LADDER.indexOf(category);
+  return rank === -1 ? [] : UPGRADE_LADDER.slice(rank + 1);
+}
+
+// Lowest odometer first; vehicles without a reading go last
+const byMileage = (a, b) => {
+  if (a.odometer == null && b.odometer == null) return 0;
+  if (a.odometer == null) return 1;
+  if (b.odometer == null) return -1;
+  return a.odometer - b.odometer;
+};
+
+async function freeVehicles(booking, category) {
+  const vehicles = await prisma.vehicle.findMany({
+    where: { category, locationId: booking.locationPickupId, status: 'available' }
+  });
+
+  const free = [];
+  for (const vehicle of vehicles) {
+    if (await availabilityService.isVehicleAvailable(vehicle.id, booking.startDate, booking.endDate)) free.push(vehicle);
+  }
+  return free.sort(byMileage);
+}
+
+// Upgrades must not take the vehicle another reservation of that category needs
+async function upgradeHasRoom(booking, category) {
+  const { available } = await availabilityService.categoryAvailability({
+    category,
+    locationId: booking.locationPickupId,
+    startDate: booking.startDate,
+    endDate: booking.endDate
+  });
+  return available > 0;
+}
+
+/**
+ * Vehicles that could be assigned to a booking, best first:
+ * [{ vehicle, upgrade }] for the booked category, then each upgrade category
+ */
+async function candidatesFor(booking, { allowUpgrade = true } = {}) {
+  const candidates = (await freeVehicles(booking, booking.vehicleCategory)).map(vehicle => ({ vehicle, upgrade: false }));
+  if (!allowUpgrade) return candidates;
+
+  for (const category of upgradeCategories(booking.vehicleCategory)) {
+    if (!(await upgradeHasRoom(booking, category))) continue;
+    const vehicles = await freeVehicles(booking, category);
+    candidates.push(...vehicles.map(vehicle => ({ vehicle, upgrade: true })));
+  }
+  return candidates;
+}
+
+async function checkChosenVehicle(booking, vehicleId) {
+  const vehicle = /^[a-f0-9]{24}$/.test(String(vehicleId))
+    ? await prisma.vehicle.findUnique({ where: { id: vehicleId } })
+    : null;
+  if (!vehicle) throw new VehicleAssignmentError('Vehicle not found', 404);
+
+  if (vehicle.locationId !== booking.locationPickupId) {
+    throw new VehicleAssignmentError('Vehicle is not at the pickup location');
+  }
+  if (vehicle.status !== 'available') {
+    throw new VehicleAssignmentError(`Vehicle is ${vehicle.status}`);
+  }
+
+  const upgrade = vehicle.category !== booking.vehicleCategory;
+  if (upgrade && !upgradeCategories(booking.vehicleCategory).includes(vehicle.category)) {
+    throw new VehicleAssignmentError(`A ${vehicle.category} vehicle cannot be assigned to a ${booking.vehicleCategory} reservation`, 400);
+  }
+  if (!(await availabilityService.isVehicleAvailable(vehicle.id, booking.startDate, booking.endDate))) {
+    throw new VehicleAssignmentError('Vehicle is booked for these dates');
+  }
+  if (upgrade && !(await upgradeHasRoom(booking, vehicle.category))) {
+    throw new VehicleAssignmentError(`All ${vehicle.category} vehicles are needed for ${vehicle.category} reservations`);
+  }
+
+  return { vehicle, upgrade };
+}
+
+/**
+ * Assign a vehicle to a category reservation: `vehicleId` when staff pick one,
+ * otherwise the best candidate. Bookings that already have a vehicle are returned
+ * unchanged (`assignment: null`).
+ * @returns {Promise<{ booking, assignment: { vehicleId, category, upgrade, odometer, mode } | null }>}
+ */
+async function assignVehicle(booking, { vehicleId = null, actorId = null, allowUpgrade = true } = {}) {
+  if (booking.vehicleId) return { booking, assignment: null };
+  if (!booking.vehicleCategory) throw new VehicleAssignmentError('Booking has neither a vehicle nor a vehicle category', 400);
+
+  let choice;
+  if (vehicleId) {
+    choice = await checkChosenVehicle(booking, vehicleId);
+  } else {
+    [choice] = await candidatesFor(booking, { allowUpgrade });
+    if (!choice) throw new VehicleAssignmentError(`No ${booking.vehicleCategory} vehicle or upgrade is available at the pickup location`);
+  }
+
+  const vehicleAssignedAt = new Date();
+  const claimed = await prisma.booking.updateMany({
+    where: { id: booking.id, vehicleId: null },
+    data: { vehicleId: choice.vehicle.id, vehicleAssignedAt }
+  });
+  if (claimed.count === 0) throw new VehicleAssignmentError('A vehicle was assigned to this booking concurrently');
+
+  // The claim only locks this booking; if another booking took the same vehicle meanwhile, give it up
+  if (!(await availabilityService.isVehicleAvailable(choice.vehicle.id, booking.startDate, booking.endDate, { excludeBookingId: booking.id }))) {
+    await prisma.booking.updateMany({
+      where: { id: booking.id, vehicleId: choice.vehicle.id },
+      data: { vehicleId: null, vehicleAssignedAt: null }
+    });
+    throw new VehicleAssignmentError('The vehicle was booked concurrently, please retry');
+  }
+
+  const assignment = {
+    vehicleId: choice.vehicle.id,
+    bookedCategory: booking.vehicleCategory,
+    category: choice.vehicle.category,
+    upgrade: choice.upgrade,
+    odometer: choice.vehicle.odometer,
+    mode: vehicleId ? 'manual' : 'auto'
+  };
+  await logEvent('booking', booking.id, 'vehicle_assigned', { ...assignment, actorId });
+
+  return { booking: { ...booking, vehicleId: choice.vehicle.id, vehicleAssignedAt }, assignment };
+}
+
+module.exports = {
+  UPGRADE_LADDER,
+  VehicleAssignmentError,
+  upgradeCategories,
+  candidatesFor,
+  assignVehicle
+};
@@ -0,0 +1,237 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const documentVerifiers = require('./documentVerifiers');
+const notificationService = require('./notificationService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Driver license and identity verification
+ *
+ * Customers upload a driver license, an identity document and (optionally) a
+ * proof of address as IdentityDocument records. Each upload is sent to the
+ * configured automated verifier (see documentVerifiers): a clear result approves
+ * or rejects it straight away, anything else (`review`, verifier outage) leaves
+ * it `pending` in the admin review queue, where staff approve or reject it with a
+ * reason. Staff can also overrule the verifier. Approving a document supersedes
+ * the other approved or pending documents of the same type.
+ *
+ * A customer is verified when they have an approved, unexpired document of every
+ * VERIFICATION_REQUIRED_DOCUMENTS type (default driver_license,identity); the
+ * documents must still be valid on the last day of the rental for pickup to go
+ * ahead. User.verificationStatus caches the result for admin queries.
+ */
+
+const DOCUMENT_TYPES = ['driver_license', 'identity', 'proof_of_address'];
+
+const requiredTypes = () => (process.env.VERIFICATION_REQUIRED_DOCUMENTS || 'driver_license,identity')
+  .split(',')
+  .map(t => t.trim())
+  .filter(t => DOCUMENT_TYPES.includes(t));
+
+class VerificationError extends ServiceError {
+  constructor(message, statusCode = 409, { code = null, missing = null } = {}) {
+    super(message, statusCode);
+    this.name = 'VerificationError';
+    this.code = code;
+    this.missing = missing;
+  }
+
+  details() {
+    return this.missing ? { code: this.code, missing: this.missing } : { code: this.code };
+  }
+}
+
+const isValidOn = (document, date) => !document.expiresAt || new Date(document.expiresAt) >= new Date(date);
+
+/**
+ * Verification summary for a user: approved when every required document type has
+ * an approved document valid until `validUntil`; `missing` lists the types without one.
+ * @returns {Promise<{ status, verified, required, missing, documents }>}
+ */
+async function verificationFor(userId, { validUntil = new Date() } = {}) {
+  const documents = await prisma.identityDocument.findMany({
+    where: { userId, status: { not: 'superseded' } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const required = requiredTypes();
+  const missing = required.filter(type => !documents.some(d => d.type === type && d.status === 'approved' && isValidOn(d, validUntil)));
+
+  let status = 'approved';
+  if (missing.length > 0) {
+    const latest = missing.map(type => documents.find(d => d.type === type)).filter(Boolean);
+    if (latest.some(d => d.status === 'pending')) status = 'pending';
+    else if (latest.some(d => d.status === 'rejected')) status = 'rejected';
+    else status = 'unverified';
+  }
+
+  return { status, verified: missing.length === 0, required, missing, documents };
+}
+
+/**
+ * Recompute and store User.verificationStatus
+ */
+async function refreshUserStatus(userId) {
+  const { status, verified } = await verificationFor(userId);
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { verificationStatus: true, verifiedAt: true } });
+  if (!user) return null;
+
+  if (user.verificationStatus !== status) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { verificationStatus: status, verifiedAt: verified ? (user.verifiedAt || new Date()) : null }
+    });
+    await logEvent('user', userId, 'verification_status_changed', { from: user.verificationStatus, to: status });
+  }
+  return status;
+}
+
+async function decide(document, { status, reason = null, actorId = null }) {
+  const updated = await prisma.identityDocument.update({
+    where: { id: document.id },
+    data: {
+      status,
+      rejectionReason: status === 'rejected' ? reason : null,
+      reviewedBy: actorId,
+      reviewedAt: new Date()
+    }
+  });
+
+  if (status === 'approved') {
+    await prisma.identityDocument.updateMany({
+      where: { userId: document.userId, type: document.type, status: { in: ['approved', 'pending'] }, id: { not: document.id } },
+      data: { status: 'superseded' }
+    });
+  }
+
+  await logEvent('identity_document', document.id, status, { userId: document.userId, type: document.type, reason, actorId });
+  await refreshUserStatus(document.userId);
+  return updated;
+}
+
+async function notify(document) {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: document.userId }, select: { email: true } });
+    await notificationService.sendDocumentReviewed(user.email, document);
+  } catch (e) {
+    console.warn('Failed to send document review notice', e);
+  }
+}
+
+/**
+ * Store an uploaded document and run the automated verifier on it
+ * @param {object} user - uploading customer
+ * @param {object} input - { type, documentNumber, issuingCountry, fileUrl, expiresAt, bookingId }
+ * @returns {Promise<object>} the document with its status after automated checks
+ */
+async function submitDocument(user, { type, documentNumber = null, issuingCountry = null, fileUrl, expiresAt = null, bookingId = null }) {
+  if (!DOCUMENT_TYPES.includes(type)) throw new VerificationError(`Unknown document type '${type}'`, 400);
+
+  const verifier = documentVerifiers.getVerifier();
+  const document = await prisma.identityDocument.create({
+    data: {
+      userId: user.id,
+      bookingId,
+      type,
+      documentNumber,
+      issuingCountry,
+      fileUrl,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      verifier: verifier.name
+    }
+  });
+  await logEvent('identity_document', document.id, 'submitted', { userId: user.id, type, bookingId });
+
+  let result;
+  try {
+    result = await verifier.verify({ type, documentNumber, issuingCountry, expiresAt, fileUrl, user });
+  } catch (e) {
+    console.warn(`Document verifier ${verifier.name} failed, leaving document ${document.id} for review`, e);
+    await prisma.identityDocument.update({ where: { id: document.id }, data: { verifierResult: { error: e.message } } });
+    await refreshUserStatus(user.id);
+    return prisma.identityDocument.findUnique({ where: { id: document.id } });
+  }
+
+  await prisma.identityDocument.update({
+    where: { id: document.id },
+    data: { verifierRef: result.reference || null, verifierResult: { status: result.status, reason: result.reason || null, checks: result.checks || [] } }
+  });
+
+  if (result.status === 'approved' || result.status === 'rejected') {
+    const decided = await decide(document, { status: result.status, reason: result.reason || null });
+    await notify(decided);
+    return decided;
+  }
+
+  await refreshUserStatus(user.id);
+  return prisma.identityDocument.findUnique({ where: { id: document.id } });
+}
+
+/**
+ * Approve or reject a document (Admin review). Rejections need a reason, which
+ * is shown to the customer.
+ */
+async function reviewDocument(document, { decision, reason = null, actorId }) {
+  if (!['approve', 'reject'].includes(decision)) throw new VerificationError(`Unknown decision '${decision}'`, 400);
+  if (decision === 'reject' && !reason) throw new VerificationError('A reason is required to reject a document', 400);
+  if (document.status === 'superseded') throw new VerificationError('Document was replaced by a newer one');
+
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+  if (document.status === status) throw new VerificationError(`Document is already ${status}`);
+
+  const decided = await decide(document, { status, reason, actorId });
+  await notify(decided);
+  return decided;
+}
+
+/**
+ * Refuse pickup until the renter's documents are approved and valid for the whole rental
+ * Throws VerificationError (403, code VERIFICATION_REQUIRED, missing document types)
+ */
+async function assertVerifiedForPickup(booking) {
+  const { verified, missing, status } = await verificationFor(booking.userId, { validUntil: booking.endDate });
+  if (!verified) {
+    throw new VerificationError(
+      status === 'pending'
+        ? 'Your documents are still being reviewed; pickup is possible once they are approved'
+        : `Approved documents are required before pickup: ${missing.join(', ')}`,
+      403,
+      { code: 'VERIFICATION_REQUIRED', missing }
+    );
+  }
+}
+
+/**
+ * Documents waiting for review, oldest first (Admin)
+ */
+async function listQueue({ status = 'pending', type, userId, skip = 0, take = 50 } = {}) {
+  const where = {};
+  if (status) where.status = status;
+  if (type) where.type = type;
+  if (userId) where.userId = userId;
+
+  return prisma.identityDocument.findMany({
+    where,
+    orderBy: { createdAt: 'asc' },
+    skip,
+    take,
+    include: { user: { select: { id: true, name: true, email: true, dateOfBirth: true } } }
+  });
+}
+
+async function getDocument(id) {
+  return /^[a-f0-9]{24}$/.test(id) ? prisma.identityDocument.findUnique({ where: { id } }) : null;
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  VerificationError,
+  verificationFor,
+  refreshUserStatus,
+  submitDocument,
+  reviewDocument,
+  assertVerifiedForPickup,
+  listQueue,
+  getDocument
+};
@@ -0,0 +1,302 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const availabilityService = require('./availabilityService');
+const holdService = require('./holdService');
+const balanceService = require('./balanceService');
+const { LocationPolicyError } = require('./locationPolicyService');
+const notificationService = require('./notificationService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Waitlist for sold-out categories
+ *
+ * When no vehicle of a category is left at a location for their dates, customers
+ * can join the waitlist instead. Whenever inventory is freed (a booking is
+ * cancelled, a hold expires, a no-show or a vehicle is returned) the waiting
+ * entries for that location and category are offered the vehicles that are now
+ * free, oldest entry first. An offer is a regular `pending_hold` booking created
+ * through holdService that stays open for WAITLIST_OFFER_MINUTES; confirming it
+ * books the car, letting it expire or cancelling it lapses the entry and the
+ * vehicle goes to the next customer in line.
+ *
+ * Entry statuses: waiting -> offered -> booked | lapsed, and expired (start date
+ * passed while waiting) or cancelled (by the customer) for entries never booked.
+ * The sweep job offers anything missed by the release hooks.
+ */
+
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+const offerMinutes = () => parseInt(process.env.WAITLIST_OFFER_MINUTES || '120');
+
+class WaitlistError extends ServiceError {
+  constructor(message, statusCode = 409) {
+    super(message, statusCode);
+    this.name = 'WaitlistError';
+  }
+}
+
+/**
+ * Join the waitlist for a category at a location
+ * Refused while the category can still be booked directly for these dates.
+ */
+async function joinWaitlist(user, { locationId, locationDropoffId = null, vehicleCategory, startDate, endDate }) {
+  const location = await prisma.location.findUnique({ where: { id: locationId } });
+  if (!location) throw new WaitlistError('Location not found', 404);
+  if (locationDropoffId && locationDropoffId !== locationId) {
+    const dropoff = await prisma.location.findUnique({ where: { id: locationDropoffId } });
+    if (!dropoff) throw new WaitlistError('Drop-off location not found', 404);
+  }
+
+  const duplicate = await prisma.waitlistEntry.findFirst({
+    where: {
+      userId: user.id,
+      locationId,
+      vehicleCategory,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      status: { in: OPEN_STATUSES }
+    }
+  });
+  if (duplicate) throw new WaitlistError('You are already on the waitlist for these dates');
+
+  const { available } = await availabilityService.categoryAvailability({ category: vehicleCategory, locationId, startDate, endDate });
+  if (available > 0) {
+    throw new WaitlistError(`${available} ${vehicleCategory} vehicle(s) are available for these dates, please book directly`);
+  }
+
+  const entry = await prisma.waitlistEntry.create({
+    data: {
+      userId: user.id,
+      locationId,
+      locationDropoffId: locationDropoffId || null,
+      vehicleCategory,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate)
+    }
+  });
+  await logEvent('waitlist', entry.id, 'joined', { userId: user.id, locationId, vehicleCategory, startDate, endDate });
+
+  return entry;
+}
+
+/**
+ * Offer a waiting entry a hold. Returns the hold booking, or null when the entry
+ * cannot be offered right now (taken concurrently, sold out again, or the
+ * customer may not book).
+ */
+async function offerEntry(entry) {
+  const user = await prisma.user.findUnique({ where: { id: entry.userId } });
+  if (!user) return null;
+
+  try {
+    await balanceService.assertCanBook(user);
+  } catch (e) {
+    if (e instanceof balanceService.BalanceError) return null;
+    throw e;
+  }
+
+  // Claim the entry before creating the hold so two sweeps cannot both offer it
+  const claimed = await prisma.waitlistEntry.updateMany({
+    where: { id: entry.id, status: 'waiting' },
+    data: { status: 'offered', offeredAt: new Date() }
+  });
+  if (claimed.count === 0) return null;
+
+  let hold;
+  try {
+    hold = await holdService.createHold(user, {
+      vehicleCategory: entry.vehicleCategory,
+      locationPickupId: entry.locationId,
+      locationDropoffId: entry.locationDropoffId || entry.locationId,
+      startDate: entry.startDate,
+      endDate: entry.endDate
+    }, { holdMinutes: offerMinutes(), reason: 'waitlist_offer', actorId: null });
+  } catch (e) {
+    await prisma.waitlistEntry.update({ where: { id: entry.id }, data: { status: 'waiting', offeredAt: entry.offeredAt } });
+    if (e instanceof holdService.HoldError || e instanceof LocationPolicyError) return null;
+    throw e;
+  }
+
+  const { booking } = hold;
+  const updated = await prisma.waitlistEntry.update({
+    where: { id: entry.id },
+    data: { bookingId: booking.id, offerExpiresAt: booking.holdExpiresAt, offerCount: { increment: 1 } }
+  });
+  await logEvent('waitlist', entry.id, 'offered', { bookingId: booking.id, offerExpiresAt: booking.holdExpiresAt });
+
+  try {
+    await notificationService.sendWaitlistOffer(user.email, updated, booking);
+  } catch (e) {
+    console.warn('Failed to send waitlist offer', e);
+  }
+
+  return booking;
+}
+
+/**
+ * Offer freed inventory to waiting entries, oldest first.
+ * Narrow to a location and category when the released booking is known.
+ * @returns {Promise<{ scanned, offered }>}
+ */
+async function offerAvailable({ locationId, vehicleCategory, now = new Date(), batchSize = 100 } = {}) {
+  const where = { status: 'waiting', startDate: { gt: now } };
+  if (locationId) where.locationId = locationId;
+  if (vehicleCategory) where.vehicleCategory = vehicleCategory;
+
+  const entries = await prisma.waitlistEntry.findMany({
+    where,
+    orderBy: { createdAt: 'asc' },
+    take: batchSize
+  });
+
+  let offered = 0;
+  for (const entry of entries) {
+    try {
+      const { available } = await availabilityService.categoryAvailability({
+        category: entry.vehicleCategory,
+        locationId: entry.locationId,
+        startDate: entry.startDate,
+        endDate: entry.endDate
+      });
+      if (available === 0) continue;
+
+      if (await offerEntry(entry)) offered += 1;
+    } catch (e) {
+      console.error(`Failed to offer waitlist entry ${entry.id}:`, e);
+    }
+  }
+
+  return { scanned: entries.length, offered };
+}
+
+/**
+ * Called by the booking lifecycle when a booking is cancelled, marked no-show or
+ * completed: lapses the waitlist offer it was created for, if any, and offers
+ * what it freed to the next customers in line.
+ */
+async function onBookingReleased(bookingId) {
+  const booking = await prisma.booking.findUnique({ where: { id: bookingId } });
+  if (!booking) return { scanned: 0, offered: 0 };
+
+  const lapsed = await prisma.waitlistEntry.updateMany({
+    where: { bookingId: booking.id, status: 'offered' },
+    data: { status: 'lapsed' }
+  });
+  if (lapsed.count > 0) await logEvent('booking', booking.id, 'waitlist_offer_lapsed', {});
+
+  let locationId = booking.locationPickupId;
+  let vehicleCategory = booking.vehicleCategory;
+  if (booking.vehicleId) {
+    const vehicle = await prisma.vehicle.findUnique({ where: { id: booking.vehicleId }, select: { category: true, locationId: true } });
+    if (vehicle) {
+      vehicleCategory = vehicle.category;
+      locationId = vehicle.locationId || locationId;
+    }
+  }
+  if (!vehicleCategory) return { scanned: 0, offered: 0 };
+
+  return offerAvailable({ locationId, vehicleCategory });
+}
+
+/**
+ * Called by the booking lifecycle on confirmation: a confirmed offer is booked
+ */
+async function onBookingConfirmed(bookingId) {
+  await prisma.waitlistEntry.updateMany({
+    where: { bookingId, status: 'offered' },
+    data: { status: 'booked' }
+  });
+}
+
+/**
+ * Waitlist sweep: expire entries whose start date has passed, then offer any
+ * inventory the release hooks missed (vehicles back from maintenance, new fleet)
+ */
+async function processWaitlist({ now = new Date(), batchSize = 100 } = {}) {
+  const expired = await prisma.waitlistEntry.updateMany({
+    where: { status: 'waiting', startDate: { lte: now } },
+    data: { status: 'expired' }
+  });
+
+  const { scanned, offered } = await offerAvailable({ now, batchSize });
+  return { expired: expired.count, scanned, offered };
+}
+
+/**
+ * Leave the waitlist. Returns the entry as it was, so the caller can cancel the
+ * hold of an outstanding offer.
+ */
+async function cancelEntry(entry, { actorId = null } = {}) {
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw new WaitlistError(`Waitlist entry is already ${entry.status}`);
+  }
+
+  const updated = await prisma.waitlistEntry.updateMany({
+    where: { id: entry.id, status: entry.status },
+    data: { status: 'cancelled' }
+  });
+  if (updated.count === 0) throw new WaitlistError('Waitlist entry changed concurrently');
+
+  await logEvent('waitlist', entry.id, 'cancelled', { actorId, bookingId: entry.bookingId });
+  return { ...entry, status: 'cancelled' };
+}
+
+/**
+ * A customer's waitlist entries, with their queue position while waiting
+ */
+async function listForUser(userId) {
+  const entries = await prisma.waitlistEntry.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return Promise.all(entries.map(async (entry) => {
+    if (entry.status !== 'waiting') return entry;
+    const ahead = await prisma.waitlistEntry.count({
+      where: {
+        status: 'waiting',
+        locationId: entry.locationId,
+        vehicleCategory: entry.vehicleCategory,
+        createdAt: { lt: entry.createdAt }
+      }
+    });
+    return { ...entry, position: ahead + 1 };
+  }));
+}
+
+/**
+ * Waitlist entries in queue order (staff); `locationIds` limits them to a staff member's locations
+ */
+async function listEntries({ status, locationId, vehicleCategory, locationIds = null, skip = 0, take = 50 } = {}) {
+  const where = {};
+  if (status) where.status = status;
+  if (locationId) where.locationId = locationId;
+  if (vehicleCategory) where.vehicleCategory = vehicleCategory;
+  if (locationIds) where.AND = [{ locationId: { in: locationIds } }];
+
+  return prisma.waitlistEntry.findMany({
+    where,
+    orderBy: { createdAt: 'asc' },
+    skip,
+    take
+  });
+}
+
+async function getEntry(id) {
+  return /^[a-f0-9]{24}$/.test(id) ? prisma.waitlistEntry.findUnique({ where: { id } }) : null;
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  WaitlistError,
+  joinWaitlist,
+  offerAvailable,
+  onBookingReleased,
+  onBookingConfirmed,
+  processWaitlist,
+  cancelEntry,
+  listForUser,
+  listEntries,
+  getEntry
+};
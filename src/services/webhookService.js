@@ -0,0 +1,290 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { logEvent } = require('./auditService');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+const { transitionBooking } = require('./bookingLifecycleService');
+const { ServiceError } = require('./errors');
+
+/**
+ * Payment webhook event store
+ *
+ * Every verified webhook is stored as a WebhookEvent, unique per provider and
+ * event id, before it is processed, so redelivered events are acknowledged
+ * without being applied twice. An event is claimed (`processing`) before its
+ * handler runs and ends up `processed`, `ignored` (nothing to do) or `failed`.
+ * Failed events are retried when the provider redelivers them and admins can
+ * replay any stored event; handlers reconcile towards the reported state, so
+ * replaying is safe.
+ *
+ * Handlers reconcile Payment and Booking.paymentStatus:
+ *   checkout.completed  create the captured Payment and confirm a pending booking
+ *                       (paid after cancellation: refunded in full)
+ *   payment.captured    mark a pending/authorized Payment captured
+ *   payment.failed      mark the Payment and an unpaid booking `failed`
+ *   refund.succeeded    record refunds made at the provider (`amount` is the total refunded)
+ *   dispute.created     mark the Payment and booking `disputed`
+ */
+
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+class WebhookEventError extends ServiceError {
+  constructor(message, statusCode = 409) {
+    super(message, statusCode);
+    this.name = 'WebhookEventError';
+  }
+}
+
+const isObjectId = (id) => /^[a-f0-9]{24}$/.test(String(id || ''));
+
+async function findBooking(event) {
+  if (isObjectId(event.bookingId)) {
+    return prisma.booking.findUnique({ where: { id: event.bookingId } });
+  }
+  if (event.paymentRef) {
+    const payment = await prisma.payment.findFirst({ where: { providerId: event.paymentRef } });
+    if (payment) return prisma.booking.findUnique({ where: { id: payment.bookingId } });
+  }
+  return null;
+}
+
+// Disputes and refunds carry only the payment reference; checkout events carry the booking
+async function findPayment(event) {
+  if (event.paymentRef) {
+    const payment = await prisma.payment.findFirst({ where: { providerId: event.paymentRef } });
+    if (payment) return payment;
+  }
+  return isObjectId(event.bookingId)
+    ? prisma.payment.findUnique({ where: { bookingId: event.bookingId } })
+    : null;
+}
+
+async function checkoutCompleted(event) {
+  const booking = await findBooking(event);
+  if (!booking) return { status: 'ignored', result: 'booking_not_found' };
+
+  let payment = await prisma.payment.findUnique({ where: { bookingId: booking.id } });
+  let created = false;
+  if (!payment) {
+    payment = await prisma.payment.create({
+      data: {
+        bookingId: booking.id,
+        amount: event.amount || booking.totalPrice,
+        method: booking.paymentMethod || 'credit_card',
+        status: 'captured',
+        provider: event.provider,
+        providerId: event.paymentRef
+      }
+    });
+    await paymentService.recordCharge(payment, { providerRef: event.paymentRef });
+    created = true;
+  } else if (['pending', 'authorized', 'failed'].includes(payment.status)) {
+    payment = await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: 'captured', provider: event.provider, providerId: event.paymentRef || payment.providerId }
+    });
+  }
+
+  let result = 'payment_recorded';
+  if (['pending', 'pending_hold'].includes(booking.status)) {
+    await transitionBooking(booking, 'confirmed', {
+      actor: 'system',
+      data: { paymentStatus: 'captured' },
+      reason: event.providerType || event.type
+    });
+    result = 'booking_confirmed';
+  } else if (['cancelled', 'no_show'].includes(booking.status)) {
+    // The customer paid for a booking that no longer exists
+    await paymentService.refundForCancellation(booking.id, Infinity, { reason: 'paid_after_cancellation' });
+    result = 'refunded_after_cancellation';
+  } else if (['pending', 'failed'].includes(booking.paymentStatus)) {
+    await prisma.booking.update({ where: { id: booking.id }, data: { paymentStatus: 'captured' } });
+  }
+
+  await logEvent('booking', booking.id, 'payment_received', { provider: event.provider, eventId: event.eventId, paymentId: event.paymentRef, result });
+
+  if (created) {
+    try {
+      const full = await prisma.booking.findUnique({
+        where: { id: booking.id },
+        include: { user: { select: { email: true } }, vehicle: true }
+      });
+      await notificationService.sendPaymentReceipt(full.user.email, full, payment);
+    } catch (e) {
+      console.warn('Failed to send payment receipt', e);
+    }
+  }
+
+  return { status: 'processed', result };
+}
+
+async function paymentCaptured(event) {
+  const payment = await findPayment(event);
+  if (!payment) return { status: 'ignored', result: 'payment_not_found' };
+  if (!['pending', 'authorized', 'failed'].includes(payment.status)) {
+    return { status: 'processed', result: 'already_captured' };
+  }
+
+  await prisma.payment.update({ where: { id: payment.id }, data: { status: 'captured' } });
+  await prisma.booking.updateMany({
+    where: { id: payment.bookingId, paymentStatus: { in: ['pending', 'failed'] } },
+    data: { paymentStatus: 'captured' }
+  });
+  return { status: 'processed', result: 'payment_captured' };
+}
+
+async function paymentFailed(event) {
+  const booking = await findBooking(event);
+  if (!booking) return { status: 'ignored', result: 'booking_not_found' };
+
+  await prisma.payment.updateMany({
+    where: { bookingId: booking.id, status: { in: ['pending', 'authorized'] } },
+    data: { status: 'failed' }
+  });
+  // A later successful attempt may already have paid the booking
+  await prisma.booking.updateMany({
+    where: { id: booking.id, paymentStatus: 'pending' },
+    data: { paymentStatus: 'failed' }
+  });
+  await logEvent('booking', booking.id, 'payment_failed', { provider: event.provider, eventId: event.eventId, paymentId: event.paymentRef });
+
+  return { status: 'processed', result: 'payment_failed' };
+}
+
+async function refundSucceeded(event) {
+  const payment = await findPayment(event);
+  if (!payment) return { status: 'ignored', result: 'payment_not_found' };
+
+  const refund = await paymentService.recordProviderRefund(payment, event.amount || 0, { providerRef: event.eventId });
+  return { status: 'processed', result: refund ? 'refund_recorded' : 'already_recorded' };
+}
+
+async function disputeCreated(event) {
+  const payment = await findPayment(event);
+  if (!payment) return { status: 'ignored', result: 'payment_not_found' };
+
+  await prisma.payment.update({ where: { id: payment.id }, data: { status: 'disputed' } });
+  await prisma.booking.update({ where: { id: payment.bookingId }, data: { paymentStatus: 'disputed' } });
+
+  const dispute = (event.payload && event.payload.data && event.payload.data.object) || {};
+  await logEvent('booking', payment.bookingId, 'payment_disputed', {
+    provider: event.provider,
+    eventId: event.eventId,
+    amount: event.amount,
+    reason: dispute.reason || null
+  });
+
+  return { status: 'processed', result: 'payment_disputed' };
+}
+
+const HANDLERS = {
+  'checkout.completed': checkoutCompleted,
+  'payment.captured': paymentCaptured,
+  'payment.failed': paymentFailed,
+  'refund.succeeded': refundSucceeded,
+  'dispute.created': disputeCreated
+};
+
+/**
+ * Store a parsed webhook (see paymentProviders parseWebhook).
+ * @returns {Promise<{ event: object, duplicate: boolean }>}
+ */
+async function recordEvent(providerName, parsed) {
+  try {
+    const event = await prisma.webhookEvent.create({
+      data: {
+        provider: providerName,
+        eventId: String(parsed.id),
+        type: parsed.type,
+        providerType: (parsed.raw && parsed.raw.type) || null,
+        bookingId: isObjectId(parsed.bookingId) ? parsed.bookingId : null,
+        paymentRef: parsed.paymentId || null,
+        amount: parsed.amount || null,
+        payload: parsed.raw || {}
+      }
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    const event = await prisma.webhookEvent.findUnique({
+      where: { provider_eventId: { provider: providerName, eventId: String(parsed.id) } }
+    });
+    return { event, duplicate: true };
+  }
+}
+
+/**
+ * Claim and process a stored event. Returns the updated event, or null when it
+ * is already processed or being processed (unless `force`, used for replays).
+ */
+async function processEvent(event, { force = false } = {}) {
+  const claimable = force
+    ? { OR: [{ status: { not: 'processing' } }, { updatedAt: { lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }] }
+    : { status: { in: ['received', 'failed'] } };
+  const claimed = await prisma.webhookEvent.updateMany({
+    where: { id: event.id, ...claimable },
+    data: { status: 'processing', attempts: { increment: 1 } }
+  });
+  if (claimed.count === 0) return null;
+
+  const handler = HANDLERS[event.type];
+  let outcome;
+  try {
+    outcome = handler ? await handler(event) : { status: 'ignored', result: 'unhandled_type' };
+  } catch (error) {
+    console.error(`Webhook event ${event.eventId} (${event.type}) failed:`, error);
+    return prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'failed', error: error.message }
+    });
+  }
+
+  return prisma.webhookEvent.update({
+    where: { id: event.id },
+    data: { status: outcome.status, result: outcome.result, error: null, processedAt: new Date() }
+  });
+}
+
+/**
+ * Process a stored event again (Admin)
+ */
+async function replayEvent(id, { actorId = null } = {}) {
+  const event = isObjectId(id) ? await prisma.webhookEvent.findUnique({ where: { id } }) : null;
+  if (!event) throw new WebhookEventError('Webhook event not found', 404);
+
+  const replayed = await processEvent(event, { force: true });
+  if (!replayed) throw new WebhookEventError('Webhook event is being processed, try again later');
+
+  await logEvent('webhook_event', event.id, 'replayed', { actorId, eventId: event.eventId, status: replayed.status });
+  return replayed;
+}
+
+/**
+ * Stored events, newest first
+ */
+async function listEvents({ status, type, bookingId, skip = 0, take = 50 } = {}) {
+  const where = {};
+  if (status) where.status = status;
+  if (type) where.type = type;
+  if (isObjectId(bookingId)) where.bookingId = bookingId;
+
+  return prisma.webhookEvent.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    skip,
+    take
+  });
+}
+
+async function getEvent(id) {
+  return isObjectId(id) ? prisma.webhookEvent.findUnique({ where: { id } }) : null;
+}
+
+module.exports = {
+  WebhookEventError,
+  recordEvent,
+  processEvent,
+  replayEvent,
+  listEvents,
+  getEvent
+};
@@ -1,20 +1,39 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 
 /**
- * Generate JWT token
+ * Generate a short-lived JWT access token
  * @param {string} userId - User ID
  * @param {string} role - User role
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (userId, role) => {
+const generateToken = (userId, role, sessionId) => {
   return jwt.sign(
-    { userId, role },
+    { userId, role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
   );
 };
 
+/**
+ * Generate a random opaque secret (refresh tokens, one-time links)
+ * @returns {string} Hex-encoded secret
+ */
+const generateSecret = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Verify JWT token
  * @param {string} token - JWT token
@@ -58,6 +77,8 @@ const extractToken = (authHeader) => {
 
 module.exports = {
   generateToken,
+  generateSecret,
+  hashToken,
   verifyToken,
   hashPassword,
   comparePassword,
@@ -0,0 +1,95 @@
+/**
+ * Minimal PDF writer for text documents (invoices, receipts)
+ *
+ * Pages are A4 with the standard Helvetica, Helvetica-Bold and Courier fonts, so
+ * no font files need to be embedded. Coordinates are in points from the
+ * bottom-left corner. Text is encoded as WinAnsi; characters outside Latin-1
+ * are replaced with '?'.
+ *
+ *   const doc = createPdf();
+ *   doc.addPage();
+ *   doc.text(50, 790, 'Invoice', { size: 18, font: 'bold' });
+ *   const buffer = doc.toBuffer();
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' },
+  mono: { key: 'F3', name: 'Courier' }
+};
+
+function escape(text) {
+  return String(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+}
+
+function createPdf() {
+  const pages = [];
+  let current = null;
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return this;
+    },
+
+    text(x, y, value, { size = 10, font = 'regular' } = {}) {
+      if (!current) this.addPage();
+      const { key } = FONTS[font] || FONTS.regular;
+      current.push(`BT /${key} ${size} Tf ${x} ${y} Td (${escape(value)}) Tj ET`);
+      return this;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      if (!current) this.addPage();
+      current.push(`${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+      return this;
+    },
+
+    toBuffer() {
+      if (pages.length === 0) this.addPage();
+
+      // 1: catalog, 2: page tree, 3-5: fonts, then a page + content stream per page
+      const objects = [];
+      const fontRefs = Object.values(FONTS).map((font, i) => {
+        objects[2 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`;
+        return `/${font.key} ${3 + i} 0 R`;
+      });
+
+      const pageIds = pages.map((content, i) => {
+        const pageId = 6 + i * 2;
+        const stream = content.join('\n');
+        objects[pageId - 1] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontRefs.join(' ')} >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+        return pageId;
+      });
+
+      objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let body = '%PDF-1.4\n';
+      const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(body, 'latin1');
+        body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+
+      const xref = Buffer.byteLength(body, 'latin1');
+      body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+      return Buffer.from(body, 'latin1');
+    }
+  };
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,15 @@
+const { ServiceError } = require('../services/errors');
+
+/**
+ * Respond with the status code and details of a service error (see services/errors).
+ * Returns true when the error was handled; controllers answer 500 otherwise:
+ *
+ *   if (handleServiceError(res, error)) return;
+ */
+function handleServiceError(res, error) {
+  if (!(error instanceof ServiceError)) return false;
+  res.status(error.statusCode).json({ success: false, message: error.message, ...error.details() });
+  return true;
+}
+
+module.exports = { handleServiceError };
@@ -19,7 +19,9 @@ const registerSchema = Joi.object({
   phone: Joi.string().pattern(/^\+?[\d\s\-\(\)]+$/).optional().messages({
     'string.pattern.base': 'Please provide a valid phone number'
   }),
-  role: Joi.string().valid('customer', 'admin').default('customer')
+  dateOfBirth: Joi.date().iso().max('now').optional().messages({
+    'date.max': 'Date of birth cannot be in the future'
+  })
 });
 
 // User login validation
@@ -33,6 +35,39 @@ const loginSchema = Joi.object({
   })
 });
 
+// Forgot password validation
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+// Reset password validation
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Reset token is required'
+  }),
+  password: Joi.string().min(6).max(128).required().messages({
+    'string.min': 'Password must be at least 6 characters long',
+    'string.max': 'Password cannot exceed 128 characters',
+    'any.required': 'Password is required'
+  })
+});
+
+// Change password validation
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'any.required': 'Current password is required'
+  }),
+  newPassword: Joi.string().min(6).max(128).invalid(Joi.ref('currentPassword')).required().messages({
+    'string.min': 'Password must be at least 6 characters long',
+    'string.max': 'Password cannot exceed 128 characters',
+    'any.invalid': 'New password must be different from the current password',
+    'any.required': 'New password is required'
+  })
+});
+
 // Vehicle creation validation
 const vehicleSchema = Joi.object({
   sku: Joi.string().optional(),
@@ -50,12 +85,40 @@ const vehicleSchema = Joi.object({
   description: Joi.string().max(500).optional(),
   seats: Joi.number().integer().min(1).max(15).default(5),
   doors: Joi.number().integer().min(2).max(6).default(4),
-  features: Joi.array().items(Joi.string()).default([])
+  features: Joi.array().items(Joi.string()).default([]),
+  odometer: Joi.number().integer().min(0).optional()
 });
 
-// Booking creation validation
-const bookingSchema = Joi.object({
-  vehicleId: Joi.string().required(),
+// Requested add-ons on quotes and bookings
+const bookingAddonsSchema = Joi.array().items(Joi.object({
+  addonId: Joi.string().required(),
+  qty: Joi.number().integer().min(1).default(1)
+})).default([]);
+
+// Named drivers besides the renter (see driverService)
+const additionalDriversSchema = Joi.array().items(Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  dateOfBirth: Joi.date().iso().max('now').required(),
+  licenseNumber: Joi.string().min(4).max(30).required(),
+  licenseCountry: Joi.string().length(2).uppercase().optional(),
+  licenseExpiresAt: Joi.date().iso().required()
+})).max(4).unique('licenseNumber', { ignoreUndefined: true }).default([]);
+
+// Identity document upload (see verificationService)
+// Licenses and identity documents need a number and an expiry date
+const documentSchema = Joi.object({
+  type: Joi.string().valid('driver_license', 'identity', 'proof_of_address').required(),
+  documentNumber: Joi.string().min(3).max(50).when('type', { is: 'proof_of_address', then: Joi.optional(), otherwise: Joi.required() }),
+  issuingCountry: Joi.string().length(2).uppercase().optional(),
+  fileUrl: Joi.string().uri().required(),
+  expiresAt: Joi.date().iso().when('type', { is: 'proof_of_address', then: Joi.optional(), otherwise: Joi.required() })
+});
+
+// Price quote validation
+// Either a specific vehicle or, for a category reservation, a vehicle category
+const quoteSchema = Joi.object({
+  vehicleId: Joi.string(),
+  vehicleCategory: Joi.string().valid('economy', 'compact', 'midsize', 'suv', 'luxury', 'van'),
   locationPickupId: Joi.string().required(),
   locationDropoffId: Joi.string().required(),
   startDate: Joi.date().iso().min('now').required().messages({
@@ -64,9 +127,164 @@ const bookingSchema = Joi.object({
   endDate: Joi.date().iso().greater(Joi.ref('startDate')).required().messages({
     'date.greater': 'End date must be after start date'
   }),
+  addons: bookingAddonsSchema,
+  additionalDrivers: additionalDriversSchema,
+  promoCode: Joi.string().optional(),
+  insuranceId: Joi.string().optional(),
+  // Book under a company account (see organizationService)
+  organizationId: Joi.string().hex().length(24).optional()
+}).xor('vehicleId', 'vehicleCategory');
+
+// Booking creation validation
+const bookingSchema = quoteSchema.keys({
+  quoteId: Joi.string().optional(),
+  paymentMethod: Joi.string().valid('credit_card', 'debit_card', 'cash', 'bank_transfer').optional(),
   notes: Joi.string().max(500).optional()
 });
 
+// Waitlist: a category at a location for a date range
+const waitlistSchema = Joi.object({
+  locationId: Joi.string().hex().length(24).required(),
+  locationDropoffId: Joi.string().hex().length(24).optional(),
+  vehicleCategory: Joi.string().valid('economy', 'compact', 'midsize', 'suv', 'luxury', 'van').required(),
+  startDate: Joi.date().iso().min('now').required().messages({
+    'date.min': 'Start date cannot be in the past'
+  }),
+  endDate: Joi.date().iso().greater(Joi.ref('startDate')).required().messages({
+    'date.greater': 'End date must be after start date'
+  })
+});
+
+// Price rule dry run: quote-like request (past dates allowed) or an existing quote
+const priceRuleDryRunSchema = Joi.object({
+  quoteId: Joi.string().optional(),
+  vehicleId: Joi.string(),
+  locationPickupId: Joi.string(),
+  locationDropoffId: Joi.string(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().greater(Joi.ref('startDate')).messages({
+    'date.greater': 'End date must be after start date'
+  }),
+  addons: bookingAddonsSchema,
+  additionalDrivers: additionalDriversSchema,
+  promoCode: Joi.string().optional(),
+  insuranceId: Joi.string().optional(),
+  userId: Joi.string().optional()
+}).xor('quoteId', 'vehicleId')
+  .with('vehicleId', ['locationPickupId', 'locationDropoffId', 'startDate', 'endDate']);
+
+// Price rule validation (promo codes are not managed here)
+const objectId = Joi.string().hex().length(24);
+const priceRuleSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  type: Joi.string().valid('seasonal', 'weekday', 'length_of_rental').required(),
+  vehicleCategory: Joi.string().valid('economy', 'compact', 'midsize', 'suv', 'luxury', 'van').allow(null).optional(),
+  locationId: objectId.allow(null).optional(),
+  vehicleId: objectId.allow(null).optional(),
+  startDate: Joi.date().iso().allow(null).when('type', { is: 'seasonal', then: Joi.required() }),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).allow(null).when('type', { is: 'seasonal', then: Joi.required() }).messages({
+    'date.min': 'End date must not be before start date'
+  }),
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique()
+    .when('type', { is: 'weekday', then: Joi.array().min(1).required(), otherwise: Joi.array().default([]) }),
+  minDays: Joi.number().integer().min(1).allow(null).optional(),
+  maxDays: Joi.number().integer().allow(null).optional()
+    .when('minDays', { is: Joi.number().required(), then: Joi.number().min(Joi.ref('minDays')) }),
+  multiplier: Joi.number().positive().allow(null).optional(),
+  flatAmount: Joi.number().allow(null).optional(),
+  priority: Joi.number().integer().default(0),
+  exclusive: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true)
+}).custom((rule, helpers) => {
+  // .or() counts an explicit null as present, so check the values themselves
+  if (rule.multiplier == null && rule.flatAmount == null) {
+    return helpers.message('"multiplier" or "flatAmount" is required');
+  }
+  if (rule.type === 'length_of_rental' && rule.minDays == null && rule.maxDays == null) {
+    return helpers.message('Length of rental rules need "minDays" or "maxDays"');
+  }
+  return rule;
+});
+
+// Promo code validation (checkout)
+const promoValidateSchema = quoteSchema.keys({
+  promoCode: Joi.string().required().messages({
+    'any.required': 'Promo code is required'
+  })
+});
+
+// Promo code creation validation (Admin)
+// Discount: flatAmount off the total, or multiplier m taking total * (1 - 1/m) off (e.g. 1.25 = 20% off)
+const promoSchema = Joi.object({
+  code: Joi.string().trim().min(3).max(32).pattern(/^[A-Za-z0-9_-]+$/).required().messages({
+    'string.pattern.base': 'Promo code may only contain letters, numbers, dashes and underscores'
+  }),
+  name: Joi.string().min(2).max(100).required(),
+  multiplier: Joi.number().greater(1).allow(null).optional(),
+  flatAmount: Joi.number().positive().allow(null).optional(),
+  startDate: Joi.date().iso().allow(null).optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).allow(null).optional().messages({
+    'date.min': 'End date must not be before start date'
+  }),
+  maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+  maxRedemptionsPerUser: Joi.number().integer().min(1).allow(null).optional(),
+  minDays: Joi.number().integer().min(1).allow(null).optional(),
+  minSpend: Joi.number().positive().allow(null).optional(),
+  allowedCategories: Joi.array().items(Joi.string().valid('economy', 'compact', 'midsize', 'suv', 'luxury', 'van')).unique().default([]),
+  allowedLocationIds: Joi.array().items(objectId).unique().default([]),
+  firstBookingOnly: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true)
+}).xor('multiplier', 'flatAmount');
+
+// Add-on catalog validation
+const addOnSchema = Joi.object({
+  code: Joi.string().trim().min(2).max(32).required(),
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).allow(null, '').optional(),
+  price: Joi.number().min(0).required(),
+  perDay: Joi.boolean().default(true),
+  stock: Joi.number().integer().min(0).allow(null).optional(),
+  locationId: objectId.allow(null).optional(),
+  isActive: Joi.boolean().default(true)
+});
+
+// Insurance product validation
+const insuranceProductSchema = Joi.object({
+  code: Joi.string().trim().min(2).max(32).required(),
+  name: Joi.string().min(2).max(100).required(),
+  type: Joi.string().valid('cdw', 'liability', 'personal_effects').required(),
+  description: Joi.string().max(1000).allow(null, '').optional(),
+  dailyPrice: Joi.number().min(0).required(),
+  deductible: Joi.number().min(0).default(0),
+  eligibleCategories: Joi.array().items(Joi.string().valid('economy', 'compact', 'midsize', 'suv', 'luxury', 'van')).unique().default([]),
+  requiredDocuments: Joi.array().items(Joi.string().valid('drivers_license', 'id_card', 'passport', 'credit_card', 'proof_of_address', 'proof_of_insurance')).unique().default([]),
+  isActive: Joi.boolean().default(true)
+});
+
+// Cancellation policy validation
+const cancellationFeeType = Joi.string().valid('percent', 'fixed');
+const cancellationPolicySchema = Joi.object({
+  code: Joi.string().trim().min(2).max(32).required(),
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(1000).allow(null, '').optional(),
+  tiers: Joi.array().items(Joi.object({
+    hoursBefore: Joi.number().min(0).required(),
+    feeType: cancellationFeeType.required(),
+    feeValue: Joi.number().min(0).required()
+      .when('feeType', { is: 'percent', then: Joi.number().max(100) })
+  })).min(1).unique('hoursBefore').required().messages({
+    'array.unique': 'Each tier needs a different hoursBefore'
+  }),
+  noShowFeeType: cancellationFeeType.default('percent'),
+  noShowFeeValue: Joi.number().min(0).default(100)
+    .when('noShowFeeType', { is: 'percent', then: Joi.number().max(100) }),
+  locationIds: Joi.array().items(objectId).unique().default([]),
+  vehicleCategories: Joi.array().items(Joi.string().valid('economy', 'compact', 'midsize', 'suv', 'luxury', 'van')).unique().default([]),
+  promoCodes: Joi.array().items(Joi.string().trim()).unique().default([]),
+  priority: Joi.number().integer().default(0),
+  isActive: Joi.boolean().default(true)
+});
+
 // Location creation validation
 const locationSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
@@ -78,7 +296,46 @@ const locationSchema = Joi.object({
   country: Joi.string().min(2).max(50).default('USA'),
   zipCode: Joi.string().optional(),
   phone: Joi.string().optional(),
-  hours: Joi.string().optional()
+  hours: Joi.string().optional(),
+  requireVerifiedEmail: Joi.boolean().default(false),
+  // Rental rules, enforced at booking time (null clears a rule)
+  minAge: Joi.number().integer().min(16).max(99).allow(null).optional(),
+  debitAllowed: Joi.boolean().default(false),
+  depositAmount: Joi.number().min(0).allow(null).optional(),
+  additionalDriverFeePerDay: Joi.number().min(0).allow(null).optional(),
+  currency: Joi.string().length(3).uppercase().default('USD')
+});
+
+// Organization (company account) validation (Admin)
+// Rate multipliers apply to the daily rates, e.g. 0.85 = 15% off
+const organizationSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  billingEmail: Joi.string().email().required(),
+  billingAddress: Joi.string().max(300).allow(null, '').optional(),
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  rateMultiplier: Joi.number().greater(0).max(2).default(1),
+  categoryMultipliers: Joi.object().pattern(Joi.string().valid('economy', 'compact', 'midsize', 'suv', 'luxury', 'van'), Joi.number().greater(0).max(2)).allow(null).optional(),
+  allowedCategories: Joi.array().items(Joi.string().valid('economy', 'compact', 'midsize', 'suv', 'luxury', 'van')).unique().default([]),
+  maxDailyRate: Joi.number().positive().allow(null).optional(),
+  paymentTermsDays: Joi.number().integer().min(0).max(120).default(30),
+  isActive: Joi.boolean().default(true)
+});
+
+const organizationMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid('employee', 'travel_manager').default('employee')
+});
+
+// Staff other than admins are scoped to at least one location (see permissionService)
+const userRoleSchema = Joi.object({
+  role: Joi.string().valid('customer', 'admin', 'counter_agent', 'fleet_manager', 'mechanic', 'finance', 'support').required(),
+  locationIds: Joi.array().items(objectId).unique()
+    .when('role', {
+      is: Joi.valid('customer', 'admin'),
+      then: Joi.array().max(0).default([]),
+      otherwise: Joi.array().min(1).required()
+    })
+    .messages({ 'array.max': 'Only staff roles other than admin are scoped to locations' })
 });
 
 // Review creation validation
@@ -91,8 +348,25 @@ const reviewSchema = Joi.object({
 module.exports = {
   registerSchema,
   loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
   vehicleSchema,
+  additionalDriversSchema,
+  documentSchema,
+  quoteSchema,
   bookingSchema,
+  waitlistSchema,
+  priceRuleDryRunSchema,
+  priceRuleSchema,
+  promoValidateSchema,
+  promoSchema,
+  addOnSchema,
+  insuranceProductSchema,
+  cancellationPolicySchema,
   locationSchema,
+  organizationSchema,
+  organizationMemberSchema,
+  userRoleSchema,
   reviewSchema
 };
\ No newline at end of file